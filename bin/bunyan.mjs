@@ -13,7 +13,6 @@ var p = console.log;
 
 import util from 'util'
 import vm from 'vm'
-import http from 'http'
 import path from 'path'
 import fs from 'fs'
 import { spawn } from 'child_process'
@@ -21,6 +20,13 @@ import { createGunzip } from 'zlib'
 import { StringDecoder } from 'string_decoder'
 import { fileURLToPath } from 'url'
 import assert from 'assert'
+import compileCondition from '../lib/condition.mjs'
+import { INPUT_FORMATS, parseInputLine } from '../lib/input.mjs'
+import {
+  formatRecord,
+  isValidTimeFormat,
+  addLevel as addPrettyLevel
+} from '../lib/pretty.mjs'
 var warn = console.warn;
 
 //---- globals and constants
@@ -37,13 +43,14 @@ if (process.env.BUNYAN_SELF_TRACE === '1') {
   }
 }
 
-// Output modes.
-var OM_LONG = 1;
-var OM_JSON = 2;
-var OM_INSPECT = 3;
-var OM_SIMPLE = 4;
-var OM_SHORT = 5;
-var OM_BUNYAN = 6;
+// Output modes. These are the modes of `formatRecord` in lib/pretty.mjs.
+var OM_LONG = 'long';
+var OM_JSON = 'json';
+var OM_INSPECT = 'inspect';
+var OM_SIMPLE = 'simple';
+var OM_SHORT = 'short';
+var OM_BUNYAN = 'bunyan';
+var OM_LOGFMT = 'logfmt';
 var OM_FROM_NAME = {
   'long': OM_LONG,
   'paul': OM_LONG,  /* backward compat */
@@ -51,7 +58,8 @@ var OM_FROM_NAME = {
   'inspect': OM_INSPECT,
   'simple': OM_SIMPLE,
   'short': OM_SHORT,
-  'bunyan': OM_BUNYAN
+  'bunyan': OM_BUNYAN,
+  'logfmt': OM_LOGFMT
 };
 
 
@@ -73,19 +81,39 @@ var levelFromName = {
 };
 var nameFromLevel = {};
 var upperNameFromLevel = {};
-var upperPaddedNameFromLevel = {};
-Object.keys(levelFromName).forEach(function (name) {
-  var lvl = levelFromName[name];
+function addLevel(name, lvl) {
+  levelFromName[name] = lvl;
   nameFromLevel[lvl] = name;
   upperNameFromLevel[lvl] = name.toUpperCase();
-  upperPaddedNameFromLevel[lvl] = (
-    name.length === 4 ? ' ' : '') + name.toUpperCase();
+  addPrettyLevel(name, lvl);
+}
+Object.keys(levelFromName).forEach(function (name) {
+  addLevel(name, levelFromName[name]);
 });
 
+/**
+ * Register custom level names from a mapping of names to numbers, as given
+ * with `--levels` or `--levels-file`. These are the levels added to a
+ * Logger with `Logger.addLevel()` or the `levels` option.
+ */
+function addLevels(levels, source) {
+  Object.keys(levels).forEach(function (name) {
+    var lvl = levels[name];
+    if (!/^[a-z][a-z0-9_]*$/i.test(name) || typeof (lvl) !== 'number' ||
+      lvl < 0 || Math.floor(lvl) !== lvl)
+    {
+      throw new Error(format('invalid level in %s: "%s=%s"',
+        source, name, lvl));
+    }
+    addLevel(name.toLowerCase(), lvl);
+  });
+}
+
 
-// Display time formats.
-var TIME_UTC = 1;  // the default, bunyan's native format
-var TIME_LOCAL = 2;
+// Display time formats. These are the `timeFormat`s of `formatRecord`, which
+// also takes an IANA time zone name.
+var TIME_UTC = 'utc';  // the default, bunyan's native format
+var TIME_LOCAL = 'local';
 
 
 // Boolean set to true when we are in the process of exiting. We don't always
@@ -98,9 +126,16 @@ var currLine = null;
 // Whether ANSI codes are being used. Used for signal-handling.
 var usingAnsiCodes = false;
 
+// How often, in ms, `--follow` checks files for new content, rotation or
+// truncation.
+var FOLLOW_INTERVAL = 250;
+
 // Used to tell the 'uncaughtException' handler that '-c CODE' is being used.
 var gUsingConditionOpts = false;
 
+// The `Stats` being gathered for '--stats', if any.
+var stats = null;
+
 // Pager child process, and output stream to which to write.
 var pager = null;
 var stdout = process.stdout;
@@ -193,23 +228,54 @@ function printHelp() {
   p('General options:');
   p('  -h, --help    print this help info and exit');
   p('  --version     print version of this command and exit');
+  p('  -f, --follow  Keep reading the FILEs as they grow, like `tail -F`.');
+  p('                Rotated and truncated files are followed. Records are');
+  p('                merged in time order across files as they arrive.');
   p('');
   p('Filtering options:');
   p('  -l, --level LEVEL');
   p('                Only show messages at or above the specified level.');
   p('                You can specify level *names* or the internal numeric');
   p('                values.');
+  p('  --levels NAME=NUM[,NAME=NUM...]');
+  p('                Define custom level names, e.g. "notice=35", for use');
+  p('                with "-l", in "-c" conditions and in output.');
+  p('  --levels-file FILE');
+  p('                Read custom level names from a JSON file mapping names');
+  p('                to numbers, e.g. {"notice": 35}.');
   p('  -c, --condition CONDITION');
-  p('                Run each log message through the condition and');
-  p('                only show those that return truish. E.g.:');
-  p('                    -c \'this.pid == 123\'');
-  p('                    -c \'this.level == DEBUG\'');
-  p('                    -c \'this.msg.indexOf("boom") != -1\'');
-  p('                "CONDITION" must be legal JS code. `this` holds');
-  p('                the log record. The TRACE, DEBUG, ... FATAL values');
-  p('                are defined to help with comparing `this.level`.');
-  p('  --strict      Suppress all but legal Bunyan JSON log lines. By default');
-  p('                non-JSON, and non-Bunyan lines are passed through.');
+  p('                Only show records for which the condition is true.');
+  p('                Use field paths (optionally prefixed with "this."),');
+  p('                comparisons (==, !=, <, <=, >, >=), regex matches');
+  p('                (=~, !~), "in" lists, &&, ||, ! and parentheses. The');
+  p('                TRACE, DEBUG, ... FATAL values are defined to help');
+  p('                with comparing `level`. E.g.:');
+  p('                    -c \'pid == 123\'');
+  p('                    -c \'level >= WARN && req.method in ["PUT", "POST"]\'');
+  p('                    -c \'msg =~ /boom/i\'');
+  p('                Missing fields are undefined, never an error.');
+  p('  --js          Run "-c" conditions as JavaScript code, with `this`');
+  p('                holding the log record. This runs arbitrary code: only');
+  p('                use it with trusted conditions.');
+  p('  --since TIME  Only show records at or after the given time: an ISO');
+  p('                8601 timestamp, e.g. "2012-02-08T22:56:52Z", or a time');
+  p('                relative to now, e.g. "15m" or "2h" (units: s, m, h, d,');
+  p('                w).');
+  p('  --until TIME  Only show records at or before the given time. Reading a');
+  p('                FILE stops at its first record after TIME, if the');
+  p('                records so far were in time order.');
+  p('  --strict      Suppress all but log records (see "--input-format"). By');
+  p('                default other lines are passed through.');
+  p('  --input-format FORMAT');
+  p('                The format of the log records read. One of:');
+  p('                  auto: (the default) detect the format of each line');
+  p('                  bunyan: Bunyan JSON records');
+  p('                  pino: pino JSON records (epoch `time`, no `v`)');
+  p('                  ecs: Elastic Common Schema JSON, with "@timestamp"');
+  p('                    and "log.level" fields');
+  p('                  logfmt: key=value pairs with level, msg and time');
+  p('                Records are converted to Bunyan records. Missing name,');
+  p('                hostname and pid fields are shown as "-".');
   p('');
   p('Output options:');
   p('  --pager       Pipe output into `less` (or $PAGER if set), if');
@@ -228,8 +294,41 @@ function printHelp() {
   p('                  inspect: node.js `util.inspect` output');
   p('                  short: like "long", but more concise');
   p('                  simple: level, followed by "-" and then the message');
+  p('                  logfmt: key=value pairs, nested fields flattened to');
+  p('                    dotted keys, e.g. "req.method=GET"');
   p('  -j            shortcut for `-o json`');
   p('  -0            shortcut for `-o bunyan`');
+  p('  --time ZONE   Show times in the given time zone. One of:');
+  p('                  utc: (the default) UTC, as in the log records');
+  p('                  local: the local time zone (see $TZ)');
+  p('                  an IANA time zone name, e.g. "Europe/Oslo"');
+  p('  --time-format FORMAT');
+  p('                Show times in a strftime-like FORMAT, e.g.');
+  p('                "%Y-%m-%d %H:%M:%S". Supported: %Y %y %m %b %B %d %e');
+  p('                %a %A %H %I %p %M %S %L (ms) %z %Z %s %F %T %%.');
+  p('  --fields FIELD[,FIELD...]');
+  p('                Only show the given fields of each record. Dotted');
+  p('                paths select nested fields, e.g. "req.method". The');
+  p('                "long", "short" and "simple" modes always show the');
+  p('                fields they need for the record\'s first line.');
+  p('  --exclude FIELD[,FIELD...]');
+  p('                Do not show the given (possibly dotted) fields, e.g.');
+  p('                "req.headers,res".');
+  p('');
+  p('Stats options:');
+  p('  --stats, -o stats');
+  p('                Instead of the records, show counts of the (filtered)');
+  p('                records by level, name, component and hostname, a');
+  p('                histogram over time and the most common messages.');
+  p('                Shown as JSON with "-o json", "-o json-N" or "-o');
+  p('                bunyan".');
+  p('  --group-by FIELD[,FIELD...]');
+  p('                Also count records by the given (possibly dotted)');
+  p('                fields.');
+  p('  --bucket minute|hour|day');
+  p('                The histogram time bucket. By default it is picked');
+  p('                from the time range of the records.');
+  p('  --top N       Show the N most common messages (default 10).');
   p('');
   p('Environment Variables:');
   p('  BUNYAN_NO_COLOR    Set to a non-empty value to force no output ');
@@ -259,24 +358,51 @@ function printHelp() {
  *                  record), and 'time' (the parsed time value).
  *
  *    done          Whether the stream has any more records to emit.
+ *
+ *    lastTime      With `--until`, the time of the last record read.
+ *
+ *    unordered     With `--until`, whether the records read so far were out
+ *                  of time order.
+ *
+ *    idle          With `--follow`, whether the stream has been read to
+ *                  the end of its file. An idle stream doesn't hold back
+ *                  records from other streams while waiting for more input.
  */
 var streams = {};
 
-function gotRecord(file, line, rec, opts, stylize)
+function gotRecord(file, line, rec, opts)
 {
   var time = new Date(rec.time);
 
   streams[file]['records'].push({ line: line, rec: rec, time: time });
-  emitNextRecord(opts, stylize);
+  emitNextRecord(opts);
 }
 
-function filterRecord(rec, opts)
+/*
+ * Whether to show the given record. `time` is `Date.parse(rec.time)`, if
+ * `--since` or `--until` is used.
+ */
+function filterRecord(rec, opts, time)
 {
   if (opts.level && rec.level < opts.level) {
     return false;
   }
 
-  if (opts.condFuncs) {
+  if (opts.since !== null || opts.until !== null) {
+    if (isNaN(time) ||
+      (opts.since !== null && time < opts.since) ||
+      (opts.until !== null && time > opts.until))
+    {
+      return false;
+    }
+  }
+
+  if (opts.condFilters) {
+    for (var i = 0; i < opts.condFilters.length; i++) {
+      if (!opts.condFilters[i](rec))
+        return false;
+    }
+  } else if (opts.condFuncs) {
     var recCopy = objCopy(rec);
     for (var i = 0; i < opts.condFuncs.length; i++) {
       var pass = opts.condFuncs[i].call(recCopy);
@@ -294,7 +420,7 @@ function filterRecord(rec, opts)
   return true;
 }
 
-function emitNextRecord(opts, stylize)
+function emitNextRecord(opts)
 {
   var ofile, ready, minfile, rec;
 
@@ -314,7 +440,8 @@ function emitNextRecord(opts, stylize)
     for (ofile in streams) {
 
       if (streams[ofile].stream === null ||
-        (!streams[ofile].done && streams[ofile].records.length === 0)) {
+        (!streams[ofile].done && !streams[ofile].idle &&
+          streams[ofile].records.length === 0)) {
         ready = false;
         break;
       }
@@ -351,7 +478,7 @@ function emitNextRecord(opts, stylize)
      * make sure we emit as many records as we can right now.
      */
     rec = streams[minfile].records.shift();
-    emitRecord(rec.rec, rec.line, opts, stylize);
+    emitRecord(rec.rec, rec.line, opts);
   }
 }
 
@@ -382,6 +509,106 @@ function funcWithReturnFromSnippet(js) {
   return (new Function(varDefs + js));
 }
 
+/**
+ * Return a `vm.Script` for the given JS condition (for BUNYAN_EXEC=vm), after
+ * checking that it can filter a minimal Bunyan log record.
+ */
+function scriptFromCondition(condition, index) {
+  // Expose level definitions to condition vm context
+  var condDefines = [];
+  Object.keys(upperNameFromLevel).forEach(function (lvl) {
+    condDefines.push(
+      format('Object.prototype.%s = %s;', upperNameFromLevel[lvl], lvl));
+  });
+  condDefines = condDefines.join('\n') + '\n';
+
+  var scriptName = 'bunyan-condition-' + index;
+  var code = condDefines + condition;
+  var script;
+  try {
+    script = vm.createScript(code, scriptName);
+  } catch (complErr) {
+    throw new Error(format('illegal CONDITION code: %s\n'
+      + '  CONDITION script:\n'
+      + '%s\n'
+      + '  Error:\n'
+      + '%s',
+      complErr, indent(code), indent(complErr.stack)));
+  }
+
+  // Ensure this is a reasonably safe CONDITION.
+  try {
+    script.runInNewContext(minValidRecord);
+  } catch (condErr) {
+    throw new Error(format(
+      /* JSSTYLED */
+      'CONDITION code cannot safely filter a minimal Bunyan log record\n'
+      + '  CONDITION script:\n'
+      + '%s\n'
+      + '  Minimal Bunyan log record:\n'
+      + '%s\n'
+      + '  Filter error:\n'
+      + '%s',
+      indent(code),
+      indent(JSON.stringify(minValidRecord, null, 2)),
+      indent(condErr.stack)
+      ));
+  }
+  return script;
+}
+
+var MS_FROM_TIME_UNIT = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a `--since` or `--until` time: an ISO 8601 timestamp (or anything
+ * else `Date.parse` accepts), or a time relative to now, e.g. '15m' or '2h'
+ * for 15 minutes or 2 hours ago. Units are s, m, h, d and w.
+ *
+ * @returns {Number} The time in ms since the epoch.
+ */
+function parseTimeArg(optName, arg) {
+  if (arg === undefined) {
+    throw new Error(format('missing argument to "%s"', optName));
+  }
+  var relative = /^(\d+)([smhdw])$/.exec(arg);
+  if (relative) {
+    return Date.now() - Number(relative[1]) * MS_FROM_TIME_UNIT[relative[2]];
+  }
+  var time = Date.parse(arg);
+  if (isNaN(time)) {
+    throw new Error(format('invalid time for "%s": "%s"', optName, arg));
+  }
+  return time;
+}
+
+/**
+ * Parse a `--fields` or `--exclude` list of (possibly dotted) field paths,
+ * e.g. 'msg,req.method'.
+ *
+ * @returns {Array} The paths, each an array of field names.
+ */
+function parseFieldsArg(optName, arg) {
+  if (arg === undefined) {
+    throw new Error(format('missing argument to "%s"', optName));
+  }
+  return arg.split(',').map(function (field) {
+    var path = field.trim().split('.');
+    path.forEach(function (name) {
+      if (!name) {
+        throw new Error(format('invalid field path for "%s": "%s"',
+          optName, field));
+      }
+    });
+    return path;
+  });
+}
+
 /**
  * Parse the command-line options and arguments into an object.
  *
@@ -403,8 +630,20 @@ function parseArgv(argv) {
     outputMode: OM_LONG,
     jsonIndent: 2,
     level: null,
+    since: null,
+    until: null,
     strict: false,
-    timeFormat: TIME_UTC  // one of the TIME_ constants
+    timeFormat: TIME_UTC,  // one of the TIME_ constants or an IANA zone
+    timeStrftime: null,
+    conditions: [],
+    jsConditions: false,
+    fields: null,     // paths of the only fields to show, from '--fields'
+    exclude: null,    // paths of fields to drop, from '--exclude'
+    inputFormat: 'auto',
+    stats: false,
+    groupBy: null,    // paths of fields to count by, from '--group-by'
+    statsBucket: null,
+    statsTop: 10
   };
 
   // Turn '-iH' into '-i -H', except for argument-accepting options.
@@ -432,15 +671,48 @@ function parseArgv(argv) {
   }
   args = newArgs;
 
-  // Expose level definitions to condition vm context
-  var condDefines = [];
-  Object.keys(upperNameFromLevel).forEach(function (lvl) {
-    condDefines.push(
-      format('Object.prototype.%s = %s;', upperNameFromLevel[lvl], lvl));
-  });
-  condDefines = condDefines.join('\n') + '\n';
+  // Custom levels must be known before handling '-l' and '-c' below.
+  newArgs = [];
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--') {
+      newArgs = newArgs.concat(args.slice(i));
+      break;
+    } else if (args[i] === '--levels') {
+      var levelsArg = args[++i];
+      if (levelsArg === undefined) {
+        throw new Error('missing argument to "--levels"');
+      }
+      var levels = {};
+      levelsArg.split(',').forEach(function (spec) {
+        var eq = spec.indexOf('=');
+        if (eq === -1) {
+          levels[spec] = NaN;
+        } else {
+          levels[spec.slice(0, eq)] = +spec.slice(eq + 1);
+        }
+      });
+      addLevels(levels, '"--levels"');
+    } else if (args[i] === '--levels-file') {
+      var levelsFile = args[++i];
+      if (levelsFile === undefined) {
+        throw new Error('missing argument to "--levels-file"');
+      }
+      var levelsContent;
+      try {
+        levelsContent = JSON.parse(fs.readFileSync(levelsFile, 'utf8'));
+      } catch (readErr) {
+        throw new Error(format('could not read levels file "%s": %s',
+          levelsFile, readErr.message));
+      }
+      addLevels(levelsContent, format('"%s"', levelsFile));
+    } else {
+      newArgs.push(args[i]);
+    }
+  }
+  args = newArgs;
 
   var endOfOptions = false;
+  var statsOpt = null;  // a stats option, which requires '--stats'
   while (args.length > 0) {
     var arg = args.shift();
     switch (arg) {
@@ -457,6 +729,10 @@ function parseArgv(argv) {
       case '--strict':
         parsed.strict = true;
         break;
+      case '-f':
+      case '--follow':
+        parsed.follow = true;
+        break;
       case '--color':
         parsed.color = true;
         break;
@@ -480,6 +756,10 @@ function parseArgv(argv) {
             name = name.slice(0, idx);
           }
         }
+        if (name === 'stats') {
+          parsed.stats = true;
+          break;
+        }
         parsed.outputMode = OM_FROM_NAME[name];
         if (parsed.outputMode === undefined) {
           throw new Error('unknown output mode: "'+name+'"');
@@ -497,11 +777,24 @@ function parseArgv(argv) {
         case 'utc':
           parsed.timeFormat = TIME_UTC;
           break
+        case 'local':
+          parsed.timeFormat = TIME_LOCAL;
+          break
         case undefined:
           throw new Error('missing argument to "--time"');
         default:
-          throw new Error(format('invalid time format: "%s"',
-            timeArg));
+          // An IANA time zone name, e.g. 'Europe/Oslo'.
+          if (!isValidTimeFormat(timeArg)) {
+            throw new Error(format('invalid time format: "%s"',
+              timeArg));
+          }
+          parsed.timeFormat = timeArg;
+        }
+        break;
+      case '--time-format':
+        parsed.timeStrftime = args.shift();
+        if (parsed.timeStrftime === undefined) {
+          throw new Error('missing argument to "--time-format"');
         }
         break;
       case '-l':
@@ -516,51 +809,60 @@ function parseArgv(argv) {
         }
         parsed.level = level;
         break;
+      case '--since':
+      case '--until':
+        parsed[arg.slice(2)] = parseTimeArg(arg, args.shift());
+        break;
+      case '--fields':
+      case '--exclude':
+        parsed[arg.slice(2)] = (parsed[arg.slice(2)] || []).concat(
+          parseFieldsArg(arg, args.shift()));
+        break;
+      case '--input-format':
+        var inputFormat = args.shift();
+        if (inputFormat !== 'auto' &&
+          !INPUT_FORMATS.hasOwnProperty(inputFormat))
+        {
+          throw new Error(format('unknown input format: "%s"', inputFormat));
+        }
+        parsed.inputFormat = inputFormat;
+        break;
+      case '--stats':
+        parsed.stats = true;
+        break;
+      case '--group-by':
+        statsOpt = arg;
+        parsed.groupBy = (parsed.groupBy || []).concat(
+          parseFieldsArg(arg, args.shift()));
+        break;
+      case '--bucket':
+        statsOpt = arg;
+        var bucket = args.shift();
+        if (!MS_FROM_BUCKET.hasOwnProperty(bucket)) {
+          throw new Error(format(
+            'invalid "--bucket": "%s" (must be one of %s)', bucket,
+            Object.keys(MS_FROM_BUCKET).join(', ')));
+        }
+        parsed.statsBucket = bucket;
+        break;
+      case '--top':
+        statsOpt = arg;
+        var topArg = args.shift();
+        if (topArg === undefined || !/^\d+$/.test(topArg)) {
+          throw new Error(format('invalid "--top": "%s"', topArg));
+        }
+        parsed.statsTop = Number(topArg);
+        break;
       case '-c':
       case '--condition':
-        gUsingConditionOpts = true;
         var condition = args.shift();
-        if (Boolean(process.env.BUNYAN_EXEC &&
-          process.env.BUNYAN_EXEC === 'vm'))
-        {
-          parsed.condVm = parsed.condVm || [];
-          var scriptName = 'bunyan-condition-'+parsed.condVm.length;
-          var code = condDefines + condition;
-          var script;
-          try {
-            script = vm.createScript(code, scriptName);
-          } catch (complErr) {
-            throw new Error(format('illegal CONDITION code: %s\n'
-              + '  CONDITION script:\n'
-              + '%s\n'
-              + '  Error:\n'
-              + '%s',
-              complErr, indent(code), indent(complErr.stack)));
-          }
-
-          // Ensure this is a reasonably safe CONDITION.
-          try {
-            script.runInNewContext(minValidRecord);
-          } catch (condErr) {
-            throw new Error(format(
-              /* JSSTYLED */
-              'CONDITION code cannot safely filter a minimal Bunyan log record\n'
-              + '  CONDITION script:\n'
-              + '%s\n'
-              + '  Minimal Bunyan log record:\n'
-              + '%s\n'
-              + '  Filter error:\n'
-              + '%s',
-              indent(code),
-              indent(JSON.stringify(minValidRecord, null, 2)),
-              indent(condErr.stack)
-              ));
-          }
-          parsed.condVm.push(script);
-        } else  {
-          parsed.condFuncs = parsed.condFuncs || [];
-          parsed.condFuncs.push(funcWithReturnFromSnippet(condition));
+        if (condition === undefined) {
+          throw new Error(format('missing argument to "%s"', arg));
         }
+        parsed.conditions.push(condition);
+        break;
+      case '--js':
+        parsed.jsConditions = true;
         break;
       default: // arguments
         if (!endOfOptions && arg.length > 0 && arg[0] === '-') {
@@ -572,6 +874,51 @@ function parseArgv(argv) {
   }
   //TODO: '--' handling and error on a first arg that looks like an option.
 
+  if (parsed.jsConditions) {
+    gUsingConditionOpts = (parsed.conditions.length > 0);
+    parsed.conditions.forEach(function (condition) {
+      if (process.env.BUNYAN_EXEC === 'vm') {
+        parsed.condVm = parsed.condVm || [];
+        parsed.condVm.push(scriptFromCondition(condition,
+          parsed.condVm.length));
+      } else {
+        parsed.condFuncs = parsed.condFuncs || [];
+        parsed.condFuncs.push(funcWithReturnFromSnippet(condition));
+      }
+    });
+  } else if (parsed.conditions.length > 0) {
+    var levelConstants = {};
+    Object.keys(upperNameFromLevel).forEach(function (lvl) {
+      levelConstants[upperNameFromLevel[lvl]] = Number(lvl);
+    });
+    parsed.condFilters = parsed.conditions.map(function (condition) {
+      try {
+        return compileCondition(condition, levelConstants);
+      } catch (condErr) {
+        throw new Error(format('invalid CONDITION "%s": %s%s', condition,
+          condErr.message, (/[\w$]\s*\(/.test(condition)
+            ? ' (use "--js" for JavaScript conditions)' : '')));
+      }
+    });
+  }
+
+  if (statsOpt && !parsed.stats) {
+    throw new Error(format('"%s" requires "--stats"', statsOpt));
+  }
+
+  if (parsed.follow) {
+    if (parsed.args.length === 0) {
+      throw new Error('"--follow" requires at least one FILE argument');
+    } else if (parsed.stats) {
+      throw new Error('"--stats" cannot be used with "--follow"');
+    }
+    parsed.args.forEach(function (file) {
+      if (/\.gz$/.test(file)) {
+        throw new Error(format('cannot follow a gzipped file: "%s"', file));
+      }
+    });
+  }
+
   return parsed;
 }
 
@@ -581,62 +928,6 @@ function isInteger(s) {
 }
 
 
-// http://en.wikipedia.org/wiki/ANSI_escape_code#graphics
-// Suggested colors (some are unreadable in common cases):
-// - Good: cyan, yellow (limited use), bold, green, magenta, red
-// - Bad: blue (not visible on cmd.exe), grey (same color as background on
-//   Solarized Dark theme from <https://github.com/altercation/solarized>, see
-//   issue #160)
-var colors = {
-  'bold' : [1, 22],
-  'italic' : [3, 23],
-  'underline' : [4, 24],
-  'inverse' : [7, 27],
-  'white' : [37, 39],
-  'grey' : [90, 39],
-  'black' : [30, 39],
-  'blue' : [34, 39],
-  'cyan' : [36, 39],
-  'green' : [32, 39],
-  'magenta' : [35, 39],
-  'red' : [31, 39],
-  'yellow' : [33, 39]
-};
-
-function stylizeWithColor(str, color) {
-  if (!str)
-    return '';
-  var codes = colors[color];
-  if (codes) {
-    return '\x33[' + codes[0] + 'm' + str +
-           '\x33[' + codes[1] + 'm';
-  } else {
-    return str;
-  }
-}
-
-function stylizeWithoutColor(str, color) {
-  return str;
-}
-
-
-/**
- * Is this a valid Bunyan log record.
- */
-function isValidRecord(rec) {
-  if (rec.v == null ||
-      rec.level == null ||
-      rec.name == null ||
-      rec.hostname == null ||
-      rec.pid == null ||
-      rec.time == null ||
-      rec.msg == null) {
-    // Not valid Bunyan log.
-    return false;
-  } else {
-    return true;
-  }
-}
 var minValidRecord = {
   v: 0,   //TODO: get this from bunyan.LOG_VERSION
   level: INFO,
@@ -652,7 +943,7 @@ var minValidRecord = {
  * Parses the given log line and either emits it right away (for invalid
  * records) or enqueues it for emitting later when it's the next line to show.
  */
-function handleLogLine(file, line, opts, stylize) {
+function handleLogLine(file, line, opts) {
   if (exiting) {
     _selfTrace('warn: handleLogLine called while exiting');
     return;
@@ -660,381 +951,149 @@ function handleLogLine(file, line, opts, stylize) {
 
   currLine = line; // intentionally global
 
-  // Emit non-JSON lines immediately.
-  var rec;
-  if (!line) {
-    if (!opts.strict) emit(line + '\n');
+  if (file !== null && streams[file].pastUntil) {
     return;
-  } else if (line[0] !== '{') {
-    if (!opts.strict) emit(line + '\n');  // not JSON
-    return;
-  } else {
-    try {
-      rec = JSON.parse(line);
-    } catch (e) {
-      if (!opts.strict) emit(line + '\n');
-      return;
-    }
   }
 
-  if (!isValidRecord(rec)) {
-    if (!opts.strict) emit(line + '\n');
+  // Emit lines that aren't log records immediately.
+  var rec = (line ? parseInputLine(line, opts.inputFormat, levelFromName)
+    : null);
+  if (rec === null) {
+    emitOtherLine(line, opts);
     return;
   }
 
-  if (!filterRecord(rec, opts))
+  var time;
+  if (opts.since !== null || opts.until !== null) {
+    time = Date.parse(rec.time);
+  }
+
+  // If the records of a file have been in time order so far, the rest of
+  // the file past `--until` is skipped.
+  if (file !== null && opts.until !== null && !opts.follow && !isNaN(time)) {
+    var source = streams[file];
+    if (time < source.lastTime) {
+      source.unordered = true;
+    }
+    source.lastTime = time;
+    if (time > opts.until && !source.unordered) {
+      source.pastUntil = true;
+      return;
+    }
+  }
+
+  if (!filterRecord(rec, opts, time))
     return;
 
   if (file === null)
-    return emitRecord(rec, line, opts, stylize);
+    return emitRecord(rec, line, opts);
 
-  return gotRecord(file, line, rec, opts, stylize);
+  return gotRecord(file, line, rec, opts);
 }
 
 /**
  * Print out a single result, considering input options.
  */
-function emitRecord(rec, line, opts, stylize) {
-  var short = false;
-
-  switch (opts.outputMode) {
-  case OM_SHORT:
-    short = true;
-    /* jsl:fall-thru */
-
-  case OM_LONG:
-    //    [time] LEVEL: name[/comp]/pid on hostname (src): msg* (extras...)
-    //        msg*
-    //        --
-    //        long and multi-line extras
-    //        ...
-    // If 'msg' is single-line, then it goes in the top line.
-    // If 'req', show the request.
-    // If 'res', show the response.
-    // If 'err' and 'err.stack' then show that.
-    if (!isValidRecord(rec)) {
-      return emit(line + '\n');
-    }
-
-    delete rec.v;
-
-    // Time.
-    var time;
-    if (!short && opts.timeFormat === TIME_UTC) {
-      // Fast default path: We assume the raw `rec.time` is a UTC time
-      // in ISO 8601 format (per spec).
-      time = '[' + rec.time + ']';
-    } else if (opts.timeFormat === TIME_UTC) {
-      time = rec.time.substr(11);
-    }
-    time = stylize(time, 'none');
-    delete rec.time;
-
-    var nameStr = rec.name;
-    delete rec.name;
-
-    if (rec.component) {
-      nameStr += '/' + rec.component;
-    }
-    delete rec.component;
-
-    if (!short)
-      nameStr += '/' + rec.pid;
-    delete rec.pid;
-
-    var level = (upperPaddedNameFromLevel[rec.level] || 'LVL' + rec.level);
-    if (opts.color) {
-      var colorFromLevel = {
-        10: 'white',    // TRACE
-        20: 'yellow',   // DEBUG
-        30: 'cyan',     // INFO
-        40: 'magenta',  // WARN
-        50: 'red',      // ERROR
-        60: 'inverse',  // FATAL
-      };
-      level = stylize(level, colorFromLevel[rec.level]);
-    }
-    delete rec.level;
-
-    var src = '';
-    if (rec.src && rec.src.file) {
-      var s = rec.src;
-      if (s.func) {
-        src = format(' (%s:%d in %s)', s.file, s.line, s.func);
-      } else {
-        src = format(' (%s:%d)', s.file, s.line);
-      }
-      src = stylize(src, 'green');
-    }
-    delete rec.src;
-
-    var hostname = rec.hostname;
-    delete rec.hostname;
-
-    var extras = [];
-    var details = [];
+function emitRecord(rec, line, opts) {
+  if (stats) {
+    stats.addRecord(rec);
+    return;
+  }
+  if (opts.fields || opts.exclude) {
+    rec = projectRecord(rec, opts);
+  }
+  var str = formatRecord(rec, {
+    mode: opts.outputMode,
+    color: opts.color,
+    timeFormat: opts.timeFormat,
+    strftime: opts.timeStrftime,
+    jsonIndent: opts.jsonIndent
+  });
+  if (str === null) {
+    // Not a valid Bunyan log record for this output mode.
+    str = line + '\n';
+  }
+  emit(str);
+}
 
-    if (rec.req_id) {
-      extras.push('req_id=' + rec.req_id);
-    }
-    delete rec.req_id;
+/**
+ * Print out a line that isn't a Bunyan log record, unless '--strict'.
+ */
+function emitOtherLine(line, opts) {
+  if (stats) {
+    stats.otherLines++;
+  } else if (!opts.strict) {
+    emit(line + '\n');
+  }
+}
 
-    var onelineMsg;
-    if (rec.msg.indexOf('\n') !== -1) {
-      onelineMsg = '';
-      details.push(indent(stylize(rec.msg, 'cyan')));
-    } else {
-      onelineMsg = ' ' + stylize(rec.msg, 'cyan');
-    }
-    delete rec.msg;
-
-    if (rec.req && typeof (rec.req) === 'object') {
-      var req = rec.req;
-      delete rec.req;
-      var headers = req.headers;
-      if (!headers) {
-        headers = '';
-      } else if (typeof (headers) === 'string') {
-        headers = '\n' + headers;
-      } else if (typeof (headers) === 'object') {
-        headers = '\n' + Object.keys(headers).map(function (h) {
-          return h + ': ' + headers[h];
-        }).join('\n');
-      }
-      var s = format('%s %s HTTP/%s%s', req.method,
-        req.url,
-        req.httpVersion || '1.1',
-        headers
-      );
-      delete req.url;
-      delete req.method;
-      delete req.httpVersion;
-      delete req.headers;
-      if (req.body) {
-        s += '\n\n' + (typeof (req.body) === 'object'
-          ? JSON.stringify(req.body, null, 2) : req.body);
-        delete req.body;
-      }
-      if (req.trailers && Object.keys(req.trailers) > 0) {
-        s += '\n' + Object.keys(req.trailers).map(function (t) {
-          return t + ': ' + req.trailers[t];
-        }).join('\n');
-      }
-      delete req.trailers;
-      details.push(indent(s));
-      // E.g. for extra 'foo' field on 'req', add 'req.foo' at
-      // top-level. This *does* have the potential to stomp on a
-      // literal 'req.foo' key.
-      Object.keys(req).forEach(function (k) {
-        rec['req.' + k] = req[k];
-      })
-    }
+// The fields the "long", "short" and "simple" output modes need to render a
+// record. `--fields` and `--exclude` always keep these in those modes.
+var PRETTY_CORE_FIELDS = ['v', 'level', 'name', 'hostname', 'pid', 'time',
+  'msg'];
 
-    if (rec.client_req && typeof (rec.client_req) === 'object') {
-      var client_req = rec.client_req;
-      delete rec.client_req;
-
-      var headers = client_req.headers;
-      delete client_req.headers;
-
-      var s = format('%s %s HTTP/%s%s',
-        client_req.method,
-        client_req.url,
-        client_req.httpVersion || '1.1',
-        (headers ?
-          '\n' + Object.keys(headers).map(
-            function (h) {
-              return h + ': ' + headers[h];
-            }).join('\n') :
-          ''));
-      delete client_req.method;
-      delete client_req.url;
-      delete client_req.httpVersion;
-
-      if (client_req.body) {
-        s += '\n\n' + (typeof (client_req.body) === 'object' ?
-          JSON.stringify(client_req.body, null, 2) :
-          client_req.body);
-        delete client_req.body;
-      }
-      // E.g. for extra 'foo' field on 'client_req', add
-      // 'client_req.foo' at top-level. This *does* have the potential
-      // to stomp on a literal 'client_req.foo' key.
-      Object.keys(client_req).forEach(function (k) {
-        rec['client_req.' + k] = client_req[k];
+/**
+ * Return a copy of the record with only the `--fields` paths, if any, and
+ * without the `--exclude` paths. The record itself is not modified.
+ */
+function projectRecord(rec, opts) {
+  var pretty = (opts.outputMode === OM_LONG ||
+    opts.outputMode === OM_SHORT || opts.outputMode === OM_SIMPLE);
+  var projected;
+
+  if (opts.fields) {
+    projected = {};
+    if (pretty) {
+      PRETTY_CORE_FIELDS.forEach(function (name) {
+        projected[name] = rec[name];
       });
-      details.push(indent(s));
     }
-
-    function _res(res) {
-      var s = '';
-
-      /*
-       * Handle `res.header` or `res.headers` as either a string or
-       * an object of header key/value pairs. Prefer `res.header` if set,
-       * because that's what Bunyan's own `res` serializer specifies,
-       * because that's the value in Node.js's core HTTP server response
-       * implementation that has all the implicit headers.
-       *
-       * Note: `res.header` (string) typically includes the 'HTTP/1.1 ...'
-       * status line.
-       */
-      var headerTypes = {string: true, object: true};
-      var headers;
-      var headersStr = '';
-      var headersHaveStatusLine = false;
-      if (res.header && headerTypes[typeof (res.header)]) {
-        headers = res.header;
-        delete res.header;
-      } else if (res.headers && headerTypes[typeof (res.headers)]) {
-        headers = res.headers;
-        delete res.headers;
-      }
-      if (headers === undefined) {
-        /* pass through */
-      } else if (typeof (headers) === 'string') {
-        headersStr = headers.trimRight(); // Trim the CRLF.
-        if (headersStr.slice(0, 5) === 'HTTP/') {
-          headersHaveStatusLine = true;
+    opts.fields.forEach(function (path) {
+      var src = rec;
+      var dst = projected;
+      for (var i = 0; i < path.length; i++) {
+        if (src === null || typeof (src) !== 'object' ||
+          !Object.prototype.hasOwnProperty.call(src, path[i]))
+        {
+          return;
+        }
+        src = src[path[i]];
+        if (i === path.length - 1) {
+          dst[path[i]] = src;
+        } else {
+          if (dst[path[i]] === null || typeof (dst[path[i]]) !== 'object') {
+            dst[path[i]] = (Array.isArray(src) ? [] : {});
+          }
+          dst = dst[path[i]];
         }
-      } else {
-        headersStr += Object.keys(headers).map(
-          function (h) { return h + ': ' + headers[h]; }).join('\n');
-      }
-
-      /*
-       * Add a 'HTTP/1.1 ...' status line if the headers didn't already
-       * include it.
-       */
-      if (!headersHaveStatusLine && res.statusCode !== undefined) {
-        s += format('HTTP/1.1 %s %s\n', res.statusCode,
-          http.STATUS_CODES[res.statusCode]);
-      }
-      delete res.statusCode;
-      s += headersStr;
-
-      if (res.body !== undefined) {
-        var body = (typeof (res.body) === 'object'
-          ? JSON.stringify(res.body, null, 2) : res.body);
-        if (body.length > 0) { s += '\n\n' + body };
-        delete res.body;
-      } else {
-        s = s.trimRight();
-      }
-      if (res.trailer) {
-        s += '\n' + res.trailer;
-      }
-      delete res.trailer;
-      if (s) {
-        details.push(indent(s));
-      }
-      // E.g. for extra 'foo' field on 'res', add 'res.foo' at
-      // top-level. This *does* have the potential to stomp on a
-      // literal 'res.foo' key.
-      Object.keys(res).forEach(function (k) {
-        rec['res.' + k] = res[k];
-      });
-    }
-
-    if (rec.res && typeof (rec.res) === 'object') {
-      _res(rec.res);
-      delete rec.res;
-    }
-    if (rec.client_res && typeof (rec.client_res) === 'object') {
-      _res(rec.client_res);
-      delete rec.client_res;
-    }
-
-    if (rec.err && rec.err.stack) {
-      var err = rec.err
-      if (typeof (err.stack) !== 'string') {
-        details.push(indent(err.stack.toString()));
-      } else {
-        details.push(indent(err.stack));
       }
-      delete err.message;
-      delete err.name;
-      delete err.stack;
-      // E.g. for extra 'foo' field on 'err', add 'err.foo' at
-      // top-level. This *does* have the potential to stomp on a
-      // literal 'err.foo' key.
-      Object.keys(err).forEach(function (k) {
-        rec['err.' + k] = err[k];
-      })
-      delete rec.err;
-    }
+    });
+  } else {
+    projected = objCopy(rec);
+  }
 
-    var leftover = Object.keys(rec);
-    for (var i = 0; i < leftover.length; i++) {
-      var key = leftover[i];
-      var value = rec[key];
-      var stringified = false;
-      if (typeof (value) !== 'string') {
-        value = JSON.stringify(value, null, 2);
-        stringified = true;
-      }
-      if (value.indexOf('\n') !== -1 || value.length > 50) {
-        details.push(indent(key + ': ' + value));
-      } else if (!stringified && (value.indexOf(' ') != -1 ||
-        value.length === 0))
+  if (opts.exclude) {
+    // Copy objects along an excluded path before deleting from them.
+    opts.exclude.forEach(function (path) {
+      if (pretty && path.length === 1 &&
+        PRETTY_CORE_FIELDS.indexOf(path[0]) !== -1)
       {
-        extras.push(key + '=' + JSON.stringify(value));
-      } else {
-        extras.push(key + '=' + value);
+        return;
       }
-    }
-
-    extras = stylize(
-      (extras.length ? ' (' + extras.join(', ') + ')' : ''), 'none');
-    details = stylize(
-      (details.length ? details.join('\n    --\n') + '\n' : ''), 'none');
-    if (!short)
-      emit(format('%s %s: %s on %s%s:%s%s\n%s',
-        time,
-        level,
-        nameStr,
-        hostname || '<no-hostname>',
-        src,
-        onelineMsg,
-        extras,
-        details));
-    else
-      emit(format('%s %s %s:%s%s\n%s',
-        time,
-        level,
-        nameStr,
-        onelineMsg,
-        extras,
-        details));
-    break;
-
-  case OM_INSPECT:
-    emit(util.inspect(rec, false, Infinity, true) + '\n');
-    break;
-
-  case OM_BUNYAN:
-    emit(JSON.stringify(rec, null, 0) + '\n');
-    break;
-
-  case OM_JSON:
-    emit(JSON.stringify(rec, null, opts.jsonIndent) + '\n');
-    break;
-
-  case OM_SIMPLE:
-    /* JSSTYLED */
-    // <http://logging.apache.org/log4j/1.2/apidocs/org/apache/log4j/SimpleLayout.html>
-    if (!isValidRecord(rec)) {
-      return emit(line + '\n');
-    }
-    emit(format('%s - %s\n',
-      upperNameFromLevel[rec.level] || 'LVL' + rec.level,
-      rec.msg));
-    break;
-  default:
-    throw new Error('unknown output mode: '+opts.outputMode);
+      var obj = projected;
+      for (var i = 0; i < path.length - 1; i++) {
+        var next = obj[path[i]];
+        if (next === null || typeof (next) !== 'object') {
+          return;
+        }
+        obj = obj[path[i]] = objCopy(next);
+      }
+      delete obj[path[path.length - 1]];
+    });
   }
-}
 
+  return projected;
+}
 
 function emit(s) {
   try {
@@ -1050,10 +1109,9 @@ function emit(s) {
  * Process all input from stdin.
  *
  * @params opts {Object} Bunyan options object.
- * @param stylize {Function} Output stylize function to use.
  * @param callback {Function} `function ()`
  */
-function processStdin(opts, stylize, callback) {
+function processStdin(opts, callback) {
   var leftover = '';  // Left-over partial line from last chunk.
   var stdin = process.stdin;
   stdin.resume();
@@ -1067,17 +1125,17 @@ function processStdin(opts, stylize, callback) {
     }
 
     if (length > 1) {
-      handleLogLine(null, leftover + lines[0], opts, stylize);
+      handleLogLine(null, leftover + lines[0], opts);
     }
     leftover = lines.pop();
     length -= 1;
     for (var i = 1; i < length; i++) {
-      handleLogLine(null, lines[i], opts, stylize);
+      handleLogLine(null, lines[i], opts);
     }
   });
   stdin.on('end', function () {
     if (leftover) {
-      handleLogLine(null, leftover, opts, stylize);
+      handleLogLine(null, leftover, opts);
       leftover = '';
     }
     callback();
@@ -1090,11 +1148,11 @@ function processStdin(opts, stylize, callback) {
  *
  * @param file {String} Log file path to process.
  * @params opts {Object} Bunyan options object.
- * @param stylize {Function} Output stylize function to use.
  * @param callback {Function} `function ()`
  */
-function processFile(file, opts, stylize, callback) {
-  var stream = fs.createReadStream(file);
+function processFile(file, opts, callback) {
+  var fileStream = fs.createReadStream(file);
+  var stream = fileStream;
   if (/\.gz$/.test(file)) {
     stream = stream.pipe(createGunzip());
   }
@@ -1128,28 +1186,188 @@ function processFile(file, opts, stylize, callback) {
     }
 
     if (length > 1) {
-      handleLogLine(file, leftover + lines[0], opts, stylize);
+      handleLogLine(file, leftover + lines[0], opts);
     }
     leftover = lines.pop();
     length -= 1;
     for (var i = 1; i < length; i++) {
-      handleLogLine(file, lines[i], opts, stylize);
+      handleLogLine(file, lines[i], opts);
+    }
+
+    if (streams[file].pastUntil) {
+      _selfTrace('stop reading file "%s" past --until', file);
+      stream.destroy();
+      fileStream.destroy();
+      streams[file].done = true;
+      emitNextRecord(opts);
+      callback();
     }
   });
 
   stream.on('end', function () {
     streams[file].done = true;
     if (leftover) {
-      handleLogLine(file, leftover, opts, stylize);
+      handleLogLine(file, leftover, opts);
       leftover = '';
     } else {
-      emitNextRecord(opts, stylize);
+      emitNextRecord(opts);
     }
     callback();
   });
 }
 
 
+/**
+ * Process all input from the given log file, then keep reading it as it
+ * grows (`--follow`). If the file is rotated (i.e. a new file is at `file`)
+ * or truncated, reading restarts at the start of the new content.
+ *
+ * This only calls `callback` if the file cannot be opened.
+ *
+ * @param file {String} Log file path to process.
+ * @params opts {Object} Bunyan options object.
+ * @param callback {Function} `function (err)`
+ */
+function followFile(file, opts, callback) {
+  var fd = null;
+  var ino = null;
+  var pos = 0;
+  var buf = Buffer.alloc(64 * 1024);
+  var decoder = new StringDecoder('utf8');
+  var leftover = '';  // Left-over partial line from last chunk.
+  var running = false;
+  var paused = false;
+  var timer = null;
+
+  // Used as `streams[file].stream`, for `emitNextRecord` pausing.
+  streams[file].stream = {
+    pause: function () {
+      paused = true;
+    },
+    resume: function () {
+      paused = false;
+      next();
+    }
+  };
+
+  function next() {
+    if (running || exiting) {
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    readMore();
+  }
+
+  function later() {
+    running = false;
+    timer = setTimeout(next, FOLLOW_INTERVAL);
+  }
+
+  function handleChunk(chunk) {
+    var lines = chunk.split(/\r\n|\n/);
+    var length = lines.length;
+    if (length === 1) {
+      leftover += lines[0];
+      return;
+    }
+
+    handleLogLine(file, leftover + lines[0], opts);
+    leftover = lines.pop();
+    length -= 1;
+    for (var i = 1; i < length; i++) {
+      handleLogLine(file, lines[i], opts);
+    }
+  }
+
+  function readMore() {
+    if (paused || exiting) {
+      running = false;
+      return;
+    }
+    fs.read(fd, buf, 0, buf.length, pos, function (err, bytesRead) {
+      if (err) {
+        warn('bunyan: %s', err.message);
+        return later();
+      }
+      if (bytesRead === 0) {
+        // Caught up with the file: don't hold back other files' records.
+        streams[file].idle = true;
+        emitNextRecord(opts);
+        return checkFile();
+      }
+      pos += bytesRead;
+      streams[file].idle = false;
+      var chunk = decoder.write(buf.slice(0, bytesRead));
+      if (chunk.length) {
+        handleChunk(chunk);
+      }
+      readMore();
+    });
+  }
+
+  function checkFile() {
+    fs.stat(file, function (err, stats) {
+      if (err) {
+        // E.g. rotated away and not yet re-created.
+        return later();
+      }
+      if (stats.ino !== ino) {
+        _selfTrace('follow: "%s" was rotated', file);
+        if (leftover) {
+          handleLogLine(file, leftover, opts);
+          leftover = '';
+        }
+        fs.close(fd, function () {});
+        fd = null;
+        return open(function (openErr) {
+          if (openErr) {
+            return later();
+          }
+          readMore();
+        });
+      } else if (stats.size < pos) {
+        _selfTrace('follow: "%s" was truncated', file);
+        pos = 0;
+        leftover = '';
+        return readMore();
+      } else if (stats.size > pos) {
+        return readMore();
+      }
+      later();
+    });
+  }
+
+  function open(cb) {
+    fs.open(file, 'r', function (err, newFd) {
+      if (err) {
+        return cb(err);
+      }
+      fs.fstat(newFd, function (statErr, stats) {
+        if (statErr) {
+          fs.close(newFd, function () {});
+          return cb(statErr);
+        }
+        fd = newFd;
+        ino = stats.ino;
+        pos = 0;
+        decoder = new StringDecoder('utf8');
+        cb();
+      });
+    });
+  }
+
+  open(function (err) {
+    if (err) {
+      streams[file].done = true;
+      emitNextRecord(opts);
+      return callback(err);
+    }
+    next();
+  });
+}
+
+
 /**
  * From node async module.
  */
@@ -1179,6 +1397,244 @@ function asyncForEach(arr, iterator, callback) {
 
 
 
+//---- stats
+
+var MS_FROM_BUCKET = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Counts of log records for '--stats': by level, name, component, hostname
+ * and any '--group-by' fields, per time bucket, and of the most common
+ * messages.
+ *
+ * @param opts {Object} Bunyan options object. Uses `groupBy`, `statsBucket`
+ *    and `statsTop`.
+ */
+function Stats(opts) {
+  this.groupBy = opts.groupBy || [];
+  this.bucket = opts.statsBucket;  // null to pick one from the time range
+  this.top = opts.statsTop;
+
+  this.records = 0;
+  this.otherLines = 0;
+  this.first = null;
+  this.last = null;
+  this.levels = new Map();
+  this.names = new Map();
+  this.components = new Map();
+  this.hostnames = new Map();
+  this.groups = this.groupBy.map(function () { return new Map(); });
+  this.minutes = new Map();  // record counts per minute, by ms since epoch
+  this.messages = new Map();
+}
+
+Stats.prototype.addRecord = function (rec) {
+  var self = this;
+  this.records++;
+  _count(this.levels, rec.level);
+  _count(this.names, rec.name);
+  _count(this.components, rec.component);
+  _count(this.hostnames, rec.hostname);
+  this.groupBy.forEach(function (path, i) {
+    var value = rec;
+    for (var j = 0; j < path.length && value !== undefined; j++) {
+      value = (value !== null && typeof (value) === 'object'
+        ? value[path[j]] : undefined);
+    }
+    _count(self.groups[i], value);
+  });
+  _count(this.messages, rec.msg);
+
+  var time = Date.parse(rec.time);
+  if (!isNaN(time)) {
+    if (this.first === null || time < this.first) {
+      this.first = time;
+    }
+    if (this.last === null || time > this.last) {
+      this.last = time;
+    }
+    _count(this.minutes, time - time % MS_FROM_BUCKET.minute);
+  }
+}
+
+function _count(counts, value) {
+  if (value === undefined) {
+    return;
+  } else if (value !== null && typeof (value) === 'object') {
+    value = JSON.stringify(value);
+  }
+  counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+/**
+ * The stats as a plain object, e.g. for JSON output.
+ */
+Stats.prototype.toJSON = function () {
+  var self = this;
+  var bucket = this.bucket;
+  if (bucket === null) {
+    // Aim for a readable number of buckets.
+    var span = (this.first === null ? 0 : this.last - this.first);
+    bucket = (span <= 3 * MS_FROM_BUCKET.hour ? 'minute'
+      : span <= 7 * MS_FROM_BUCKET.day ? 'hour' : 'day');
+  }
+  var bucketMs = MS_FROM_BUCKET[bucket];
+  var histogram = {};
+  Array.from(this.minutes.keys()).sort(function (a, b) { return a - b; })
+    .forEach(function (minute) {
+      var label = _bucketLabel(minute - minute % bucketMs, bucket);
+      histogram[label] = (histogram[label] || 0) + self.minutes.get(minute);
+    });
+
+  var levels = {};
+  Array.from(this.levels.keys()).sort(function (a, b) { return a - b; })
+    .forEach(function (level) {
+      levels[upperNameFromLevel[level] || 'LVL' + level] =
+        self.levels.get(level);
+    });
+
+  var groupBy = {};
+  this.groupBy.forEach(function (path, i) {
+    groupBy[path.join('.')] = _sortedCounts(self.groups[i]);
+  });
+
+  return {
+    records: this.records,
+    otherLines: this.otherLines,
+    first: (this.first === null ? null : new Date(this.first).toISOString()),
+    last: (this.last === null ? null : new Date(this.last).toISOString()),
+    levels: levels,
+    names: _sortedCounts(this.names),
+    components: _sortedCounts(this.components),
+    hostnames: _sortedCounts(this.hostnames),
+    groupBy: groupBy,
+    histogram: {bucket: bucket, counts: histogram},
+    topMessages: _sortedEntries(this.messages).slice(0, this.top)
+      .map(function (entry) {
+        return {msg: entry[0], count: entry[1]};
+      })
+  };
+}
+
+/*
+ * Map entries sorted by descending count. Ties keep the order in which they
+ * were first seen.
+ */
+function _sortedEntries(counts) {
+  return Array.from(counts.entries()).sort(function (a, b) {
+    return b[1] - a[1];
+  });
+}
+
+function _sortedCounts(counts) {
+  var obj = {};
+  _sortedEntries(counts).forEach(function (entry) {
+    obj[entry[0]] = entry[1];
+  });
+  return obj;
+}
+
+function _bucketLabel(ms, bucket) {
+  var iso = new Date(ms).toISOString();
+  if (bucket === 'day') {
+    return iso.slice(0, 10);
+  }
+  return iso.slice(0, 16) + 'Z';
+}
+
+/**
+ * Render the stats as text tables, or as JSON for the "json" and "bunyan"
+ * output modes.
+ */
+Stats.prototype.format = function (opts) {
+  var data = this.toJSON();
+  if (opts.outputMode === OM_JSON) {
+    return JSON.stringify(data, null, opts.jsonIndent) + '\n';
+  } else if (opts.outputMode === OM_BUNYAN) {
+    return JSON.stringify(data) + '\n';
+  }
+
+  var lines = [
+    format('records:     %d', data.records),
+    format('other lines: %d', data.otherLines)
+  ];
+  if (data.first !== null) {
+    lines.push(format('first:       %s', data.first));
+    lines.push(format('last:        %s', data.last));
+  }
+
+  function section(title, counts) {
+    var keys = Object.keys(counts);
+    if (keys.length === 0) {
+      return;
+    }
+    lines.push('');
+    _table([[title, 'COUNT', '%']].concat(keys.map(function (key) {
+      return [key, String(counts[key]),
+        (100 * counts[key] / data.records).toFixed(1)];
+    })), 'lrr', lines);
+  }
+  section('LEVEL', data.levels);
+  section('NAME', data.names);
+  section('COMPONENT', data.components);
+  section('HOSTNAME', data.hostnames);
+  Object.keys(data.groupBy).forEach(function (field) {
+    section(field.toUpperCase(), data.groupBy[field]);
+  });
+
+  var buckets = Object.keys(data.histogram.counts);
+  if (buckets.length > 0) {
+    var max = Math.max.apply(null, buckets.map(function (b) {
+      return data.histogram.counts[b];
+    }));
+    lines.push('');
+    _table([[data.histogram.bucket.toUpperCase(), 'COUNT', '']].concat(
+      buckets.map(function (b) {
+        var count = data.histogram.counts[b];
+        return [b, String(count),
+          new Array(Math.ceil(40 * count / max) + 1).join('#')];
+      })), 'lrl', lines);
+  }
+
+  if (data.topMessages.length > 0) {
+    lines.push('');
+    _table([['COUNT', 'MSG']].concat(data.topMessages.map(function (m) {
+      return [String(m.count), JSON.stringify(m.msg)];
+    })), 'rl', lines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/*
+ * Append the rows of a table to `lines`, with columns padded to line up.
+ * `align` has an 'l' (left) or 'r' (right) per column.
+ */
+function _table(rows, align, lines) {
+  var widths = rows[0].map(function (_, col) {
+    return Math.max.apply(null, rows.map(function (row) {
+      return row[col].length;
+    }));
+  });
+  rows.forEach(function (row) {
+    lines.push(row.map(function (cell, col) {
+      var pad = new Array(widths[col] - cell.length + 1).join(' ');
+      return (align[col] === 'l' ? cell + pad : pad + cell);
+    }).join('  ').replace(/\s+$/, ''));
+  });
+}
+
+
+function emitStats(opts) {
+  if (stats) {
+    emit(stats.format(opts));
+  }
+}
+
+
 /**
  * Cleanup and exit properly.
  *
@@ -1309,13 +1765,13 @@ function main(argv) {
     }
   }
   usingAnsiCodes = opts.color; // intentionally global
-  var stylize = (opts.color ? stylizeWithColor : stylizeWithoutColor);
 
   // Pager.
   var paginate = (
     process.stdout.isTTY &&
     process.stdin.isTTY &&
     opts.args.length > 0 && // Don't page if no file args to process.
+    !opts.follow && // Don't page output that doesn't end.
     process.platform !== 'win32' &&
     (nodeVer[0] > 0 || nodeVer[1] >= 8) &&
     (opts.paginate === true ||
@@ -1360,15 +1816,20 @@ function main(argv) {
     }
   });
 
+  if (opts.stats) {
+    stats = new Stats(opts);
+  }
+
   var retval = 0;
   if (opts.args.length > 0) {
     var files = opts.args;
     files.forEach(function (file) {
       streams[file] = { stream: null, records: [], done: false }
     });
+    var processor = (opts.follow ? followFile : processFile);
     asyncForEach(files,
       function (file, next) {
-        processFile(file, opts, stylize, function (err) {
+        processor(file, opts, function (err) {
           if (err) {
             warn('bunyan: %s', err.message);
             retval += 1;
@@ -1381,12 +1842,14 @@ function main(argv) {
           warn('bunyan: unexpected error: %s', err.stack || err);
           cleanupAndExit(1);
         } else {
+          emitStats(opts);
           cleanupAndExit(retval);
         }
       }
     );
   } else {
-    processStdin(opts, stylize, function () {
+    processStdin(opts, function () {
+      emitStats(opts);
       cleanupAndExit(retval);
     });
   }
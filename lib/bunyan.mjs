@@ -13,8 +13,15 @@ import path from 'path'
 import assert from 'assert'
 import events from 'events'
 import stream from 'stream'
+import zlib from 'zlib'
+import { Worker } from 'worker_threads'
 import { fileURLToPath } from 'url'
 import safeJson from './safe-json.mjs'
+import { formatLogfmt, parseLogfmt } from './logfmt.mjs'
+import PrettyStream, {
+  formatRecord as formatPrettyRecord,
+  addLevel as addPrettyLevel
+} from './pretty.mjs'
 
 const EventEmitter = events.EventEmitter
 
@@ -191,6 +198,45 @@ function resolveLevel(nameOrNum) {
 }
 
 
+/**
+ * Gather some caller info 3 stack levels up: the caller of the log emitter
+ * (`log.info` et al), which called `mkRecord`, which called us.
+ * See <http://code.google.com/p/v8/wiki/JavaScriptStackTraceApi>.
+ *
+ * This captures onto a plain object rather than `this`, so it works in
+ * strict mode (i.e. in this ES module).
+ */
+function getCaller3Info() {
+  var obj = {};
+  var capture = {};
+  var saveLimit = Error.stackTraceLimit;
+  var savePrepare = Error.prepareStackTrace;
+  Error.stackTraceLimit = 3;
+
+  Error.prepareStackTrace = function (_, stack) {
+    var caller = stack[2];
+    if (!caller) {
+      return;
+    }
+    var file = caller.getFileName();
+    if (file && file.indexOf('file://') === 0) {
+      file = fileURLToPath(file);
+    }
+    obj.file = file;
+    obj.line = caller.getLineNumber();
+    var func = caller.getFunctionName();
+    if (func)
+      obj.func = func;
+  };
+  Error.captureStackTrace(capture, getCaller3Info);
+  capture.stack;
+
+  Error.stackTraceLimit = saveLimit;
+  Error.prepareStackTrace = savePrepare;
+  return obj;
+}
+
+
 function isWritable(obj) {
   if (obj instanceof stream.Writable) {
     return true;
@@ -199,8 +245,138 @@ function isWritable(obj) {
 }
 
 
+/**
+ * PendingWrites tracks the writes to a `fs.WriteStream` appending to a file
+ * (flags 'a'), to be able to synchronously write out those not done yet in
+ * the last moments of a process, when there will be no more event loop
+ * ticks to complete async writes.
+ *
+ * A chunk is pending until its write callback is called. Once the file is
+ * open, the first pending chunks are always in flight, i.e. being written
+ * by an `fs.write()` (on another thread) whose callback won't be called on
+ * exit. That write is waited for: the file grows when it is done, as this
+ * assumes the process is the only writer of the file. No other write starts
+ * without the event loop, so the rest is then written from there.
+ *
+ * @param ws {fs.WriteStream} The file stream, opened with flags 'a'.
+ * @param filePath {String} The file path.
+ */
+function PendingWrites(ws, filePath) {
+  this.ws = ws;
+  this.path = filePath;
+  // The file size once the pending chunks are written.
+  try {
+    this.size = fs.statSync(filePath).size;
+  } catch (err) {
+    this.size = 0;
+  }
+  this.chunks = [];
+}
+
+PendingWrites.prototype.write = function write(chunk) {
+  var self = this;
+  self.chunks.push(chunk);
+  self.size += Buffer.byteLength(chunk);
+  return self.ws.write(chunk, function () {
+    self.chunks.shift();
+  });
+};
+
+// How long to wait, on exit, for an in-flight write to a file.
+var IN_FLIGHT_WRITE_TIMEOUT = 1000;
+var _sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+/*
+ * Wait (up to `IN_FLIGHT_WRITE_TIMEOUT` ms) for an in-flight write to the
+ * file at `fd` to be done, i.e. for the file to grow past `base` bytes.
+ * Returns by how much it grew: 0 if the write didn't complete in time.
+ */
+function waitForWriteSync(fd, base) {
+  var deadline = Date.now() + IN_FLIGHT_WRITE_TIMEOUT;
+  var grown;
+  while ((grown = fs.fstatSync(fd).size - base) <= 0 &&
+    Date.now() < deadline)
+  {
+    Atomics.wait(_sleepCell, 0, 0, 1);
+  }
+  return Math.max(grown, 0);
+}
+
+/**
+ * Synchronously write out the pending chunks, after the in-flight write,
+ * if any (see `waitForWriteSync`). If that write doesn't complete in time,
+ * all pending chunks are written. If the file has not been opened yet, it
+ * is opened here.
+ */
+PendingWrites.prototype.flushSync = function flushSync() {
+  if (this.chunks.length === 0 || this.ws.destroyed) {
+    return;
+  }
+  var data = Buffer.from(this.chunks.join(''));
+  var fd = (typeof (this.ws.fd) === 'number' ? this.ws.fd : null);
+  var start = 0;
+  if (fd !== null) {
+    start = Math.min(waitForWriteSync(fd, this.size - data.length),
+      data.length);
+  }
+  this.chunks = [];
+  writeFileChunksSync(fd, this.path, [data.subarray(start)]);
+};
+
+/**
+ * Synchronously append chunks (strings or Buffers) to the given fd, or to
+ * `filePath` if `fd` is null.
+ */
+function writeFileChunksSync(fd, filePath, chunks) {
+  var ownFd = (fd === null);
+  if (ownFd) {
+    fd = fs.openSync(filePath, 'a');
+  }
+  try {
+    for (var i = 0; i < chunks.length; i++) {
+      fs.writeSync(fd, chunks[i]);
+    }
+  } finally {
+    if (ownFd) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Call `cb` once all writes so far to the given writable stream have been
+ * handled (successfully or not).
+ */
+function flushWritable(ws, cb) {
+  if (ws.writableFinished || ws.destroyed) {
+    process.nextTick(cb);
+  } else if (ws.writableEnded) {
+    stream.finished(ws, function () { cb(); });
+  } else {
+    // Write callbacks are called in order, so an empty write calls back
+    // after all earlier writes.
+    ws.write('', function () { cb(); });
+  }
+}
+
+
+// Loggers created with `flushOnExit: true`. One 'exit' listener serves
+// them all.
+var _exitLoggers = [];
+
+function _onProcessExit() {
+  for (var i = 0; i < _exitLoggers.length; i++) {
+    _exitLoggers[i]._flushStreamsSync();
+  }
+}
+
+
 //---- Logger class
 
+// Record fields that `<fields>` can't set: Bunyan sets them for each record,
+// or from the Logger options.
+var CORE_FIELDS = ['v', 'level', 'name', 'hostname', 'pid', 'time', 'msg'];
+
 /**
  * Create a Logger instance.
  *
@@ -210,7 +386,7 @@ function isWritable(obj) {
  *        objects with these fields:
  *          - `type`: The stream type. See README.md for full details.
  *            Often this is implied by the other fields. Examples are
- *            'file', 'stream' and "raw".
+ *            'file', 'stream', 'rotating-file' and "raw".
  *          - `level`: Defaults to 'info'.
  *          - `path` or `stream`: The specify the file path or writeable
  *            stream to which log records are written. E.g.
@@ -226,35 +402,77 @@ function isWritable(obj) {
  *        serializing functions. See README.md for details.
  *      - `src`: Boolean (default false). Set true to enable 'src' automatic
  *        field with log call source info.
+ *      - `levels`: object mapping custom level names to level values, e.g.
+ *        `{notice: 35}`. See `Logger.addLevel`.
+ *      - `flushOnExit`: Boolean (default false). Set true to synchronously
+ *        write out pending records of the streams this logger owns (per
+ *        their `closeOnExit`) when the process exits. The logger is kept
+ *        for this until `log.close()`.
+ *      - `redact`: array of log record field paths to censor, e.g.
+ *        `['req.headers.authorization', 'password']`, or an object
+ *        `{paths: [...], censor: <value or function>}`. See `parseRedact`.
+ *        A child's paths are added to those of its parent.
+ *      - `levelOverrides`: object mapping a log record field name to an
+ *        object of field values and the level to use for loggers with that
+ *        field value, e.g. `{component: {db: 'debug'}}`. Only for a root
+ *        logger: its children share them. See `log.levelOverrides()`.
+ *      - `sample`, `rateLimit`, `dedup`: drop some log records of this
+ *        logger and its children, unless a child sets its own. See
+ *        `RecordLimiter`.
  *    All other keys are log record fields.
  *
+ * To add log record fields that are never interpreted as config, even if
+ * their names collide with config keys, pass them separately:
+ *    new Logger(<options>, <fields>);
+ * These can't be core fields (see `CORE_FIELDS`).
+ *
  * An alternative *internal* call signature is used for creating a child:
  *    new Logger(<parent logger>, <child options>[, <child opts are simple>]);
+ *    new Logger(<parent logger>, <child options>, <child fields>);
  *
- * @param _childSimple (Boolean) An assertion that the given `_childOptions`
- *    (a) only add fields (no config) and (b) no serialization handling is
- *    required for them. IOW, this is a fast path for frequent child
- *    creation.
+ * @param _childSimple (Boolean|Object) Either an assertion that the given
+ *    `_childOptions` (a) only add fields (no config) and (b) no
+ *    serialization handling is required for them. IOW, this is a fast path
+ *    for frequent child creation. Or an object of fields for the child.
  */
 function Logger(options, _childOptions, _childSimple) {
   xxx('Logger start:', options)
   if (!(this instanceof Logger)) {
-    return new Logger(options, _childOptions);
+    return new Logger(options, _childOptions, _childSimple);
   }
 
   // Input arg validation.
   var parent;
-  if (_childOptions !== undefined) {
+  var extraFields;
+  if (options instanceof Logger) {
     parent = options;
     options = _childOptions;
-    if (!(parent instanceof Logger)) {
-      throw new TypeError(
-        'invalid Logger creation: do not pass a second arg');
+    if (_childSimple !== null && typeof (_childSimple) === 'object') {
+      extraFields = _childSimple;
+      _childSimple = false;
     }
+  } else if (_childOptions !== undefined) {
+    // `new Logger(<options>, <fields>)`
+    extraFields = _childOptions;
   }
   if (!options) {
     throw new TypeError('options (object) is required');
   }
+  if (extraFields !== undefined && extraFields !== null &&
+    (typeof (extraFields) !== 'object' || Array.isArray(extraFields)))
+  {
+    throw new TypeError('invalid fields: must be an object');
+  }
+  if (!extraFields) {
+    extraFields = null;
+  } else {
+    CORE_FIELDS.forEach(function (k) {
+      if (Object.prototype.hasOwnProperty.call(extraFields, k)) {
+        throw new TypeError(format('invalid fields: cannot set core '
+          + 'field "%s"', k));
+      }
+    });
+  }
   if (!parent) {
     if (!options.name) {
       throw new TypeError('options.name (string) is required');
@@ -264,6 +482,10 @@ function Logger(options, _childOptions, _childSimple) {
       throw new TypeError(
         'invalid options.name: child cannot set logger name');
     }
+    if (options.levelOverrides) {
+      throw new TypeError('invalid options.levelOverrides: child cannot '
+        + 'set level overrides (use "log.setLevelOverride()")');
+    }
   }
   if (options.stream && options.streams) {
     throw new TypeError('cannot mix "streams" and "stream" options');
@@ -275,11 +497,29 @@ function Logger(options, _childOptions, _childSimple) {
       Array.isArray(options.serializers))) {
     throw new TypeError('invalid options.serializers: must be an object')
   }
+  if (options.levels && (typeof (options.levels) !== 'object' ||
+      Array.isArray(options.levels))) {
+    throw new TypeError('invalid options.levels: must be an object')
+  }
+  var redact = (options.redact ? parseRedact(options.redact) : null);
+  if (options.levels) {
+    // Register custom levels first, so they can be used for `level`.
+    Object.keys(options.levels).forEach(function (name) {
+      addLevel(name, options.levels[name]);
+    });
+  }
+  var levelOverrides = (options.levelOverrides
+    ? parseLevelOverrides(options.levelOverrides) : null);
+  var limiter = (wantsLimiter(options)
+    ? new RecordLimiter(options, emitLoggerSummary) : null);
 
   EventEmitter.call(this);
 
-  // Fast path for simple child creation.
-  if (parent && _childSimple) {
+  // Fast path for simple child creation: either asserted with
+  // `log.child(<fields>, true)`, or just fields with `log.child(null, <fields>)`.
+  if (parent && (_childSimple ||
+    (extraFields && Object.keys(options).length === 0)))
+  {
     // `_isSimpleChild` is a signal to stream close handling that this child
     // owns none of its streams.
     this._isSimpleChild = true;
@@ -287,16 +527,30 @@ function Logger(options, _childOptions, _childSimple) {
     this._level = parent._level;
     this.streams = parent.streams;
     this.serializers = parent.serializers;
+    this.src = parent.src;
+    this._redact = parent._redact;
+    this._levelOverrides = parent._levelOverrides;
+    this._limiter = parent._limiter;
     var fields = this.fields = {};
     var parentFieldNames = Object.keys(parent.fields);
     for (var i = 0; i < parentFieldNames.length; i++) {
       var name = parentFieldNames[i];
       fields[name] = parent.fields[name];
     }
-    var names = Object.keys(options);
+    var newFields = options;
+    if (extraFields) {
+      // Unlike with `simple`, there is no assertion that these need no
+      // serialization.
+      newFields = extraFields;
+      if (this.serializers) {
+        newFields = objCopy(extraFields);
+        this._applySerializers(newFields);
+      }
+    }
+    var names = Object.keys(newFields);
     for (var i = 0; i < names.length; i++) {
       var name = names[i];
-      fields[name] = options[name];
+      fields[name] = newFields[name];
     }
     return;
   }
@@ -309,9 +563,14 @@ function Logger(options, _childOptions, _childSimple) {
     for (var i = 0; i < parent.streams.length; i++) {
       var s = objCopy(parent.streams[i]);
       s.closeOnExit = false; // Don't own parent stream.
+      s.endOnClose = false;
       this.streams.push(s);
     }
     this.serializers = objCopy(parent.serializers);
+    this.src = parent.src;
+    this._redact = parent._redact;
+    this._levelOverrides = parent._levelOverrides;
+    this._limiter = parent._limiter;
     this.fields = objCopy(parent.fields);
     if (options.level) {
       this.level(options.level);
@@ -320,6 +579,17 @@ function Logger(options, _childOptions, _childSimple) {
     this._level = Number.POSITIVE_INFINITY;
     this.streams = [];
     this.serializers = null;
+    this.src = false;
+    this._redact = null;
+    // Shared by reference with all children, so that changes apply to
+    // existing children. `level` is the level for loggers that match no
+    // override, if set by a level spec. `version` is bumped on each change.
+    this._levelOverrides = {
+      map: levelOverrides || {},
+      level: undefined,
+      version: 0
+    };
+    this._limiter = null;
     this.fields = {};
   }
 
@@ -349,6 +619,28 @@ function Logger(options, _childOptions, _childSimple) {
   if (options.serializers) {
     self.addSerializers(options.serializers);
   }
+  if (options.src) {
+    this.src = true;
+  }
+  if (redact) {
+    if (this._redact) {
+      redact = {
+        paths: this._redact.paths.concat(redact.paths),
+        censor: (redact.censor !== undefined
+          ? redact.censor : this._redact.censor)
+      };
+    }
+    this._redact = redact;
+  }
+  if (limiter) {
+    this._limiter = limiter;
+  }
+  if (options.flushOnExit) {
+    if (_exitLoggers.length === 0) {
+      process.on('exit', _onProcessExit);
+    }
+    _exitLoggers.push(this);
+  }
   xxx('Logger: ', self)
 
   // Fields.
@@ -361,6 +653,20 @@ function Logger(options, _childOptions, _childSimple) {
   delete fields.level;
   delete fields.streams;
   delete fields.serializers;
+  delete fields.src;
+  delete fields.flushOnExit;
+  delete fields.levels;
+  delete fields.redact;
+  delete fields.levelOverrides;
+  delete fields.sample;
+  delete fields.rateLimit;
+  delete fields.dedup;
+  if (extraFields) {
+    // These are only fields, even when they collide with config names.
+    Object.keys(extraFields).forEach(function (k) {
+      fields[k] = extraFields[k];
+    });
+  }
   if (this.serializers) {
     this._applySerializers(fields);
   }
@@ -384,13 +690,24 @@ util.inherits(Logger, EventEmitter);
  * @param stream {Object}. Object with these fields:
  *    - `type`: The stream type. See README.md for full details.
  *      Often this is implied by the other fields. Examples are
- *      'file', 'stream' and "raw".
+ *      'file', 'stream', 'rotating-file' and "raw".
  *    - `path` or `stream`: The specify the file path or writeable
  *      stream to which log records are written. E.g.
  *      `stream: process.stdout`.
  *    - `level`: Optional. Falls back to `defaultLevel`.
  *    - `closeOnExit` (boolean): Optional. Default is true for a
  *      'file' stream when `path` is given, false otherwise.
+ *    - `endOnClose` (boolean): Optional. Whether `log.close()` ends this
+ *      stream. Defaults to `closeOnExit`.
+ *    - `maxSize`, `count`, `gzip`: Optional. Rotate a 'file' stream when it
+ *      grows past `maxSize` (e.g. '50m'). See `SizeRotatingFileStream`.
+ *    - `batch`: Optional. True, or an object of `BatchStream` options, to
+ *      have a 'file' stream write records in batches. See `BatchStream`.
+ *    - `formatter`: Optional. How non-raw streams render records: one of
+ *      the names in `Logger.formatters` ('json', the default, 'short',
+ *      'simple' or 'logfmt') or a `function (rec)` returning a string.
+ *    - `sample`, `rateLimit`, `dedup`: Optional. Drop some of the log
+ *      records written to this stream. See `RecordLimiter`.
  *    See README.md for full details.
  * @param defaultLevel {Number|String} Optional. A level to use if
  *      `stream.level` is not set. If neither is given, this defaults to INFO.
@@ -412,6 +729,13 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
     }
   }
   s.raw = (s.type === 'raw');  // PERF: Allow for faster check in `_emit`.
+  if (s.raw) {
+    if (s.formatter !== undefined) {
+      throw new TypeError('"raw" streams do not take a "formatter"');
+    }
+  } else {
+    s.formatter = resolveFormatter(s.formatter);
+  }
 
   if (s.level !== undefined) {
     s.level = resolveLevel(s.level);
@@ -421,6 +745,9 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
   if (s.level < self._level) {
     self._level = s.level;
   }
+  if (wantsLimiter(s)) {
+    s.limiter = new RecordLimiter(s, writeStreamSummary);
+  }
 
   switch (s.type) {
   case 'stream':
@@ -436,8 +763,18 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
       s.reemitErrorEvents = true;
     }
     if (!s.stream) {
-      s.stream = fs.createWriteStream(s.path,
-                      {flags: 'a', encoding: 'utf8'});
+      if (s.maxSize !== undefined && s.batch) {
+        throw new TypeError('cannot use "batch" with "maxSize"');
+      } else if (s.maxSize !== undefined) {
+        s.stream = new SizeRotatingFileStream(s);
+      } else if (s.batch) {
+        s.stream = new BatchStream(Object.assign({},
+          (s.batch === true ? {} : s.batch), {path: s.path}));
+      } else {
+        s.stream = fs.createWriteStream(s.path,
+                        {flags: 'a', encoding: 'utf8'});
+        s.pendingWrites = new PendingWrites(s.stream, s.path);
+      }
       if (!s.closeOnExit) {
         s.closeOnExit = true;
       }
@@ -447,6 +784,18 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
       }
     }
     break;
+  case 'rotating-file':
+    assert.ok(!s.stream,
+          '"rotating-file" stream should not give a "stream"');
+    assert.ok(s.path);
+    if (s.reemitErrorEvents === undefined) {
+      s.reemitErrorEvents = true;
+    }
+    s.stream = new RotatingFileStream(s);
+    if (!s.closeOnExit) {
+      s.closeOnExit = true;
+    }
+    break;
   case 'raw':
     if (!s.closeOnExit) {
       s.closeOnExit = false;
@@ -456,12 +805,13 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
     throw new TypeError('unknown stream type "' + s.type + '"');
   }
 
+  // By default a logger ends, on `close()`, the streams it owns.
+  if (s.endOnClose === undefined) {
+    s.endOnClose = s.closeOnExit;
+  }
+
   if (s.reemitErrorEvents && typeof (s.stream.on) === 'function') {
-    // TODO: When we have `<logger>.close()`, it should remove event
-    //      listeners to not leak Logger instances.
-    s.stream.on('error', function onStreamError(err) {
-      self.emit('error', err, s);
-    });
+    self._reemitStreamErrors(s);
   }
 
   self.streams.push(s);
@@ -469,6 +819,23 @@ Logger.prototype.addStream = function addStream(s, defaultLevel) {
 }
 
 
+/**
+ * Re-emit "error" events from the given stream's underlying `s.stream` on
+ * this logger. The listener is tracked so that `close()` can remove it.
+ */
+Logger.prototype._reemitStreamErrors = function _reemitStreamErrors(s) {
+  var self = this;
+  var listener = function onStreamError(err) {
+    self.emit('error', err, s);
+  };
+  s.stream.on('error', listener);
+  if (!self._errorListeners) {
+    self._errorListeners = [];
+  }
+  self._errorListeners.push({stream: s.stream, listener: listener});
+}
+
+
 /**
  * Add serializers
  *
@@ -516,13 +883,19 @@ Logger.prototype.addSerializers = function addSerializers(serializers) {
  *        overwritten by using duplicate keys.
  *      - Can use `level` to set the level of the streams inherited from
  *        the parent. The level for the parent is NOT affected.
- * @param simple {Boolean} Optional. Set to true to assert that `options`
+ *      - The parent's `redact` paths are inherited. Any given `redact`
+ *        paths are *added* to them.
+ * @param fields {Object|Boolean} Optional. Either an object of log record
+ *    fields for the child, which are never interpreted as config. With no
+ *    `options`, i.e. `log.child(null, <fields>)`, this takes the same fast
+ *    path as `simple` below.
+ *    Or `simple`: set to true to assert that `options`
  *    (a) only add fields (no config) and (b) no serialization handling is
  *    required for them. IOW, this is a fast path for frequent child
  *    creation. See 'tools/timechild.js' for numbers.
  */
-Logger.prototype.child = function (options, simple) {
-  return new (this.constructor)(this, options || {}, simple);
+Logger.prototype.child = function (options, fields) {
+  return new (this.constructor)(this, options || {}, fields);
 }
 
 
@@ -546,7 +919,12 @@ Logger.prototype.child = function (options, simple) {
 Logger.prototype.reopenFileStreams = function () {
   var self = this;
   self.streams.forEach(function (s) {
-    if (s.type === 'file') {
+    if (s.type === 'file' && (s.stream instanceof SizeRotatingFileStream ||
+      s.stream instanceof BatchStream))
+    {
+      // Keeps its 'error' listener from `addStream`.
+      s.stream.reopen();
+    } else if (s.type === 'file') {
       if (s.stream) {
         // Not sure if typically would want this, or more immediate
         // `s.stream.destroy()`.
@@ -556,37 +934,149 @@ Logger.prototype.reopenFileStreams = function () {
       }
       s.stream = fs.createWriteStream(s.path,
         {flags: 'a', encoding: 'utf8'});
-      s.stream.on('error', function (err) {
-        self.emit('error', err, s);
-      });
+      s.pendingWrites = new PendingWrites(s.stream, s.path);
+      self._reemitStreamErrors(s);
     }
   });
 };
 
 
-/* BEGIN JSSTYLED */
+// Streams ended by `log.close()`. Children copy their parent's stream
+// configs, so they check this rather than the parent's `s.level`, to not
+// write to a stream that was ended.
+var _endedStreams = new WeakSet();
+
 /**
  * Close this logger.
  *
- * This closes streams (that it owns, as per 'endOnClose' attributes on
- * streams), etc. Typically you **don't** need to bother calling this.
-Logger.prototype.close = function () {
-  if (this._closed) {
+ * This ends the streams that it owns, as per the 'endOnClose' attribute on
+ * streams (which defaults to `closeOnExit`, i.e. true for 'file' and
+ * 'rotating-file' streams opened from a `path`), and removes the "error"
+ * event listeners that were added to its streams. A simple child (see
+ * `log.child(..., true)`) owns none of its streams, so closing it does
+ * nothing to them. Records later logged to ended streams, also through
+ * children, are dropped. Typically you **don't** need to bother calling this,
+ * but it is handy for short-lived tools and tests to not leak file
+ * descriptors.
+ *
+ * @param cb {Function} Optional. `function ()` called when all ended
+ *    writable streams have flushed.
+ */
+Logger.prototype.close = function close(cb) {
+  var self = this;
+  var pending = 1;
+
+  function done() {
+    pending -= 1;
+    if (pending === 0 && cb) {
+      cb();
+    }
+  }
+
+  if (self._closed) {
+    process.nextTick(done);
     return;
   }
-  if (!this._isSimpleChild) {
+  self._closed = true;
+
+  if (!self._isSimpleChild) {
     self.streams.forEach(function (s) {
-      if (s.endOnClose) {
-        xxx('closing stream s:', s);
+      if (!s.endOnClose) {
+        return;
+      }
+      xxx('closing stream s:', s);
+      s.endOnClose = false;
+      // Do not write to an ended stream.
+      s.level = Number.POSITIVE_INFINITY;
+      _endedStreams.add(s.stream);
+      if (s.stream instanceof stream.Writable ||
+        s.stream instanceof RotatingFileStream ||
+        s.stream instanceof SizeRotatingFileStream ||
+        s.stream instanceof BatchStream ||
+        s.stream instanceof ThreadStream)
+      {
+        pending += 1;
+        s.stream.end(done);
+      } else if (typeof (s.stream.end) === 'function') {
         s.stream.end();
-        s.endOnClose = false;
       }
     });
   }
-  this._closed = true;
+
+  if (self._errorListeners) {
+    self._errorListeners.forEach(function (l) {
+      l.stream.removeListener('error', l.listener);
+    });
+    delete self._errorListeners;
+  }
+
+  var idx = _exitLoggers.indexOf(self);
+  if (idx !== -1) {
+    _exitLoggers.splice(idx, 1);
+    if (_exitLoggers.length === 0) {
+      process.removeListener('exit', _onProcessExit);
+    }
+  }
+
+  process.nextTick(done);
+}
+
+
+/**
+ * Wait for pending writes on all streams of this logger to drain.
+ *
+ * Usage:
+ *    log.fatal(err, 'cannot continue');
+ *    log.flush().then(function () {
+ *        process.exit(1);
+ *    });
+ *
+ * @returns {Promise} Resolved when all writes so far have been handled.
+ *    Write errors are not reported here, but as "error" events per
+ *    `reemitErrorEvents`.
+ */
+Logger.prototype.flush = function flush() {
+  return Promise.all(this.streams.map(function (s) {
+    return new Promise(function (resolve) {
+      if (s.stream instanceof RotatingFileStream ||
+        s.stream instanceof SizeRotatingFileStream ||
+        s.stream instanceof BatchStream ||
+        s.stream instanceof ThreadStream)
+      {
+        s.stream.flush(resolve);
+      } else if (s.stream instanceof stream.Writable) {
+        flushWritable(s.stream, resolve);
+      } else {
+        resolve();
+      }
+    });
+  })).then(function () {});
 }
+
+
+/**
+ * Synchronously write out pending records of the streams this logger owns,
+ * as per their `closeOnExit`. This is called on process 'exit' for loggers
+ * created with `flushOnExit: true`.
  */
-/* END JSSTYLED */
+Logger.prototype._flushStreamsSync = function _flushStreamsSync() {
+  for (var i = 0; i < this.streams.length; i++) {
+    var s = this.streams[i];
+    if (!s.closeOnExit) {
+      continue;
+    }
+    try {
+      if (s.pendingWrites) {
+        s.pendingWrites.flushSync();
+      } else if (typeof (s.stream.flushSync) === 'function') {
+        s.stream.flushSync();
+      }
+    } catch (err) {
+      _warn(format('bunyan: ERROR: could not flush "%s" stream on exit: %s',
+        s.path || s.type, err.stack || err));
+    }
+  }
+}
 
 
 /**
@@ -683,110 +1173,570 @@ Logger.prototype.levels = function levels(name, value) {
 
 
 /**
- * Apply registered serializers to the appropriate keys in the given fields.
- *
- * Pre-condition: This is only called if there is at least one serializer.
+ * Parse level overrides: the `levelOverrides` Logger option.
  *
- * @param fields (Object) The log record fields.
- * @param excludeFields (Object) Optional mapping of keys to `true` for
- *    keys to NOT apply a serializer.
+ * @param overrides {Object} Maps a log record field name to an object
+ *    mapping values of that field to a level name or number, e.g.
+ *    `{component: {db: 'debug', http: 'warn'}}`.
+ * @returns {Object} The overrides with level numbers.
+ * @throws {TypeError} If `overrides` is invalid.
  */
-Logger.prototype._applySerializers = function (fields, excludeFields) {
-  var self = this;
-
-  xxx('_applySerializers: excludeFields', excludeFields);
-
-  // Check each serializer against these (presuming number of serializers
-  // is typically less than number of fields).
-  Object.keys(this.serializers).forEach(function (name) {
-    if (fields[name] === undefined ||
-      (excludeFields && excludeFields[name]))
+function parseLevelOverrides(overrides) {
+  if (overrides === null || typeof (overrides) !== 'object' ||
+    Array.isArray(overrides))
+  {
+    throw new TypeError('invalid level overrides: must be an object');
+  }
+  var map = {};
+  Object.keys(overrides).forEach(function (field) {
+    var levels = overrides[field];
+    if (levels === null || typeof (levels) !== 'object' ||
+      Array.isArray(levels))
     {
-      return;
-    }
-    xxx('_applySerializers; apply to "%s" key', name)
-    try {
-      fields[name] = self.serializers[name](fields[name]);
-    } catch (err) {
-      _warn(format('bunyan: ERROR: Exception thrown from the "%s" '
-        + 'Bunyan serializer. This should never happen. This is a bug '
-        + 'in that serializer function.\n%s',
-        name, err.stack || err));
-      fields[name] = format('(Error in Bunyan log "%s" serializer '
-        + 'broke field. See stderr for details.)', name);
+      throw new TypeError(format(
+        'invalid level overrides for field "%s": must be an object', field));
     }
+    map[field] = {};
+    Object.keys(levels).forEach(function (value) {
+      map[field][value] = resolveLevel(levels[value]);
+    });
   });
+  return map;
 }
 
-
-/**
- * Emit a log record.
+/*
+ * Find the level override for a logger with the given fields. If the fields
+ * match more than one override, the lowest level wins.
  *
- * @param rec {log record}
- * @param noemit {Boolean} Optional. Set to true to skip emission
- *      and just return the JSON string.
+ * @returns {Number} The level, or undefined if no override matches.
  */
-Logger.prototype._emit = function (rec, noemit) {
-  var i;
-
-  // Lazily determine if this Logger has non-'raw' streams. If there are
-  // any, then we need to stringify the log record.
-  if (this.haveNonRawStreams === undefined) {
-    this.haveNonRawStreams = false;
-    for (i = 0; i < this.streams.length; i++) {
-      if (!this.streams[i].raw) {
-        this.haveNonRawStreams = true;
-        break;
-      }
+function findLevelOverride(map, fields) {
+  var level;
+  var names = Object.keys(map);
+  for (var i = 0; i < names.length; i++) {
+    var value = fields[names[i]];
+    var type = typeof (value);
+    if (type !== 'string' && type !== 'number' && type !== 'boolean') {
+      continue;
+    }
+    var levels = map[names[i]];
+    var key = String(value);
+    if (Object.prototype.hasOwnProperty.call(levels, key) &&
+      (level === undefined || levels[key] < level))
+    {
+      level = levels[key];
     }
   }
+  return level;
+}
 
-  // Stringify the object (creates a warning str on error).
-  var str;
-  if (noemit || this.haveNonRawStreams) {
-    str = fastAndSafeJsonStringify(rec) + '\n';
+
+/**
+ * Get/set the level overrides. These are set on a root logger and shared
+ * with all its children: a logger whose fields include one of the given
+ * field values logs at the given level, more or less verbose than its own.
+ * A more verbose override lowers the level of the logger's most verbose
+ * streams only: a stream configured with a higher level (e.g. an 'error'
+ * stream next to an 'info' one) keeps it. Other loggers are unaffected.
+ * Changes apply immediately to all existing children.
+ *
+ * Get Usage:
+ *    log.levelOverrides() -> {component: {db: DEBUG}}
+ *
+ * Set Usage:
+ *    // Debug logging for `log.child({component: 'db'})` et al.
+ *    log.levelOverrides({component: {db: 'debug'}})
+ *    log.levelOverrides({})      // remove all overrides
+ *
+ * @param overrides {Object} Optional. The new overrides, replacing all
+ *    current ones. See `parseLevelOverrides`. If not given, this is a 'get'
+ *    operation.
+ */
+Logger.prototype.levelOverrides = function levelOverrides(overrides) {
+  var shared = this._levelOverrides;
+  if (overrides === undefined) {
+    var copy = {};
+    Object.keys(shared.map).forEach(function (field) {
+      copy[field] = objCopy(shared.map[field]);
+    });
+    return copy;
   }
+  shared.map = parseLevelOverrides(overrides);
+  shared.version++;
+}
 
-  if (noemit)
-    return str;
 
-  var level = rec.level;
-  for (i = 0; i < this.streams.length; i++) {
-    var s = this.streams[i];
-    if (s.level <= level) {
-      xxx('writing log rec "%s" to "%s" stream (%d <= %d): %j',
-        rec.msg, s.type, s.level, level, rec);
-      s.stream.write(s.raw ? rec : str);
+/**
+ * Set or remove a single level override. See `log.levelOverrides()`.
+ *
+ * Usage:
+ *    log.setLevelOverride('component', 'db', 'debug')
+ *    log.setLevelOverride('component', 'db', null)   // remove it
+ *
+ * @param field {String} The log record field name, e.g. 'component'.
+ * @param value {String|Number|Boolean} The field value.
+ * @param level {Number|String} The level value (DEBUG) or alias ('debug'),
+ *    or null to remove the override.
+ */
+Logger.prototype.setLevelOverride = function (field, value, level) {
+  if (typeof (field) !== 'string') {
+    throw new TypeError('field (string) is required');
+  }
+  var shared = this._levelOverrides;
+  var key = String(value);
+  if (level === null || level === undefined) {
+    var levels = shared.map[field];
+    if (!levels || !Object.prototype.hasOwnProperty.call(levels, key)) {
+      return;
     }
-  };
+    delete levels[key];
+    if (Object.keys(levels).length === 0) {
+      delete shared.map[field];
+    }
+  } else {
+    var newLevel = resolveLevel(level);
+    if (!Object.prototype.hasOwnProperty.call(shared.map, field)) {
+      shared.map[field] = {};
+    }
+    shared.map[field][key] = newLevel;
+  }
+  shared.version++;
+}
 
-  return str;
+
+/*
+ * The level override for this logger (see `log.levelOverrides()` and
+ * `log.setLevelSpec()`), or undefined. It is cached until the shared
+ * overrides change.
+ */
+Logger.prototype._getLevelOverride = function () {
+  var shared = this._levelOverrides;
+  if (this._levelOverridesVersion !== shared.version) {
+    var level = findLevelOverride(shared.map, this.fields);
+    this._levelOverride = (level === undefined ? shared.level : level);
+    this._levelOverridesVersion = shared.version;
+  }
+  return this._levelOverride;
 }
 
 
 /**
- * Build a record object suitable for emitting from the arguments
- * provided to the a log emitter.
+ * Parse a level spec, e.g. from the `BUNYAN_LEVEL` environment variable.
+ * This is a comma-separated list of:
+ *    - `<level>`: the level for all loggers that match no other entry;
+ *    - `<component>=<level>`: the level for loggers with that `component`
+ *      field value;
+ *    - `<field>:<value>=<level>`: the level for loggers with that value of
+ *      any other field.
+ * E.g. 'info,db=debug,http=trace' or 'warn,worker:3=debug'.
+ *
+ * @param spec {String} The level spec.
+ * @returns {Object} `{level: <level or undefined>, overrides: <overrides>}`
+ *    where `overrides` are as for `log.levelOverrides()`.
+ * @throws {TypeError} If the spec is invalid.
  */
-function mkRecord(log, minLevel, args) {
-  var excludeFields, fields, msgArgs;
-  if (args[0] instanceof Error) {
-    // `log.<level>(err, ...)`
-    fields = {
-      // Use this Logger's err serializer, if defined.
-      err: (log.serializers && log.serializers.err
-        ? log.serializers.err(args[0])
-        : Logger.stdSerializers.err(args[0]))
-    };
-    excludeFields = {err: true};
-    if (args.length === 1) {
-      msgArgs = [fields.err.message];
-    } else {
-      msgArgs = args.slice(1);
+function parseLevelSpec(spec) {
+  if (typeof (spec) !== 'string') {
+    throw new TypeError('level spec (string) is required');
+  }
+  var result = {level: undefined, overrides: {}};
+  spec.split(',').forEach(function (entry) {
+    entry = entry.trim();
+    if (!entry) {
+      return;
     }
-  } else if (typeof (args[0]) !== 'object' || Array.isArray(args[0])) {
-    // `log.<level>(msg, ...)`
-    fields = null;
+    var eq = entry.lastIndexOf('=');
+    var levelStr = entry.slice(eq + 1).trim();
+    var level;
+    try {
+      level = resolveLevel(
+        /^\d+$/.test(levelStr) ? Number(levelStr) : levelStr);
+    } catch (err) {
+      throw new TypeError(format('invalid level spec "%s": %s', spec,
+        err.message));
+    }
+    if (eq === -1) {
+      result.level = level;
+      return;
+    }
+    var target = entry.slice(0, eq);
+    var colon = target.indexOf(':');
+    var field = (colon === -1 ? 'component' : target.slice(0, colon).trim());
+    var value = target.slice(colon + 1).trim();
+    if (!field || !value) {
+      throw new TypeError(format(
+        'invalid level spec "%s": invalid entry "%s"', spec, entry));
+    }
+    if (!Object.prototype.hasOwnProperty.call(result.overrides, field)) {
+      result.overrides[field] = {};
+    }
+    result.overrides[field][value] = level;
+  });
+  return result;
+}
+
+
+/**
+ * Set levels from a level spec (see `parseLevelSpec`), e.g.
+ * 'info,db=debug,http=trace'. This replaces the level overrides (see
+ * `log.levelOverrides()`) shared by this logger's root and all its children,
+ * so it applies to existing children as well as new ones. A level in the
+ * spec without a component applies to all loggers that match no override.
+ * Without one, those loggers use their own levels. Like overrides, spec
+ * levels only lower the level of a logger's most verbose streams: e.g.
+ * 'debug' doesn't write debug records to an 'error' stream next to an
+ * 'info' one.
+ *
+ * Usage:
+ *    log.setLevelSpec('info,db=debug')
+ *
+ * @param spec {String} The level spec.
+ * @throws {TypeError} If the spec is invalid.
+ */
+Logger.prototype.setLevelSpec = function setLevelSpec(spec) {
+  var parsed = parseLevelSpec(spec);
+  var shared = this._levelOverrides;
+  shared.map = parsed.overrides;
+  shared.level = parsed.level;
+  shared.version++;
+}
+
+
+/**
+ * Set levels from the level spec in an environment variable, if it is set.
+ * See `log.setLevelSpec()`. An invalid spec is ignored with a warning on
+ * stderr. Typically called once on the root logger at startup:
+ *
+ *      var log = bunyan.createLogger(...);
+ *      log.levelsFromEnv();    // e.g. BUNYAN_LEVEL=info,db=debug
+ *
+ * @param name {String} Optional. The environment variable name. Default
+ *    'BUNYAN_LEVEL'.
+ * @returns {Boolean} Whether levels were set.
+ */
+Logger.prototype.levelsFromEnv = function levelsFromEnv(name) {
+  name = name || 'BUNYAN_LEVEL';
+  var spec = process.env[name];
+  if (!spec) {
+    return false;
+  }
+  try {
+    this.setLevelSpec(spec);
+  } catch (err) {
+    _warn(format('bunyan: WARNING: ignoring invalid %s: %s', name,
+      err.message));
+    return false;
+  }
+  return true;
+}
+
+
+/**
+ * Cycle levels on a signal, to turn on more verbose logging in a running
+ * process without restarting it. Each signal sets the next of the given
+ * levels for all loggers sharing this logger's level overrides (this
+ * logger's root and all its children), and the signal after the last level
+ * restores the previous levels and overrides:
+ *
+ *      var log = bunyan.createLogger(...);
+ *      log.cycleLevelsOnSignal();
+ *      ...
+ *      $ kill -USR2 <pid>      # debug
+ *      $ kill -USR2 <pid>      # trace
+ *      $ kill -USR2 <pid>      # back to the previous levels
+ *
+ * @param signal {String} Optional. The signal name. Default 'SIGUSR2'.
+ * @param levels {Array} Optional. The levels to cycle through. Default
+ *    `['debug', 'trace']`.
+ * @returns {Function} A function that stops handling the signal. It does
+ *    not restore levels.
+ */
+Logger.prototype.cycleLevelsOnSignal = function (signal, levels) {
+  signal = signal || 'SIGUSR2';
+  levels = (levels || ['debug', 'trace']).map(resolveLevel);
+  if (levels.length === 0) {
+    throw new TypeError('invalid levels: must not be empty');
+  }
+  var shared = this._levelOverrides;
+  var saved = null;
+  var next = 0;
+
+  function onSignal() {
+    if (next < levels.length) {
+      if (saved === null) {
+        saved = {map: shared.map, level: shared.level};
+      }
+      shared.map = {};
+      shared.level = levels[next++];
+    } else {
+      shared.map = saved.map;
+      shared.level = saved.level;
+      saved = null;
+      next = 0;
+    }
+    shared.version++;
+  }
+
+  process.on(signal, onSignal);
+  return function stop() {
+    process.removeListener(signal, onSignal);
+  };
+}
+
+
+/**
+ * Apply registered serializers to the appropriate keys in the given fields.
+ *
+ * Pre-condition: This is only called if there is at least one serializer.
+ *
+ * @param fields (Object) The log record fields.
+ * @param excludeFields (Object) Optional mapping of keys to `true` for
+ *    keys to NOT apply a serializer.
+ */
+Logger.prototype._applySerializers = function (fields, excludeFields) {
+  var self = this;
+
+  xxx('_applySerializers: excludeFields', excludeFields);
+
+  // Check each serializer against these (presuming number of serializers
+  // is typically less than number of fields).
+  Object.keys(this.serializers).forEach(function (name) {
+    if (fields[name] === undefined ||
+      (excludeFields && excludeFields[name]))
+    {
+      return;
+    }
+    xxx('_applySerializers; apply to "%s" key', name)
+    try {
+      fields[name] = self.serializers[name](fields[name]);
+    } catch (err) {
+      _warn(format('bunyan: ERROR: Exception thrown from the "%s" '
+        + 'Bunyan serializer. This should never happen. This is a bug '
+        + 'in that serializer function.\n%s',
+        name, err.stack || err));
+      fields[name] = format('(Error in Bunyan log "%s" serializer '
+        + 'broke field. See stderr for details.)', name);
+    }
+  });
+}
+
+
+/**
+ * Emit a log record.
+ *
+ * @param rec {log record}
+ * @param noemit {Boolean} Optional. Set to true to skip emission
+ *      and just return the JSON string.
+ */
+Logger.prototype._emit = function (rec, noemit) {
+  var i;
+
+  // Lazily determine if this Logger has non-'raw' streams using the
+  // default JSON format. If there are any, then we need to stringify the
+  // log record.
+  if (this.haveNonRawStreams === undefined) {
+    this.haveNonRawStreams = false;
+    for (i = 0; i < this.streams.length; i++) {
+      if (!this.streams[i].raw &&
+        this.streams[i].formatter === jsonFormatter)
+      {
+        this.haveNonRawStreams = true;
+        break;
+      }
+    }
+  }
+
+  // Stringify the object (creates a warning str on error).
+  var str;
+  if (noemit || this.haveNonRawStreams) {
+    str = fastAndSafeJsonStringify(rec) + '\n';
+  }
+
+  if (noemit)
+    return str;
+
+  // Other formats are computed lazily, once per record for each distinct
+  // formatter.
+  var formatted = null;
+  var level = rec.level;
+  // A level override lowers the level of this logger's most verbose
+  // streams, but not that of streams configured higher, e.g. an 'error'
+  // stream next to an 'info' one.
+  var override = this._getLevelOverride();
+  for (i = 0; i < this.streams.length; i++) {
+    var s = this.streams[i];
+    var streamLevel = (override !== undefined && override < s.level &&
+      s.level <= this._level ? override : s.level);
+    if (streamLevel <= level && !_endedStreams.has(s.stream) &&
+      (s.limiter === undefined ||
+        (s.limiter.allow(level) && !s.limiter.isDuplicate(rec, s, this))))
+    {
+      xxx('writing log rec "%s" to "%s" stream (%d <= %d): %j',
+        rec.msg, s.type, s.level, level, rec);
+      if (s.raw) {
+        s.stream.write(rec);
+      } else if (s.formatter === jsonFormatter) {
+        (s.pendingWrites || s.stream).write(str);
+      } else {
+        if (formatted === null) {
+          formatted = new Map();
+        }
+        var out = formatted.get(s.formatter);
+        if (out === undefined) {
+          out = formatRecord(s.formatter, rec);
+          formatted.set(s.formatter, out);
+        }
+        (s.pendingWrites || s.stream).write(out);
+      }
+    }
+  };
+
+  return str;
+}
+
+
+var REDACT_CENSOR = '[REDACTED]';
+
+/**
+ * Parse the `redact` Logger option.
+ *
+ * @param redact {Array|Object} Either an array of field paths, or an object
+ *    with these fields:
+ *      - `paths`: the array of field paths.
+ *      - `censor`: Optional. The value to replace redacted values with,
+ *        default '[REDACTED]'. Or a `function (value, path)` returning
+ *        the replacement, where `path` is the dotted path of the value.
+ *    A field path is a dotted path into the log record, e.g. 'password' or
+ *    'req.headers.authorization'. A '*' path segment matches any key (or
+ *    array index) at that level, e.g. 'users.*.password'.
+ * @returns {Object} `{paths: <array of path segment arrays>, censor: ...}`.
+ *    `censor` is undefined if not given, to allow a child to use its
+ *    parent's.
+ */
+function parseRedact(redact) {
+  var paths, censor;
+  if (Array.isArray(redact)) {
+    paths = redact;
+  } else if (typeof (redact) === 'object' && Array.isArray(redact.paths)) {
+    paths = redact.paths;
+    censor = redact.censor;
+  } else {
+    throw new TypeError('invalid options.redact: must be an array of '
+      + 'field paths or an object with a "paths" array');
+  }
+  return {
+    paths: paths.map(function (p) {
+      if (typeof (p) !== 'string' || !/^[^.]+(\.[^.]+)*$/.test(p)) {
+        throw new TypeError(format('invalid redact path: %j', p));
+      }
+      return p.split('.');
+    }),
+    censor: censor
+  };
+}
+
+/**
+ * Censor the values at the given `redact` paths of a record. Objects on the
+ * way to a redacted value are copied, so that objects given by the caller
+ * (or kept in `log.fields`) are never modified. Only plain objects and arrays
+ * are walked: e.g. a Date or Buffer is left as is.
+ */
+function redactRecord(rec, redact) {
+  var copied = new Set();
+  for (var i = 0; i < redact.paths.length; i++) {
+    _redactPath(rec, redact.paths[i], 0, '', redact.censor, copied);
+  }
+}
+
+function isPlainObjectOrArray(value) {
+  if (value === null || typeof (value) !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null ||
+    Array.isArray(value));
+}
+
+function _redactPath(obj, path, i, prefix, censor, copied) {
+  var segment = path[i];
+  var keys;
+  if (segment === '*') {
+    keys = Object.keys(obj);
+  } else if (Object.prototype.hasOwnProperty.call(obj, segment)) {
+    keys = [segment];
+  } else {
+    return;
+  }
+  for (var j = 0; j < keys.length; j++) {
+    var key = keys[j];
+    var keyPath = prefix + key;
+    var value = obj[key];
+    if (i === path.length - 1) {
+      if (censor === undefined) {
+        obj[key] = REDACT_CENSOR;
+      } else if (typeof (censor) === 'function') {
+        obj[key] = censor(value, keyPath);
+      } else {
+        obj[key] = censor;
+      }
+    } else if (isPlainObjectOrArray(value)) {
+      if (!copied.has(value)) {
+        value = obj[key] = objCopy(value);
+        copied.add(value);
+      }
+      _redactPath(value, path, i + 1, keyPath + '.', censor, copied);
+    }
+  }
+}
+
+
+/*
+ * Serialize an error with this Logger's err serializer, if defined.
+ */
+function serializeErrField(log, err) {
+  return (log.serializers && log.serializers.err
+    ? log.serializers.err(err)
+    : Logger.stdSerializers.err(err));
+}
+
+/*
+ * Is this log method argument a fields object, as opposed to a message
+ * argument (e.g. a Date or class instance, which are formatted)?
+ */
+function isFieldsObject(arg) {
+  if (arg === null || typeof (arg) !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(arg);
+  return (proto === Object.prototype || proto === null);
+}
+
+/**
+ * Build a record object suitable for emitting from the arguments
+ * provided to the a log emitter.
+ */
+function mkRecord(log, minLevel, args) {
+  var excludeFields, fields, msgArgs;
+  if (args[0] instanceof Error) {
+    // `log.<level>(err, [fields], ...)`
+    var err = serializeErrField(log, args[0]);
+    var msgStart = 1;
+    if (isFieldsObject(args[1])) {
+      fields = objCopy(args[1]);
+      fields.err = err;
+      msgStart = 2;
+    } else {
+      fields = {err: err};
+    }
+    excludeFields = {err: true};
+    if (args.length === msgStart) {
+      msgArgs = [err.message];
+    } else {
+      msgArgs = args.slice(msgStart);
+    }
+  } else if (typeof (args[0]) !== 'object' || Array.isArray(args[0])) {
+    // `log.<level>(msg, ...)`
+    fields = null;
     msgArgs = args.slice();
   } else if (Buffer.isBuffer(args[0])) {  // `log.<level>(buf, ...)`
     // Almost certainly an error, show `inspect(buf)`. See bunyan
@@ -813,239 +1763,1854 @@ function mkRecord(log, minLevel, args) {
     if (log.serializers) {
       log._applySerializers(recFields, excludeFields);
     }
+    // Errors in fields without a serializer of their own, e.g.
+    // `{err: err, cause: cause}`, get the err serializer.
+    Object.keys(recFields).forEach(function (k) {
+      if (recFields[k] instanceof Error &&
+        !(excludeFields && excludeFields[k]) &&
+        !(log.serializers && log.serializers[k]))
+      {
+        recFields[k] = serializeErrField(log, recFields[k]);
+      }
+    });
     Object.keys(recFields).forEach(function (k) {
       rec[k] = recFields[k];
     });
   }
-  rec.msg = format.apply(log, msgArgs);
-  if (!rec.time) {
-    rec.time = (new Date());
+  rec.msg = format.apply(log, msgArgs);
+  if (!rec.time) {
+    rec.time = (new Date());
+  }
+  // Get call source info
+  if (log.src && !rec.src) {
+    rec.src = getCaller3Info();
+  }
+  rec.v = LOG_VERSION;
+  if (log._redact) {
+    redactRecord(rec, log._redact);
+  }
+
+  return rec;
+};
+
+
+/**
+ * Build a log emitter function for level minLevel. I.e. this is the
+ * creator of `log.info`, `log.error`, etc.
+ */
+function mkLogEmitter(minLevel) {
+  return function () {
+    var log = this;
+    var str = null;
+    var rec = null;
+
+    if (!this._emit) {
+      /*
+       * Show this invalid Bunyan usage warning *once*.
+       *
+       * See <https://github.com/trentm/node-bunyan/issues/100> for
+       * an example of how this can happen.
+       */
+      var dedupKey = 'unbound';
+      if (!_haveWarned[dedupKey]) {
+        _warn(format('bunyan usage error: Attempt to log '
+          + 'with an unbound log method: `this` is: %s', util.inspect(this)),
+          dedupKey);
+      }
+      return;
+    }
+
+    // A level override replaces this logger's level. See `_emit` for how
+    // it applies to streams.
+    var override = this._getLevelOverride();
+    var enabled = ((override === undefined ? this._level : override)
+      <= minLevel);
+    if (arguments.length === 0) {   // `log.<level>()`
+      return enabled;
+    }
+
+    var msgArgs = new Array(arguments.length);
+    for (var i = 0; i < msgArgs.length; ++i) {
+      msgArgs[i] = arguments[i];
+    }
+
+    // Sampling and rate limits are checked before creating the record, to
+    // make dropping it cheap.
+    var limiter = this._limiter;
+    if (enabled && (limiter === null || limiter.allow(minLevel))) {
+      rec = mkRecord(log, minLevel, msgArgs);
+      if (limiter === null || !limiter.isDuplicate(rec, log, log)) {
+        str = this._emit(rec);
+      }
+    }
+  }
+}
+
+
+/**
+ * The functions below log a record at a specific level.
+ *
+ * Usages:
+ *    log.<level>()  -> boolean is-trace-enabled
+ *    log.<level>(<Error> err, [<string> msg, ...])
+ *    log.<level>(<Error> err, <object> fields, [<string> msg, ...])
+ *    log.<level>(<string> msg, ...)
+ *    log.<level>(<object> fields, <string> msg, ...)
+ *
+ * where <level> is the lowercase version of the log level. E.g.:
+ *
+ *    log.info()
+ *
+ * @params fields {Object} Optional set of additional fields to log.
+ * @params msg {String} Log message. This can be followed by additional
+ *    arguments that are handled like
+ *    [util.format](http://nodejs.org/docs/latest/api/all.html#util.format).
+ */
+Logger.prototype.trace = mkLogEmitter(TRACE);
+Logger.prototype.debug = mkLogEmitter(DEBUG);
+Logger.prototype.info = mkLogEmitter(INFO);
+Logger.prototype.warn = mkLogEmitter(WARN);
+Logger.prototype.error = mkLogEmitter(ERROR);
+Logger.prototype.fatal = mkLogEmitter(FATAL);
+
+
+/**
+ * Register a custom log level. This adds a `log.<name>(...)` log method to
+ * all loggers, and makes `name` usable wherever a level name is accepted
+ * (`resolveLevel`, `log.level()`, `log.levels()`, stream `level`). Log
+ * records carry the numeric `value` as their `level`.
+ *
+ * Usage:
+ *    bunyan.addLevel('notice', 35);
+ *    log.notice('something worth noticing');
+ *
+ * @param name {String} The level name. It must be a lowercase identifier
+ *    that does not clash with an existing Logger method.
+ * @param value {Number} The level value, a positive integer. See the
+ *    built-in levels (TRACE = 10 ... FATAL = 60) for placement.
+ * @throws {TypeError} If the name or value is invalid, or `name` is already
+ *    registered with a different value.
+ */
+function addLevel(name, value) {
+  if (typeof (name) !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new TypeError(format('invalid level name: "%s"', name));
+  }
+  if (typeof (value) !== 'number' || value < 0 ||
+    Math.floor(value) !== value)
+  {
+    throw new TypeError(format('level is not a positive integer: %s',
+      value));
+  }
+  if (levelFromName[name] !== undefined) {
+    if (levelFromName[name] === value) {
+      return;
+    }
+    throw new TypeError(format('level "%s" is already registered as %d',
+      name, levelFromName[name]));
+  }
+  if (name in Logger.prototype) {
+    throw new TypeError(format(
+      'invalid level name: "%s" clashes with a Logger method', name));
+  }
+  if (nameFromLevel[value] !== undefined) {
+    throw new TypeError(format('level value %d is already registered as "%s"',
+      value, nameFromLevel[value]));
+  }
+
+  levelFromName[name] = value;
+  nameFromLevel[value] = name;
+  Logger.prototype[name] = mkLogEmitter(value);
+  addPrettyLevel(name, value);
+}
+
+
+
+//---- Sampling and rate limiting
+
+/**
+ * Whether the given Logger or stream options ask for a `RecordLimiter`.
+ */
+function wantsLimiter(options) {
+  return (options.sample !== undefined || options.rateLimit !== undefined ||
+    options.dedup !== undefined);
+}
+
+/*
+ * Parse a `{<level>: <value>}` object into an object keyed by level value.
+ */
+function parseByLevel(optName, obj, parseValue) {
+  if (obj === null || typeof (obj) !== 'object' || Array.isArray(obj)) {
+    throw new TypeError(format('invalid %s: must be an object', optName));
+  }
+  var byLevel = {};
+  Object.keys(obj).forEach(function (name) {
+    var level = resolveLevel(/^\d+$/.test(name) ? Number(name) : name);
+    byLevel[level] = parseValue(obj[name], name);
+  });
+  return byLevel;
+}
+
+function parseSampleRate(rate, name) {
+  if (typeof (rate) !== 'number' || !(rate >= 0 && rate <= 1)) {
+    throw new TypeError(format('invalid sample%s: must be a number from 0 '
+      + 'to 1', (name ? ' for level "' + name + '"' : '')));
+  }
+  return rate;
+}
+
+// Emit a dedup summary record for a Logger `RecordLimiter`.
+function emitLoggerSummary(log, rec) {
+  log._emit(rec);
+}
+
+// Write a dedup summary record for a stream `RecordLimiter`.
+function writeStreamSummary(s, rec) {
+  if (s.raw) {
+    s.stream.write(rec);
+  } else if (s.formatter === jsonFormatter) {
+    (s.pendingWrites || s.stream).write(fastAndSafeJsonStringify(rec) + '\n');
+  } else {
+    (s.pendingWrites || s.stream).write(formatRecord(s.formatter, rec));
+  }
+}
+
+// Ids of loggers, for dedup keys.
+var _dedupLoggerIds = new WeakMap();
+var _nextDedupLoggerId = 0;
+
+/**
+ * Sampling, rate limiting and dedup of log records, for the `sample`,
+ * `rateLimit` and `dedup` options of a Logger or a stream.
+ *
+ * @param options {Object} With these optional fields:
+ *    - `sample`: The fraction of records to keep, a number from 0 to 1. Or
+ *      an object of fractions by level name, e.g. `{debug: 0.1}`, to sample
+ *      only those levels.
+ *    - `rateLimit`: An object of token bucket limits by level name, e.g.
+ *      `{warn: {limit: 10, interval: 1000}}`: at most `limit` records of that
+ *      level are kept per `interval` ms, allowing bursts of up to `limit`.
+ *    - `dedup`: A time window in ms. A record with the same level and `msg`
+ *      as a kept record from the same logger less than `dedup` ms earlier is
+ *      dropped. After the
+ *      window, if any were dropped, a copy of the kept record with
+ *      `msg: 'suppressed N records: <msg>'` and `suppressed: N` is emitted.
+ * @param emitSummary {Function} `function (target, rec)` called to emit a
+ *    dedup summary record, where `target` is as given to `isDuplicate`.
+ */
+function RecordLimiter(options, emitSummary) {
+  this._sample = null;
+  this._sampleByLevel = null;
+  if (options.sample !== undefined) {
+    if (typeof (options.sample) === 'number') {
+      this._sample = parseSampleRate(options.sample);
+    } else {
+      this._sampleByLevel = parseByLevel('sample', options.sample,
+        parseSampleRate);
+    }
+  }
+
+  this._buckets = null;
+  if (options.rateLimit !== undefined) {
+    this._buckets = parseByLevel('rateLimit', options.rateLimit,
+      function (limit, name) {
+        if (limit === null || typeof (limit) !== 'object' ||
+          !(limit.limit > 0) || !(limit.interval > 0))
+        {
+          throw new TypeError(format('invalid rateLimit for level "%s": '
+            + 'must be an object with positive "limit" and "interval"',
+            name));
+        }
+        return {
+          limit: limit.limit,
+          interval: limit.interval,
+          tokens: limit.limit,
+          last: Date.now()
+        };
+      });
+  }
+
+  this._dedup = null;
+  if (options.dedup !== undefined) {
+    if (typeof (options.dedup) !== 'number' || !(options.dedup > 0)) {
+      throw new TypeError('invalid dedup: must be a positive number of ms');
+    }
+    this._dedup = options.dedup;
+    this._seen = new Map();
+    this._timer = null;
+    this._emitSummary = emitSummary;
+  }
+}
+
+/**
+ * Whether to keep a record at the given level, per `sample` and `rateLimit`.
+ * This is checked before the record is created.
+ */
+RecordLimiter.prototype.allow = function (level) {
+  var rate = (this._sampleByLevel === null
+    ? this._sample : this._sampleByLevel[level]);
+  if (rate !== null && rate !== undefined && !(Math.random() < rate)) {
+    return false;
+  }
+  if (this._buckets !== null) {
+    var bucket = this._buckets[level];
+    if (bucket !== undefined) {
+      var now = Date.now();
+      bucket.tokens = Math.min(bucket.limit, bucket.tokens
+        + (now - bucket.last) * bucket.limit / bucket.interval);
+      bucket.last = now;
+      if (bucket.tokens < 1) {
+        return false;
+      }
+      bucket.tokens--;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a record is a duplicate to drop, per `dedup`.
+ *
+ * @param rec {Object} The log record.
+ * @param target {Object} Where to emit the summary for `rec`, passed to
+ *    `emitSummary`.
+ * @param log {Logger} The logger of `rec`. Only records of the same logger
+ *    are duplicates: children sharing a limiter log different things.
+ */
+RecordLimiter.prototype.isDuplicate = function (rec, target, log) {
+  if (this._dedup === null) {
+    return false;
+  }
+  var id = _dedupLoggerIds.get(log);
+  if (id === undefined) {
+    id = _nextDedupLoggerId++;
+    _dedupLoggerIds.set(log, id);
+  }
+  var key = id + ' ' + rec.level + ' ' + rec.msg;
+  var now = Date.now();
+  var seen = this._seen.get(key);
+  if (seen !== undefined) {
+    if (now - seen.start < this._dedup) {
+      seen.suppressed++;
+      return true;
+    }
+    this._summarize(key, seen);
+  }
+  this._seen.set(key, {start: now, rec: rec, target: target, suppressed: 0});
+  if (this._timer === null) {
+    this._scheduleFlush();
+  }
+  return false;
+}
+
+RecordLimiter.prototype._summarize = function (key, seen) {
+  this._seen.delete(key);
+  if (seen.suppressed > 0) {
+    var rec = objCopy(seen.rec);
+    rec.msg = format('suppressed %d records: %s', seen.suppressed,
+      seen.rec.msg);
+    rec.suppressed = seen.suppressed;
+    rec.time = new Date();
+    this._emitSummary(seen.target, rec);
+  }
+}
+
+/*
+ * Emit summaries for, and forget, the records whose dedup window has ended.
+ * This runs every `dedup` ms while there are any records to dedup against.
+ * The timer does not keep the process alive, so summaries pending on exit
+ * are lost.
+ */
+RecordLimiter.prototype._scheduleFlush = function () {
+  var self = this;
+  self._timer = setTimeout(function () {
+    var now = Date.now();
+    self._timer = null;
+    self._seen.forEach(function (seen, key) {
+      if (now - seen.start >= self._dedup) {
+        self._summarize(key, seen);
+      }
+    });
+    if (self._seen.size > 0) {
+      self._scheduleFlush();
+    }
+  }, self._dedup);
+  if (typeof (self._timer.unref) === 'function') {
+    self._timer.unref();
+  }
+}
+
+
+//---- Standard serializers
+// A serializer is a function that serializes a JavaScript object to a
+// JSON representation for logging. There is a standard set of presumed
+// interesting objects in node.js-land.
+
+Logger.stdSerializers = {};
+
+// Serialize an HTTP request.
+Logger.stdSerializers.req = function (req) {
+  if (!req || !req.connection)
+    return req;
+  return {
+    method: req.method,
+    url: req.url,
+    headers: req.headers,
+    remoteAddress: req.connection.remoteAddress,
+    remotePort: req.connection.remotePort
+  };
+  // Trailers: Skipping for speed. If you need trailers in your app, then
+  // make a custom serializer.
+  //if (Object.keys(trailers).length > 0) {
+  //  obj.trailers = req.trailers;
+  //}
+};
+
+// Serialize an HTTP response.
+Logger.stdSerializers.res = function (res) {
+  if (!res || !res.statusCode)
+    return res;
+  return {
+    statusCode: res.statusCode,
+    header: res._header
+  }
+};
+
+
+/*
+ * This function dumps long stack traces for exceptions having a cause()
+ * method. The error classes from
+ * [verror](https://github.com/davepacheco/node-verror) and
+ * [restify v2.0](https://github.com/mcavage/node-restify) are examples.
+ *
+ * Based on `dumpException` in
+ * https://github.com/davepacheco/node-extsprintf/blob/master/lib/extsprintf.js
+ */
+function getFullErrorStack(ex)
+{
+  var ret = ex.stack || ex.toString();
+  if (ex.cause && typeof (ex.cause) === 'function') {
+    var cex = ex.cause();
+    if (cex) {
+      ret += '\nCaused by: ' + getFullErrorStack(cex);
+    }
+  }
+  return (ret);
+}
+
+// Errors nested deeper than this, in `cause` chains and `errors` arrays, are
+// serialized as '[Truncated]'.
+var ERR_MAX_DEPTH = 10;
+
+// Error properties that `serializeErr` handles itself.
+var ERR_OWN_FIELDS = {message: true, name: true, stack: true, cause: true,
+  errors: true};
+
+/*
+ * Serialize an error, with its standard (ES2022) `cause` and the `errors`
+ * of an `AggregateError` as nested serialized errors. `seen` holds the
+ * errors on the path here, to stop at cycles.
+ */
+function serializeErr(err, seen, depth) {
+  if (!err || !err.stack) {
+    return err;
+  } else if (seen.has(err)) {
+    return '[Circular]';
+  } else if (depth > ERR_MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(err);
+  var obj = {
+    message: err.message,
+    name: err.name,
+    stack: getFullErrorStack(err),
+    code: err.code,
+    signal: err.signal
+  };
+  // Custom fields, e.g. `err.statusCode`.
+  Object.keys(err).forEach(function (k) {
+    if (!ERR_OWN_FIELDS[k]) {
+      obj[k] = (err[k] instanceof Error
+        ? serializeErr(err[k], seen, depth + 1) : err[k]);
+    }
+  });
+  // A `cause()` method is already followed by `getFullErrorStack`.
+  if (err.cause !== undefined && typeof (err.cause) !== 'function') {
+    obj.cause = serializeErr(err.cause, seen, depth + 1);
+  }
+  if (Array.isArray(err.errors)) {
+    obj.errors = err.errors.map(function (e) {
+      return serializeErr(e, seen, depth + 1);
+    });
+  }
+  seen.delete(err);
+  return obj;
+}
+
+// Serialize an Error object
+// (Core error properties are enumerable in node 0.4, not in 0.6).
+Logger.stdSerializers.err = function (err) {
+  return serializeErr(err, new Set(), 0);
+};
+
+
+// A JSON stringifier that handles cycles safely - tracks seen values in a Set.
+function safeCyclesSet() {
+  var seen = new Set();
+  return function (key, val) {
+    if (!val || typeof (val) !== 'object') {
+      return val;
+    }
+    if (seen.has(val)) {
+      return '[Circular]';
+    }
+    seen.add(val);
+    return val;
+  };
+}
+
+/**
+ * A JSON stringifier that handles cycles safely - tracks seen vals in an Array.
+ *
+ * Note: This approach has performance problems when dealing with large objects,
+ * see trentm/node-bunyan#445, but since this is the only option for node 0.10
+ * and earlier (as Set was introduced in Node 0.12), it's used as a fallback
+ * when Set is not available.
+ */
+function safeCyclesArray() {
+  var seen = [];
+  return function (key, val) {
+    if (!val || typeof (val) !== 'object') {
+      return val;
+    }
+    if (seen.indexOf(val) !== -1) {
+      return '[Circular]';
+    }
+    seen.push(val);
+    return val;
+  };
+}
+
+/**
+ * A JSON stringifier that handles cycles safely.
+ *
+ * Usage: JSON.stringify(obj, safeCycles())
+ *
+ * Choose the best safe cycle function from what is available - see
+ * trentm/node-bunyan#445.
+ */
+var safeCycles = typeof (Set) !== 'undefined' ? safeCyclesSet : safeCyclesArray;
+
+/**
+ * A fast JSON.stringify that handles cycles and getter exceptions (when
+ * safeJsonStringify is installed).
+ *
+ * This function attempts to use the regular JSON.stringify for speed, but on
+ * error (e.g. JSON cycle detection exception) it falls back to safe stringify
+ * handlers that can deal with cycles and/or getter exceptions.
+ */
+function fastAndSafeJsonStringify(rec) {
+  try {
+    return JSON.stringify(rec);
+  } catch (ex) {
+    try {
+      return JSON.stringify(rec, safeCycles());
+    } catch (e) {
+      if (!process.env.BUNYAN_TEST_NO_SAFE_JSON_STRINGIFY) {
+        return safeJson(rec);
+      } else {
+        var dedupKey = e.stack.split(/\n/g, 3).join('\n');
+        _warn('bunyan: ERROR: Exception in '
+          + '`JSON.stringify(rec)`. You can install the '
+          + '"safe-json-stringify" module to have Bunyan fallback '
+          + 'to safer stringification. Record:\n'
+          + _indent(format('%s\n%s', util.inspect(rec), e.stack)),
+          dedupKey);
+        return format('(Exception in JSON.stringify(rec): %j. '
+          + 'See stderr for details.)', e.message);
+      }
+    }
+  }
+}
+
+
+//---- Record formatters
+
+/*
+ * A formatter renders a log record for a non-raw stream. It is called as
+ * `formatter(rec)` and returns the string for that record *without* a
+ * trailing newline; `_emit` adds that. The record is shared by all streams:
+ * a formatter must not modify it.
+ */
+
+function jsonFormatter(rec) {
+  return fastAndSafeJsonStringify(rec);
+}
+
+/**
+ * Render a record with one of the `bunyan` CLI output modes (see
+ * lib/pretty.mjs), falling back to JSON if that isn't possible.
+ */
+function prettyFormatter(mode) {
+  return function (rec) {
+    var str = formatPrettyRecord(rec, {mode: mode});
+    if (str === null) {
+      return fastAndSafeJsonStringify(rec);
+    }
+    return str.slice(0, -1);  // drop the trailing newline
+  };
+}
+
+// Like `bunyan -o short`:
+//    HH:MM:SS.mmmZ LEVEL name[/component]: msg (extras...)
+var shortFormatter = prettyFormatter('short');
+
+// Like `bunyan -o simple`, log4j's SimpleLayout:
+//    LEVEL - msg
+var simpleFormatter = prettyFormatter('simple');
+
+/**
+ * logfmt, i.e. `key=value` pairs separated by spaces. Nested objects are
+ * flattened to dotted keys (e.g. `req.headers.host=...`), values are quoted
+ * and escaped as needed and the level is given by name:
+ *    time=2012-02-08T22:56:52.856Z level=info name=myapp msg="hi there" ...
+ * See lib/logfmt.mjs.
+ */
+function logfmtFormatter(rec) {
+  return formatLogfmt(rec, nameFromLevel);
+}
+
+var formatters = {
+  json: jsonFormatter,
+  short: shortFormatter,
+  simple: simpleFormatter,
+  logfmt: logfmtFormatter
+};
+
+/**
+ * Resolve a stream's `formatter` option, a formatter name (see `formatters`)
+ * or function, to a formatter function.
+ */
+function resolveFormatter(formatter) {
+  if (formatter === undefined || formatter === null) {
+    return jsonFormatter;
+  } else if (typeof (formatter) === 'function') {
+    return formatter;
+  } else if (typeof (formatter) === 'string' &&
+    Object.prototype.hasOwnProperty.call(formatters, formatter))
+  {
+    return formatters[formatter];
+  }
+  throw new TypeError(format('unknown formatter: %j', formatter));
+}
+
+/**
+ * Format a record with a (possibly user given) formatter. If the formatter
+ * throws, fall back to JSON so the record is not lost.
+ */
+function formatRecord(formatter, rec) {
+  try {
+    return String(formatter(rec)) + '\n';
+  } catch (err) {
+    _warn(format('bunyan: ERROR: Exception in stream formatter: %s',
+      err.stack || err), 'formatter:' + (err && err.message));
+    return fastAndSafeJsonStringify(rec) + '\n';
+  }
+}
+
+
+/**
+ * RotatingFileStream is a Writable Stream that writes to a file at `path`
+ * and rotates it on a `period` boundary, keeping `count` back copies.
+ *
+ * @param options {Object}, with the following fields:
+ *
+ *    - path: the file path to which to log
+ *    - period: the rotation period, e.g. '1d' (the default), '1h', '1w',
+ *      'daily', ... See README.md for details.
+ *    - count: number of rotated files to keep (default 10)
+ */
+function RotatingFileStream(options) {
+  this.path = options.path;
+
+  this.count = (options.count === undefined ? 10 : options.count);
+  assert.equal(typeof (this.count), 'number',
+    format('rotating-file stream "count" is not a number: %j (%s) in %j',
+      this.count, typeof (this.count), this));
+  assert.ok(this.count >= 0,
+    format('rotating-file stream "count" is not >= 0: %j in %j',
+      this.count, this));
+
+  // Parse `options.period`.
+  if (options.period) {
+    // <number><scope> where scope is:
+    //    h   hours (at the start of the hour)
+    //    d   days (at the start of the day, i.e. just after midnight)
+    //    w   weeks (at the start of Sunday)
+    //    m   months (on the first of the month)
+    //    y   years (at the start of Jan 1st)
+    // with special values 'hourly' (1h), 'daily' (1d), "weekly" (1w),
+    // 'monthly' (1m) and 'yearly' (1y)
+    var period = {
+      'hourly': '1h',
+      'daily': '1d',
+      'weekly': '1w',
+      'monthly': '1m',
+      'yearly': '1y'
+    }[options.period] || options.period;
+    var m = /^([1-9][0-9]*)([hdwmy]|ms)$/.exec(period);
+    if (!m) {
+      throw new Error(format('invalid period: "%s"', options.period));
+    }
+    this.periodNum = Number(m[1]);
+    this.periodScope = m[2];
+  } else {
+    this.periodNum = 1;
+    this.periodScope = 'd';
+  }
+
+  var lastModified = null;
+  try {
+    var fileInfo = fs.statSync(this.path);
+    lastModified = fileInfo.mtime.getTime();
+  } catch (err) {
+    // file doesn't exist
+  }
+  var rotateAfterOpen = false;
+  if (lastModified) {
+    var lastRotTime = this._calcRotTime(0);
+    if (lastModified < lastRotTime) {
+      rotateAfterOpen = true;
+    }
+  }
+
+  EventEmitter.call(this);
+  this._openStream();
+
+  this.rotQueue = [];
+  this.rotating = false;
+  if (rotateAfterOpen) {
+    xxx('rotateAfterOpen -> call rotate()');
+    this.rotate();
+  } else {
+    this._setupNextRot();
+  }
+}
+
+util.inherits(RotatingFileStream, EventEmitter);
+
+/**
+ * Open the file stream at `this.path`. Errors on the underlying file stream
+ * are re-emitted on this RotatingFileStream, so that a Logger's
+ * `reemitErrorEvents` handling sees them across rotations.
+ */
+RotatingFileStream.prototype._openStream = function _openStream() {
+  var self = this;
+  // After `end()`, a rotation in progress still opens the new file to write
+  // out the records queued meanwhile, but nothing else does.
+  if (this._ended && !this.rotating) {
+    return;
+  }
+  this.stream = fs.createWriteStream(this.path,
+    {flags: 'a', encoding: 'utf8'});
+  this._pending = new PendingWrites(this.stream, this.path);
+  this.stream.on('error', function (err) {
+    self.emit('error', err);
+  });
+};
+
+RotatingFileStream.prototype._setupNextRot = function () {
+  if (this._ended) {
+    return;
+  }
+  this.rotAt = this._calcRotTime(1);
+  this._setRotationTimer();
+};
+
+RotatingFileStream.prototype._setRotationTimer = function () {
+  var self = this;
+  var delay = this.rotAt - Date.now();
+  // Cap timeout to Node's max setTimeout, see
+  // <https://github.com/joyent/node/issues/8656>.
+  var TIMEOUT_MAX = 2147483647; // 2^31-1
+  if (delay > TIMEOUT_MAX) {
+    delay = TIMEOUT_MAX;
+  }
+  // Only one timer at a time, e.g. if `rotate()` was called directly.
+  clearTimeout(this.timeout);
+  this.timeout = setTimeout(function () {
+    xxx('_setRotationTimer timeout -> call rotate()');
+    self.rotate();
+  }, delay);
+  if (typeof (this.timeout.unref) === 'function') {
+    this.timeout.unref();
+  }
+};
+
+RotatingFileStream.prototype._calcRotTime = function _calcRotTime(periodOffset) {
+  var d = new Date();
+  var rotAt;
+  switch (this.periodScope) {
+  case 'ms':
+    // Hidden millisecond period for debugging.
+    if (this.rotAt) {
+      rotAt = this.rotAt + this.periodNum * periodOffset;
+    } else {
+      rotAt = Date.now() + this.periodNum * periodOffset;
+    }
+    break;
+  case 'h':
+    if (this.rotAt) {
+      rotAt = this.rotAt + this.periodNum * 60 * 60 * 1000 * periodOffset;
+    } else {
+      // First time: top of the next hour.
+      rotAt = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(),
+        d.getUTCDate(), d.getUTCHours() + periodOffset);
+    }
+    break;
+  case 'd':
+    if (this.rotAt) {
+      rotAt = this.rotAt + this.periodNum * 24 * 60 * 60 * 1000
+        * periodOffset;
+    } else {
+      // First time: start of tomorrow (i.e. at the coming midnight) UTC.
+      rotAt = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(),
+        d.getUTCDate() + periodOffset);
+    }
+    break;
+  case 'w':
+    // Currently, always on Sunday morning at 00:00:00 (UTC).
+    if (this.rotAt) {
+      rotAt = this.rotAt + this.periodNum * 7 * 24 * 60 * 60 * 1000
+        * periodOffset;
+    } else {
+      // First time: this coming Sunday.
+      var dayOffset = (7 - d.getUTCDay());
+      if (periodOffset < 1) {
+        dayOffset = -d.getUTCDay();
+      }
+      if (periodOffset > 1 || periodOffset < -1) {
+        dayOffset += 7 * periodOffset;
+      }
+      rotAt = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(),
+        d.getUTCDate() + dayOffset);
+    }
+    break;
+  case 'm':
+    if (this.rotAt) {
+      rotAt = Date.UTC(d.getUTCFullYear(),
+        d.getUTCMonth() + this.periodNum * periodOffset, 1);
+    } else {
+      // First time: the start of the next month.
+      rotAt = Date.UTC(d.getUTCFullYear(),
+        d.getUTCMonth() + periodOffset, 1);
+    }
+    break;
+  case 'y':
+    if (this.rotAt) {
+      rotAt = Date.UTC(d.getUTCFullYear() + this.periodNum * periodOffset,
+        0, 1);
+    } else {
+      // First time: the start of the next year.
+      rotAt = Date.UTC(d.getUTCFullYear() + periodOffset, 0, 1);
+    }
+    break;
+  default:
+    assert.fail(format('invalid period scope: "%s"', this.periodScope));
+  }
+
+  xxx('_calcRotTime: %s%s -> rotAt %s', this.periodNum, this.periodScope,
+    new Date(rotAt).toISOString());
+  return rotAt;
+};
+
+RotatingFileStream.prototype.rotate = function rotate() {
+  var self = this;
+
+  if (self._ended) {
+    return;
+  }
+
+  // If rotation period is > ~25 days, we have to break into multiple
+  // setTimeout's. See <https://github.com/joyent/node/issues/8656>.
+  if (self.rotAt && self.rotAt > Date.now()) {
+    return self._setRotationTimer();
+  }
+
+  xxx('rotate %s', self.path);
+  if (self.rotating) {
+    // The rotation in progress sets up the next one when it is done.
+    return;
+  }
+  self.rotating = true;
+
+  self.stream.end();
+
+  function del() {
+    var toDel = self.path + '.' + String(n - 1);
+    if (n === 0) {
+      toDel = self.path;
+    }
+    n -= 1;
+    xxx('  rm %s', toDel);
+    fs.unlink(toDel, function (delErr) {
+      // Ignore errors: typically the oldest rotated file doesn't exist.
+      moves();
+    });
+  }
+
+  function moves() {
+    if (self.count === 0 || n < 0) {
+      return finish();
+    }
+    var before = self.path;
+    var after = self.path + '.' + String(n);
+    if (n > 0) {
+      before += '.' + String(n - 1);
+    }
+    n -= 1;
+    xxx('  mv %s %s', before, after);
+    fs.rename(before, after, function (mvErr) {
+      if (mvErr && mvErr.code !== 'ENOENT') {
+        self.emit('error', mvErr);
+        finish();
+      } else {
+        moves();
+      }
+    });
+  }
+
+  function finish() {
+    xxx('  open %s', self.path);
+    self._openStream();
+    var q = self.rotQueue, len = q.length;
+    for (var i = 0; i < len; i++) {
+      self._pending.write(q[i]);
+    }
+    self.rotQueue = [];
+    self.rotating = false;
+    self.emit('drain');
+    self._setupNextRot();
+  }
+
+  var n = this.count;
+  del();
+};
+
+RotatingFileStream.prototype.write = function write(s) {
+  if (this.rotating) {
+    this.rotQueue.push(s);
+    return false;
+  } else {
+    return this._pending.write(s);
+  }
+};
+
+RotatingFileStream.prototype.end = function end(cb) {
+  var self = this;
+  this._ended = true;
+  clearTimeout(this.timeout);
+  if (this.rotating) {
+    // Let the rotation write out queued records first.
+    this.once('drain', function () {
+      self.stream.end(cb);
+    });
+  } else {
+    this.stream.end(cb);
+  }
+};
+
+/**
+ * Call `cb` once all records written so far, including any queued during a
+ * rotation, have been written to the file.
+ */
+RotatingFileStream.prototype.flush = function flush(cb) {
+  var self = this;
+  if (this.rotating) {
+    this.once('drain', function () {
+      flushWritable(self.stream, cb);
+    });
+  } else {
+    flushWritable(this.stream, cb);
+  }
+};
+
+/**
+ * Synchronously write out pending records. For use on process exit only.
+ */
+RotatingFileStream.prototype.flushSync = function flushSync() {
+  this._pending.flushSync();
+  if (this.rotQueue.length > 0) {
+    writeFileChunksSync(null, this.path, this.rotQueue);
+    this.rotQueue = [];
+  }
+};
+
+RotatingFileStream.prototype.destroy = function destroy(s) {
+  this._ended = true;
+  clearTimeout(this.timeout);
+  this.stream.destroy();
+};
+
+RotatingFileStream.prototype.destroySoon = function destroySoon(s) {
+  this.destroy();
+};
+
+
+/**
+ * Parse a size, e.g. 1024, '500k', '50m' or '1g', to a number of bytes.
+ */
+function parseSize(size) {
+  if (typeof (size) === 'number') {
+    if (size > 0) {
+      return size;
+    }
+  } else if (typeof (size) === 'string') {
+    var m = /^([1-9][0-9]*)([kmg]?)b?$/i.exec(size);
+    if (m) {
+      return Number(m[1]) * {
+        '': 1,
+        'k': 1024,
+        'm': 1024 * 1024,
+        'g': 1024 * 1024 * 1024
+      }[m[2].toLowerCase()];
+    }
+  }
+  throw new Error(format('invalid size: "%s"', size));
+}
+
+
+/**
+ * SizeRotatingFileStream is a Writable Stream that writes to a file at `path`
+ * and rotates it once it grows past `maxSize` bytes. This is what a 'file'
+ * stream uses when it is given a `maxSize`.
+ *
+ * @param options {Object}, with the following fields:
+ *
+ *    - path: the file path to which to log
+ *    - maxSize: the size at which to rotate, e.g. 1048576 or '50m'
+ *    - count: number of rotated files to keep (default 10). Rotated files
+ *      are "$path.1" (the most recent), "$path.2", ...
+ *    - gzip: Boolean (default false). Set true to gzip rotated files to
+ *      "$path.1.gz", "$path.2.gz", ...
+ */
+function SizeRotatingFileStream(options) {
+  this.path = options.path;
+  this.maxSize = parseSize(options.maxSize);
+
+  this.count = (options.count === undefined ? 10 : options.count);
+  assert.equal(typeof (this.count), 'number',
+    format('file stream "count" is not a number: %j (%s)',
+      this.count, typeof (this.count)));
+  assert.ok(this.count >= 0,
+    format('file stream "count" is not >= 0: %j', this.count));
+  this.gzip = Boolean(options.gzip);
+
+  EventEmitter.call(this);
+  this._ended = false;
+  this._openStream();
+
+  this.rotQueue = [];
+  this.rotating = false;
+}
+
+util.inherits(SizeRotatingFileStream, EventEmitter);
+
+/**
+ * Open the file stream at `this.path`, picking up the size of any existing
+ * content. Errors on the underlying file stream are re-emitted on this
+ * stream.
+ */
+SizeRotatingFileStream.prototype._openStream = function _openStream() {
+  var self = this;
+  // After `end()`, a rotation in progress still opens the new file to write
+  // out the records queued meanwhile, but nothing else does.
+  if (this._ended && !this.rotating) {
+    return;
+  }
+  try {
+    this.size = fs.statSync(this.path).size;
+  } catch (err) {
+    this.size = 0;
+  }
+  this.stream = fs.createWriteStream(this.path,
+    {flags: 'a', encoding: 'utf8'});
+  this._pending = new PendingWrites(this.stream, this.path);
+  this.stream.on('error', function (err) {
+    self.emit('error', err);
+  });
+};
+
+SizeRotatingFileStream.prototype.rotate = function rotate() {
+  var self = this;
+
+  if (self._ended) {
+    return;
+  }
+
+  xxx('rotate %s (size %d)', self.path, self.size);
+  if (self.rotating) {
+    throw new TypeError('cannot start a rotation when already rotating');
+  }
+  self.rotating = true;
+
+  var ext = (self.gzip ? '.gz' : '');
+
+  function del() {
+    var toDel = self.path + '.' + String(self.count) + ext;
+    xxx('  rm %s', toDel);
+    fs.unlink(toDel, function (delErr) {
+      // Ignore errors: typically the oldest rotated file doesn't exist.
+      moves();
+    });
+  }
+
+  function moves() {
+    if (n < 1) {
+      return current();
+    }
+    var before = self.path + '.' + String(n) + ext;
+    var after = self.path + '.' + String(n + 1) + ext;
+    n -= 1;
+    xxx('  mv %s %s', before, after);
+    fs.rename(before, after, function (mvErr) {
+      if (mvErr && mvErr.code !== 'ENOENT') {
+        self.emit('error', mvErr);
+        finish();
+      } else {
+        moves();
+      }
+    });
+  }
+
+  function current() {
+    var rotated = self.path + '.1';
+    xxx('  mv %s %s', self.path, rotated);
+    fs.rename(self.path, rotated, function (mvErr) {
+      if (mvErr) {
+        if (mvErr.code !== 'ENOENT') {
+          self.emit('error', mvErr);
+        }
+        finish();
+      } else if (self.gzip) {
+        compress(rotated);
+      } else {
+        finish();
+      }
+    });
+  }
+
+  function compress(rotated) {
+    xxx('  gzip %s', rotated);
+    stream.pipeline(
+      fs.createReadStream(rotated),
+      zlib.createGzip(),
+      fs.createWriteStream(rotated + '.gz'),
+      function (gzErr) {
+        if (gzErr) {
+          self.emit('error', gzErr);
+          return finish();
+        }
+        fs.unlink(rotated, function (rmErr) {
+          if (rmErr) {
+            self.emit('error', rmErr);
+          }
+          finish();
+        });
+      });
+  }
+
+  function finish() {
+    self._reopened();
+  }
+
+  var n = this.count - 1;
+  if (this.count === 0) {
+    // Nothing to keep, just start over with an empty file.
+    self.stream.end(function () {
+      fs.unlink(self.path, function () {
+        finish();
+      });
+    });
+    return;
+  }
+  self.stream.end(del);
+};
+
+/**
+ * Reopen the file at `path`, e.g. after an external tool has moved it. The
+ * size is recalculated from what is on disk.
+ */
+SizeRotatingFileStream.prototype.reopen = function reopen() {
+  var self = this;
+  if (self._ended || self.rotating) {
+    // The rotation opens a new file stream when it is done.
+    return;
+  }
+  self.rotating = true;
+  self.stream.end(function () {
+    self._reopened();
+  });
+};
+
+/**
+ * Open a new file stream after a rotation or reopen and write out the
+ * records queued in the meantime.
+ */
+SizeRotatingFileStream.prototype._reopened = function _reopened() {
+  xxx('  open %s', this.path);
+  this._openStream();
+  var q = this.rotQueue;
+  this.rotQueue = [];
+  this.rotating = false;
+  for (var i = 0; i < q.length; i++) {
+    this.write(q[i]);
+  }
+  if (!this.rotating) {
+    this.emit('drain');
+  }
+};
+
+SizeRotatingFileStream.prototype.write = function write(s) {
+  if (this.rotating) {
+    this.rotQueue.push(s);
+    return false;
+  }
+  var ret = this._pending.write(s);
+  this.size += Buffer.byteLength(s);
+  if (this.size >= this.maxSize) {
+    this.rotate();
+    return false;
+  }
+  return ret;
+};
+
+SizeRotatingFileStream.prototype.end = function end(cb) {
+  var self = this;
+  if (this._ended) {
+    if (cb) {
+      process.nextTick(cb);
+    }
+    return;
+  }
+  this._ended = true;
+  if (this.rotating) {
+    // Let the rotation write out queued records first.
+    this.once('drain', function () {
+      self.stream.end(cb);
+    });
+  } else {
+    this.stream.end(cb);
+  }
+};
+
+SizeRotatingFileStream.prototype.flush = RotatingFileStream.prototype.flush;
+SizeRotatingFileStream.prototype.flushSync =
+  RotatingFileStream.prototype.flushSync;
+
+SizeRotatingFileStream.prototype.destroy = function destroy(s) {
+  this._ended = true;
+  this.stream.destroy();
+};
+
+SizeRotatingFileStream.prototype.destroySoon = function destroySoon(s) {
+  this.destroy();
+};
+
+
+/**
+ * BatchStream is a Writable Stream that batches the serialized records
+ * written to it and writes them out in chunks, to a file at `path` or to
+ * another writable `stream`. This is what a 'file' stream uses when it is
+ * given `batch` options.
+ *
+ * A chunk is written once `batchSize` bytes are queued, or `interval` ms
+ * after the first queued record. Records written while a chunk is being
+ * written are queued, up to `maxQueue` records, and written together as the
+ * next chunk. The interval timer does not keep the process alive, so use
+ * `flush()` or a logger's `flushOnExit` to write out records queued on exit.
+ *
+ * @param options {Object}, with the following fields:
+ *
+ *    - path: the file path to which to log, or
+ *    - stream: the writable stream to which to log
+ *    - batchSize: the queued size at which to write a chunk, e.g. 65536 or
+ *      '64k' (the default)
+ *    - interval: the max ms to hold queued records (default 100)
+ *    - maxQueue: the max number of queued records (default 10000)
+ *    - overflow: what to do with a record written when the queue is full:
+ *      'drop-oldest' (the default) drops the oldest queued record,
+ *      'drop-newest' drops the new one, and 'block' writes synchronously so
+ *      that no records are dropped. 'block' requires a `path`, and then all
+ *      chunks are written synchronously. The number of dropped records is
+ *      `this.dropped`.
+ */
+function BatchStream(options) {
+  if (!options || (!options.path === !options.stream)) {
+    throw new TypeError('BatchStream requires one of "path" or "stream"');
+  }
+  this.path = options.path;
+  this.batchSize = parseSize(options.batchSize === undefined
+    ? '64k' : options.batchSize);
+  this.interval = (options.interval === undefined ? 100 : options.interval);
+  if (typeof (this.interval) !== 'number' || !(this.interval >= 0)) {
+    throw new TypeError(format('invalid batch interval: %j',
+      options.interval));
+  }
+  this.maxQueue = (options.maxQueue === undefined ? 10000 : options.maxQueue);
+  if (typeof (this.maxQueue) !== 'number' || !(this.maxQueue >= 1)) {
+    throw new TypeError(format('invalid batch maxQueue: %j',
+      options.maxQueue));
+  }
+  this.overflow = options.overflow || 'drop-oldest';
+  if (BATCH_OVERFLOW_POLICIES.indexOf(this.overflow) === -1) {
+    throw new TypeError(format('invalid batch overflow: "%s" (must be one '
+      + 'of %s)', this.overflow, BATCH_OVERFLOW_POLICIES.join(', ')));
+  }
+  if (this.overflow === 'block' && !this.path) {
+    throw new TypeError('batch overflow "block" requires a "path"');
+  }
+  this.dropped = 0;
+
+  this._queue = [];
+  this._queueSize = 0;  // In bytes.
+  this._writing = false;
+  this._inFlight = null;  // The chunk being written to `fd`, a Buffer.
+  this._timer = null;
+  this._flushCbs = [];
+  this._ended = false;
+
+  EventEmitter.call(this);
+  if (this.path) {
+    this.fd = fs.openSync(this.path, 'a');
+    // The file size once written chunks are done, as this is the only
+    // writer of the file.
+    this._size = fs.fstatSync(this.fd).size;
+  } else {
+    this.stream = options.stream;
+  }
+}
+
+util.inherits(BatchStream, EventEmitter);
+
+var BATCH_OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+
+BatchStream.prototype.write = function write(s) {
+  if (this._ended) {
+    return false;
+  }
+  if (this._queue.length >= this.maxQueue) {
+    if (this.overflow === 'drop-newest') {
+      this.dropped++;
+      return false;
+    } else if (this.overflow === 'drop-oldest') {
+      this._queueSize -= Buffer.byteLength(this._queue.shift());
+      this.dropped++;
+    } else {
+      this._writeBatch();
+    }
+  }
+  this._queue.push(s);
+  this._queueSize += Buffer.byteLength(s);
+  if (this._queueSize >= this.batchSize) {
+    this._writeBatch();
+  } else if (this._timer === null && !this._writing) {
+    var self = this;
+    this._timer = setTimeout(function () {
+      self._timer = null;
+      self._writeBatch();
+    }, this.interval);
+    if (typeof (this._timer.unref) === 'function') {
+      this._timer.unref();
+    }
+  }
+  return true;
+};
+
+/*
+ * Write the queued records as one chunk, unless a chunk is being written:
+ * then the queue is written when that is done.
+ */
+BatchStream.prototype._writeBatch = function _writeBatch() {
+  var self = this;
+  if (self._writing) {
+    return;
+  }
+  if (self._timer !== null) {
+    clearTimeout(self._timer);
+    self._timer = null;
+  }
+  if (self._queue.length === 0) {
+    self._written();
+    return;
+  }
+  var chunk = self._queue.join('');
+  self._queue = [];
+  self._queueSize = 0;
+
+  if (self.overflow === 'block') {
+    try {
+      self._writeSync(chunk);
+    } catch (err) {
+      self.emit('error', err);
+    }
+    self._written();
+  } else if (self.fd !== undefined) {
+    var buf = Buffer.from(chunk);
+    self._writing = true;
+    self._inFlight = buf;
+    self._size += buf.length;
+    writeFully(self.fd, buf, function (err) {
+      self._writing = false;
+      self._inFlight = null;
+      if (err) {
+        self.emit('error', err);
+      }
+      // Write what was queued in the meantime.
+      self._writeBatch();
+    });
+  } else if (self.stream.write(chunk)) {
+    self._written();
+  } else {
+    self._writing = true;
+    self.stream.once('drain', function () {
+      self._writing = false;
+      self._writeBatch();
+    });
+  }
+};
+
+/*
+ * Synchronously write `chunk` to `fd`, after the rest of a chunk being
+ * written, if any: on exit, its `fs.write()` won't call back (see
+ * `waitForWriteSync`).
+ */
+BatchStream.prototype._writeSync = function _writeSync(chunk) {
+  var chunks = [];
+  if (this._inFlight !== null) {
+    var len = this._inFlight.length;
+    var done = waitForWriteSync(this.fd, this._size - len);
+    chunks.push(this._inFlight.subarray(Math.min(done, len)));
+    this._inFlight = null;
+  }
+  chunks.push(chunk);
+  this._size += Buffer.byteLength(chunk);
+  writeFileChunksSync(this.fd, this.path, chunks);
+};
+
+/*
+ * Called when all queued records have been written (or handed to the
+ * target `stream`).
+ */
+BatchStream.prototype._written = function _written() {
+  if (this._queue.length > 0 || this._flushCbs.length === 0) {
+    return;
+  }
+  var cbs = this._flushCbs;
+  this._flushCbs = [];
+  for (var i = 0; i < cbs.length; i++) {
+    cbs[i]();
+  }
+};
+
+/*
+ * Write all of `buf` to `fd`, continuing after partial writes.
+ */
+function writeFully(fd, buf, cb) {
+  fs.write(fd, buf, 0, buf.length, null, function (err, n) {
+    if (err) {
+      cb(err);
+    } else if (n < buf.length) {
+      writeFully(fd, buf.subarray(n), cb);
+    } else {
+      cb();
+    }
+  });
+}
+
+/**
+ * Write out queued records now. Call `cb` once all records written so far
+ * have been written.
+ */
+BatchStream.prototype.flush = function flush(cb) {
+  var self = this;
+  this._flushCbs.push(function () {
+    if (self.stream instanceof stream.Writable) {
+      flushWritable(self.stream, cb);
+    } else {
+      cb();
+    }
+  });
+  this._writeBatch();
+};
+
+/**
+ * Synchronously write out queued records, after the chunk being written, if
+ * any. For use on process exit only.
+ */
+BatchStream.prototype.flushSync = function flushSync() {
+  if (this._timer !== null) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  var chunks = this._queue;
+  this._queue = [];
+  this._queueSize = 0;
+  if (this.fd !== undefined) {
+    this._writeSync(chunks.join(''));
+  } else {
+    for (var i = 0; i < chunks.length; i++) {
+      this.stream.write(chunks[i]);
+    }
   }
-  rec.v = LOG_VERSION;
-
-  return rec;
 };
 
-
 /**
- * Build a log emitter function for level minLevel. I.e. this is the
- * creator of `log.info`, `log.error`, etc.
+ * Reopen the file at `path`, e.g. after an external tool has moved it.
+ * Records queued so far are written to the old file.
  */
-function mkLogEmitter(minLevel) {
-  return function () {
-    var log = this;
-    var str = null;
-    var rec = null;
-
-    if (!this._emit) {
-      /*
-       * Show this invalid Bunyan usage warning *once*.
-       *
-       * See <https://github.com/trentm/node-bunyan/issues/100> for
-       * an example of how this can happen.
-       */
-      var dedupKey = 'unbound';
-      if (!_haveWarned[dedupKey]) {
-        _warn(format('bunyan usage error: Attempt to log '
-          + 'with an unbound log method: `this` is: %s', util.inspect(this)),
-          dedupKey);
-      }
+BatchStream.prototype.reopen = function reopen() {
+  var self = this;
+  if (!self.path || self._ended) {
+    return;
+  }
+  self.flush(function () {
+    if (self._ended) {
       return;
-    } else if (arguments.length === 0) {   // `log.<level>()`
-      return (this._level <= minLevel);
     }
-
-    var msgArgs = new Array(arguments.length);
-    for (var i = 0; i < msgArgs.length; ++i) {
-      msgArgs[i] = arguments[i];
+    var oldFd = self.fd;
+    try {
+      self.fd = fs.openSync(self.path, 'a');
+      self._size = fs.fstatSync(self.fd).size;
+    } catch (err) {
+      self.emit('error', err);
+      return;
     }
+    fs.close(oldFd, function () {});
+  });
+};
 
-    if (this._level <= minLevel) {
-      rec = mkRecord(log, minLevel, msgArgs);
-      str = this._emit(rec);
+BatchStream.prototype.end = function end(cb) {
+  var self = this;
+  if (self._ended) {
+    if (cb) {
+      process.nextTick(cb);
+    }
+    return;
+  }
+  self._ended = true;
+  self.flush(function () {
+    if (self.fd !== undefined) {
+      fs.close(self.fd, function () {
+        self.emit('close');
+        if (cb) {
+          cb();
+        }
+      });
+    } else {
+      self.stream.end(cb);
     }
+  });
+};
+
+BatchStream.prototype.destroy = function destroy(s) {
+  if (this._timer !== null) {
+    clearTimeout(this._timer);
+    this._timer = null;
   }
-}
+  this._queue = [];
+  this._queueSize = 0;
+  this._ended = true;
+  if (this.fd !== undefined) {
+    fs.close(this.fd, function () {});
+  } else if (typeof (this.stream.destroy) === 'function') {
+    this.stream.destroy();
+  }
+};
+
+BatchStream.prototype.destroySoon = function destroySoon(s) {
+  this.end();
+};
 
 
 /**
- * The functions below log a record at a specific level.
+ * ThreadStream is a raw stream that hands log records to a `worker_threads`
+ * worker, which formats and writes them to a bunyan stream of its own, e.g.
+ * a 'file' stream with rotation or a 'short' formatter. Only serializing
+ * each record to JSON happens on the calling thread. Records are passed
+ * through a ring buffer in a SharedArrayBuffer.
  *
- * Usages:
- *    log.<level>()  -> boolean is-trace-enabled
- *    log.<level>(<Error> err, [<string> msg, ...])
- *    log.<level>(<string> msg, ...)
- *    log.<level>(<object> fields, <string> msg, ...)
+ * On process exit, the calling thread waits for the worker to write out
+ * all records (synchronously, up to a few seconds), so that e.g. a `fatal`
+ * record logged just before `process.exit()` is kept.
  *
- * where <level> is the lowercase version of the log level. E.g.:
+ * Usage:
+ *    var log = bunyan.createLogger({
+ *      name: 'myapp',
+ *      streams: [{
+ *        type: 'raw',
+ *        stream: new bunyan.ThreadStream({
+ *          stream: {path: '/var/log/myapp.log', maxSize: '50m'}
+ *        })
+ *      }]
+ *    });
  *
- *    log.info()
+ * @param options {Object}, with the following fields:
  *
- * @params fields {Object} Optional set of additional fields to log.
- * @params msg {String} Log message. This can be followed by additional
- *    arguments that are handled like
- *    [util.format](http://nodejs.org/docs/latest/api/all.html#util.format).
+ *    - stream: the stream for the worker to write to, as for the `streams`
+ *      Logger option, but without functions or stream objects: e.g. a
+ *      `path` (with `type`, `maxSize`, `period`, `batch`, ... options),
+ *      and a `formatter` name. Instead of a `stream` object, give an `fd`,
+ *      e.g. `{fd: 1, formatter: 'short'}` for stdout.
+ *    - bufferSize: the size of the ring buffer, e.g. 4194304 or '4m' (the
+ *      default).
+ *    - overflow: what to do with a record written when the ring buffer is
+ *      full: 'block' (the default) blocks the main thread, waiting for the
+ *      worker to make room for up to a second, and then drops the record.
+ *      Once such a wait has timed out, records are dropped without waiting
+ *      until the worker has made room again, so a stuck worker blocks
+ *      logging for at most a second. 'drop-newest' drops the record without
+ *      waiting. The number of dropped records is `this.dropped`.
+ *
+ * Errors from the worker, or from its stream, are emitted as 'error'
+ * events.
  */
-Logger.prototype.trace = mkLogEmitter(TRACE);
-Logger.prototype.debug = mkLogEmitter(DEBUG);
-Logger.prototype.info = mkLogEmitter(INFO);
-Logger.prototype.warn = mkLogEmitter(WARN);
-Logger.prototype.error = mkLogEmitter(ERROR);
-Logger.prototype.fatal = mkLogEmitter(FATAL);
+function ThreadStream(options) {
+  if (!options || options.stream === null ||
+    typeof (options.stream) !== 'object')
+  {
+    throw new TypeError('options.stream (object) is required');
+  }
+  var self = this;
+  var size = parseSize(options.bufferSize === undefined
+    ? '4m' : options.bufferSize);
+  size = Math.max(64, size - size % 4);
+  var overflow = options.overflow || 'block';
+  if (THREAD_OVERFLOW_POLICIES.indexOf(overflow) === -1) {
+    throw new TypeError(format('invalid overflow: "%s" (must be one of %s)',
+      overflow, THREAD_OVERFLOW_POLICIES.join(', ')));
+  }
 
+  EventEmitter.call(this);
+  this.overflow = overflow;
+  this.dropped = 0;
+  this._stalled = false;  // Whether a wait for the worker has timed out.
+  this._size = size;
+  this._sab = new SharedArrayBuffer(THREAD_HEADER_SIZE + size);
+  this._header = new Int32Array(this._sab, 0, THREAD_HEADER_SIZE / 4);
+  this._buf = Buffer.from(this._sab, THREAD_HEADER_SIZE, size);
+  this._writePos = 0;
+  this._ended = false;
+  this._flushCbs = {};
+  this._nextFlushId = 1;
+
+  this.worker = new Worker(new URL('./thread-stream-worker.mjs',
+    import.meta.url), {
+    workerData: {
+      sab: this._sab,
+      headerSize: THREAD_HEADER_SIZE,
+      size: size,
+      stream: options.stream,
+      levels: objCopy(levelFromName)
+    }
+  });
+  this.worker.on('message', function (msg) {
+    self._onWorkerMessage(msg);
+  });
+  this.worker.on('error', function (err) {
+    self.emit('error', err);
+  });
+  // Don't keep the process alive: records are written out on exit. This
+  // must come after adding a 'message' listener, which refs the worker.
+  this.worker.unref();
 
+  if (_threadStreams.length === 0) {
+    process.on('exit', _onProcessExitThreadStreams);
+  }
+  _threadStreams.push(this);
+}
 
-//---- Standard serializers
-// A serializer is a function that serializes a JavaScript object to a
-// JSON representation for logging. There is a standard set of presumed
-// interesting objects in node.js-land.
+util.inherits(ThreadStream, EventEmitter);
 
-Logger.stdSerializers = {};
+// The ring buffer header: Int32 slots for the write and read positions, a
+// flag the worker sets while waiting for records, and counters for
+// synchronous flush requests and acknowledgements.
+var THREAD_WRITE = 0;
+var THREAD_READ = 1;
+var THREAD_WAITING = 2;
+var THREAD_FLUSH_REQ = 3;
+var THREAD_FLUSH_ACK = 4;
+var THREAD_HEADER_SIZE = 32;
 
-// Serialize an HTTP request.
-Logger.stdSerializers.req = function (req) {
-  if (!req || !req.connection)
-    return req;
-  return {
-    method: req.method,
-    url: req.url,
-    headers: req.headers,
-    remoteAddress: req.connection.remoteAddress,
-    remotePort: req.connection.remotePort
-  };
-  // Trailers: Skipping for speed. If you need trailers in your app, then
-  // make a custom serializer.
-  //if (Object.keys(trailers).length > 0) {
-  //  obj.trailers = req.trailers;
-  //}
-};
+var THREAD_OVERFLOW_POLICIES = ['block', 'drop-newest'];
 
-// Serialize an HTTP response.
-Logger.stdSerializers.res = function (res) {
-  if (!res || !res.statusCode)
-    return res;
-  return {
-    statusCode: res.statusCode,
-    header: res._header
-  }
-};
+// Records longer than the remaining space at the end of the ring are
+// written at its start, after this marker.
+var THREAD_WRAP = -1;
 
+var _threadStreams = [];
 
-/*
- * This function dumps long stack traces for exceptions having a cause()
- * method. The error classes from
- * [verror](https://github.com/davepacheco/node-verror) and
- * [restify v2.0](https://github.com/mcavage/node-restify) are examples.
- *
- * Based on `dumpException` in
- * https://github.com/davepacheco/node-extsprintf/blob/master/lib/extsprintf.js
- */
-function getFullErrorStack(ex)
-{
-  var ret = ex.stack || ex.toString();
-  if (ex.cause && typeof (ex.cause) === 'function') {
-    var cex = ex.cause();
-    if (cex) {
-      ret += '\nCaused by: ' + getFullErrorStack(cex);
-    }
-  }
-  return (ret);
+function _onProcessExitThreadStreams() {
+  _threadStreams.slice().forEach(function (ts) {
+    ts.flushSync();
+  });
 }
 
-// Serialize an Error object
-// (Core error properties are enumerable in node 0.4, not in 0.6).
-Logger.stdSerializers.err = function (err) {
-  if (!err || !err.stack)
-    return err;
-  var obj = {
-    message: err.message,
-    name: err.name,
-    stack: getFullErrorStack(err),
-    code: err.code,
-    signal: err.signal
+ThreadStream.prototype.write = function write(rec) {
+  if (this._ended) {
+    return false;
   }
-  return obj;
+  var str = (typeof (rec) === 'string' ? rec : fastAndSafeJsonStringify(rec));
+  var len = Buffer.byteLength(str);
+  var need = 4 + len + (4 - len % 4) % 4;
+  var header = this._header;
+  var size = this._size;
+  var deadline = 0;
+
+  for (;;) {
+    var write = this._writePos;
+    var read = Atomics.load(header, THREAD_READ);
+    var pos = -1;
+    if (write >= read) {
+      if (size - write > need || (size - write === need && read !== 0)) {
+        pos = write;
+      } else if (read > need) {
+        this._buf.writeInt32LE(THREAD_WRAP, write);
+        pos = 0;
+      }
+    } else if (read - write > need) {
+      pos = write;
+    }
+    if (pos !== -1) {
+      break;
+    }
+    // Full: wait for the worker to read, unless it has not kept up before.
+    if (deadline && Date.now() >= deadline) {
+      this._stalled = true;
+    }
+    if (need >= size || this.overflow === 'drop-newest' || this._stalled) {
+      this.dropped++;
+      return false;
+    }
+    if (!deadline) {
+      deadline = Date.now() + 1000;
+    }
+    Atomics.wait(header, THREAD_READ, read, 50);
+  }
+  this._stalled = false;
+
+  this._buf.writeInt32LE(len, pos);
+  this._buf.write(str, pos + 4, len);
+  this._writePos = (pos + need) % size;
+  Atomics.store(header, THREAD_WRITE, this._writePos);
+  if (Atomics.load(header, THREAD_WAITING) === 1) {
+    Atomics.notify(header, THREAD_WRITE);
+  }
+  return true;
 };
 
-
-// A JSON stringifier that handles cycles safely - tracks seen values in a Set.
-function safeCyclesSet() {
-  var seen = new Set();
-  return function (key, val) {
-    if (!val || typeof (val) !== 'object') {
-      return val;
+ThreadStream.prototype._onWorkerMessage = function _onWorkerMessage(msg) {
+  if (msg.error) {
+    var err = new Error(msg.error.message);
+    err.stack = msg.error.stack;
+    err.code = msg.error.code;
+    this.emit('error', err);
+  } else if (msg.flushed !== undefined) {
+    var cb = this._flushCbs[msg.flushed];
+    delete this._flushCbs[msg.flushed];
+    if (Object.keys(this._flushCbs).length === 0) {
+      this.worker.unref();
     }
-    if (seen.has(val)) {
-      return '[Circular]';
-    }
-    seen.add(val);
-    return val;
-  };
-}
+    cb();
+  }
+};
 
-/**
- * A JSON stringifier that handles cycles safely - tracks seen vals in an Array.
- *
- * Note: This approach has performance problems when dealing with large objects,
- * see trentm/node-bunyan#445, but since this is the only option for node 0.10
- * and earlier (as Set was introduced in Node 0.12), it's used as a fallback
- * when Set is not available.
+/*
+ * Ask the worker to write out all records so far and call `cb` when done.
+ * `end` also closes the worker's stream.
  */
-function safeCyclesArray() {
-  var seen = [];
-  return function (key, val) {
-    if (!val || typeof (val) !== 'object') {
-      return val;
-    }
-    if (seen.indexOf(val) !== -1) {
-      return '[Circular]';
-    }
-    seen.push(val);
-    return val;
-  };
-}
+ThreadStream.prototype._request = function _request(what, cb) {
+  var id = this._nextFlushId++;
+  this._flushCbs[id] = cb;
+  this.worker.ref();
+  this.worker.postMessage({id: id, what: what});
+};
 
 /**
- * A JSON stringifier that handles cycles safely.
- *
- * Usage: JSON.stringify(obj, safeCycles())
- *
- * Choose the best safe cycle function from what is available - see
- * trentm/node-bunyan#445.
+ * Call `cb` once all records written so far have been written by the
+ * worker's stream.
  */
-var safeCycles = typeof (Set) !== 'undefined' ? safeCyclesSet : safeCyclesArray;
+ThreadStream.prototype.flush = function flush(cb) {
+  if (this._ended) {
+    process.nextTick(cb);
+    return;
+  }
+  this._request('flush', cb);
+};
 
 /**
- * A fast JSON.stringify that handles cycles and getter exceptions (when
- * safeJsonStringify is installed).
- *
- * This function attempts to use the regular JSON.stringify for speed, but on
- * error (e.g. JSON cycle detection exception) it falls back to safe stringify
- * handlers that can deal with cycles and/or getter exceptions.
+ * Synchronously wait for the worker to write out all records written so
+ * far, for up to 5 seconds. For use on process exit only: after this, no
+ * more records are written.
  */
-function fastAndSafeJsonStringify(rec) {
-  try {
-    return JSON.stringify(rec);
-  } catch (ex) {
-    try {
-      return JSON.stringify(rec, safeCycles());
-    } catch (e) {
-      if (!process.env.BUNYAN_TEST_NO_SAFE_JSON_STRINGIFY) {
-        return safeJson(rec);
-      } else {
-        var dedupKey = e.stack.split(/\n/g, 3).join('\n');
-        _warn('bunyan: ERROR: Exception in '
-          + '`JSON.stringify(rec)`. You can install the '
-          + '"safe-json-stringify" module to have Bunyan fallback '
-          + 'to safer stringification. Record:\n'
-          + _indent(format('%s\n%s', util.inspect(rec), e.stack)),
-          dedupKey);
-        return format('(Exception in JSON.stringify(rec): %j. '
-          + 'See stderr for details.)', e.message);
+ThreadStream.prototype.flushSync = function flushSync() {
+  if (this._ended) {
+    return;
+  }
+  this._ended = true;
+  this._removeExitHook();
+  var header = this._header;
+  var req = Atomics.add(header, THREAD_FLUSH_REQ, 1) + 1;
+  Atomics.notify(header, THREAD_WRITE);
+  var deadline = Date.now() + 5000;
+  for (;;) {
+    var ack = Atomics.load(header, THREAD_FLUSH_ACK);
+    var remaining = deadline - Date.now();
+    if (ack === req || remaining <= 0) {
+      break;
+    }
+    Atomics.wait(header, THREAD_FLUSH_ACK, ack, remaining);
+  }
+};
+
+ThreadStream.prototype.end = function end(cb) {
+  var self = this;
+  if (self._ended) {
+    if (cb) {
+      process.nextTick(cb);
+    }
+    return;
+  }
+  self._ended = true;
+  self._removeExitHook();
+  self._request('end', function () {
+    self.worker.terminate().then(function () {
+      self.emit('close');
+      if (cb) {
+        cb();
       }
+    });
+  });
+};
+
+ThreadStream.prototype.destroy = function destroy() {
+  this._ended = true;
+  this._removeExitHook();
+  this.worker.terminate();
+};
+
+ThreadStream.prototype.destroySoon = function destroySoon() {
+  this.end();
+};
+
+ThreadStream.prototype._removeExitHook = function _removeExitHook() {
+  var idx = _threadStreams.indexOf(this);
+  if (idx !== -1) {
+    _threadStreams.splice(idx, 1);
+    if (_threadStreams.length === 0) {
+      process.removeListener('exit', _onProcessExitThreadStreams);
     }
   }
-}
+};
 
 
 /**
@@ -1106,17 +3671,37 @@ Logger.WARN = WARN;
 Logger.ERROR = ERROR;
 Logger.FATAL = FATAL;
 Logger.resolveLevel = resolveLevel;
+Logger.parseLevelSpec = parseLevelSpec;
+Logger.addLevel = addLevel;
 Logger.levelFromName = levelFromName;
 Logger.nameFromLevel = nameFromLevel;
 
 Logger.VERSION = version;
 Logger.LOG_VERSION = LOG_VERSION;
 
-Logger.createLogger = function createLogger(options) {
-  return new Logger(options);
+Logger.createLogger = function createLogger(options, fields) {
+  return new Logger(options, fields);
 };
 
 Logger.RingBuffer = RingBuffer;
+Logger.RotatingFileStream = RotatingFileStream;
+Logger.SizeRotatingFileStream = SizeRotatingFileStream;
+Logger.BatchStream = BatchStream;
+Logger.ThreadStream = ThreadStream;
+Logger.PrettyStream = PrettyStream;
+
+// Named record formatters for the `formatter` stream option.
+Logger.formatters = formatters;
+
+// logfmt, e.g. for custom `type == 'raw'` streams or reading logfmt logs:
+//    var line = bunyan.formatLogfmt(rec);
+//    var rec = bunyan.parseLogfmt(line);
+Logger.formatLogfmt = function (rec) {
+  return formatLogfmt(rec, nameFromLevel);
+};
+Logger.parseLogfmt = function (line) {
+  return parseLogfmt(line, levelFromName);
+};
 
 // Useful for custom `type == 'raw'` streams that may do JSON stringification
 // of log records themselves. Usage:
@@ -0,0 +1,493 @@
+/**
+ *
+ * A small, safe expression language for filtering Bunyan log records, as
+ * used by `bunyan -c CONDITION`. Conditions are parsed once into a function
+ * of a record: no code is ever evaluated.
+ *
+ * Grammar:
+ *
+ *    expr     := and ('||' and)*
+ *    and      := unary ('&&' unary)*
+ *    unary    := '!' unary | compare
+ *    compare  := operand (OP operand | MATCH pattern | 'in' list)?
+ *                OP is one of: == != === !== < <= > >=
+ *                MATCH is one of: =~ !~
+ *    pattern  := /regex/flags | 'string' | "string" | CONSTANT
+ *    operand  := '(' expr ')' | literal | list | path | CONSTANT
+ *    literal  := number | 'string' | "string" | /regex/flags
+ *                | true | false | null | undefined
+ *    list     := '[' (item (',' item)*)? ']'
+ *    item     := literal | CONSTANT
+ *    path     := ['this.'] name ('.' name | '[' (string | number) ']')*
+ *
+ * For example:
+ *
+ *    level >= WARN && req.method == "POST"
+ *    this.pid == 123 || !(hostname in ["a", "b"])
+ *    msg =~ /timeout/i && err.code != null
+ *
+ * Semantics:
+ *
+ * - A path is looked up in the record's own fields. A missing field is
+ *   `undefined`, it is never an error. `.length` of a string or array works.
+ * - `==` and `===` are both strict equality (as are `!=` and `!==`), except
+ *   that `null` and `undefined` are equal.
+ * - `<`, `<=`, `>` and `>=` are false unless both sides are numbers, or both
+ *   are strings.
+ * - `a =~ b` tests regex `b` against `a`. `b` is a regex, or a string
+ *   pattern, given in the condition: not a field path. Non-string numbers
+ *   and booleans are matched as strings.
+ * - `a in [...]` is true if `a` equals any list item.
+ * - A lone operand is tested for truthiness, e.g. `err && !req`.
+ *
+ * -*- mode: js -*-
+ * vim: expandtab:ts=4:sw=4
+ */
+
+import util from 'util'
+
+var format = util.format;
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+
+//---- tokenizer
+
+var PUNCTUATION = ['===', '!==', '==', '!=', '<=', '>=', '=~', '!~', '&&',
+  '||', '<', '>', '!', '(', ')', '[', ']', ',', '.'];
+
+var KEYWORDS = {
+  'true': true,
+  'false': false,
+  'null': null,
+  'undefined': undefined
+};
+
+function ConditionError(msg, pos) {
+  var err = new Error(format('%s at position %d', msg, pos + 1));
+  err.name = 'ConditionError';
+  return err;
+}
+
+/**
+ * Split a condition into tokens: `{type, value, pos}` where `type` is one of
+ * 'punc', 'name', 'literal' (`value` is the parsed value) or 'end'.
+ */
+function tokenize(src) {
+  var tokens = [];
+  var pos = 0;
+  var match;
+  while (pos < src.length) {
+    var rest = src.slice(pos);
+    var ch = src[pos];
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    // A '-' is only a sign if a number (i.e. an operand) may follow.
+    if ((match = /^-?(?:\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)/.exec(rest)) &&
+      (ch !== '-' || _expectOperand(tokens)))
+    {
+      tokens.push({type: 'literal', value: Number(match[0]), pos: pos});
+      pos += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      var str = readString(src, pos);
+      tokens.push({type: 'literal', value: str.value, pos: pos});
+      pos = str.end;
+    } else if (ch === '/') {
+      var re = readRegex(src, pos);
+      tokens.push({type: 'literal', value: re.value, pos: pos});
+      pos = re.end;
+    } else if ((match = /^[A-Za-z_$][\w$]*/.exec(rest))) {
+      if (hasOwnProperty.call(KEYWORDS, match[0])) {
+        tokens.push({type: 'literal', value: KEYWORDS[match[0]], pos: pos});
+      } else {
+        tokens.push({type: 'name', value: match[0], pos: pos});
+      }
+      pos += match[0].length;
+    } else {
+      var punc = null;
+      for (var i = 0; i < PUNCTUATION.length; i++) {
+        if (rest.slice(0, PUNCTUATION[i].length) === PUNCTUATION[i]) {
+          punc = PUNCTUATION[i];
+          break;
+        }
+      }
+      if (punc === null) {
+        throw ConditionError(format('unexpected character %j', ch), pos);
+      }
+      tokens.push({type: 'punc', value: punc, pos: pos});
+      pos += punc.length;
+    }
+  }
+  tokens.push({type: 'end', pos: pos});
+  return tokens;
+}
+
+function _expectOperand(tokens) {
+  var last = tokens[tokens.length - 1];
+  return (!last || (last.type === 'punc' && last.value !== ')' &&
+    last.value !== ']'));
+}
+
+var ESCAPES = {n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0'};
+
+function readString(src, start) {
+  var quote = src[start];
+  var value = '';
+  var pos = start + 1;
+  while (pos < src.length) {
+    var ch = src[pos];
+    if (ch === quote) {
+      return {value: value, end: pos + 1};
+    } else if (ch === '\\') {
+      var next = src[pos + 1];
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(src.substr(pos + 2, 4))) {
+        value += String.fromCharCode(parseInt(src.substr(pos + 2, 4), 16));
+        pos += 6;
+        continue;
+      }
+      value += (hasOwnProperty.call(ESCAPES, next) ? ESCAPES[next] : next);
+      pos += 2;
+    } else {
+      value += ch;
+      pos++;
+    }
+  }
+  throw ConditionError('unterminated string', start);
+}
+
+function readRegex(src, start) {
+  var pos = start + 1;
+  var inClass = false;
+  while (pos < src.length) {
+    var ch = src[pos];
+    if (ch === '\\') {
+      pos += 2;
+      continue;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === ']') {
+      inClass = false;
+    } else if (ch === '/' && !inClass) {
+      var flags = /^[a-z]*/.exec(src.slice(pos + 1))[0];
+      var value;
+      try {
+        // 'g' and 'y' would make `test()` stateful.
+        value = new RegExp(src.slice(start + 1, pos),
+          flags.replace(/[gy]/g, ''));
+      } catch (err) {
+        throw ConditionError(format('invalid regex: %s', err.message), start);
+      }
+      return {value: value, end: pos + 1 + flags.length};
+    }
+    pos++;
+  }
+  throw ConditionError('unterminated regex', start);
+}
+
+
+//---- parser
+
+/*
+ * The parser directly builds the condition function: each rule returns a
+ * `function (rec)` for its sub-expression.
+ */
+function Parser(src, constants) {
+  this.tokens = tokenize(src);
+  this.i = 0;
+  this.constants = constants || {};
+}
+
+Parser.prototype.peek = function () {
+  return this.tokens[this.i];
+}
+
+Parser.prototype.next = function () {
+  return this.tokens[this.i++];
+}
+
+Parser.prototype.isPunc = function (value) {
+  var tok = this.peek();
+  return (tok.type === 'punc' && tok.value === value);
+}
+
+Parser.prototype.expectPunc = function (value) {
+  var tok = this.next();
+  if (tok.type !== 'punc' || tok.value !== value) {
+    throw this.unexpected(tok, format('expected "%s"', value));
+  }
+}
+
+Parser.prototype.unexpected = function (tok, expected) {
+  var what = (tok.type === 'end' ? 'end of condition'
+    : format('%j', tok.type === 'literal' ? String(tok.value) : tok.value));
+  return ConditionError(format('unexpected %s%s', what,
+    (expected ? ' (' + expected + ')' : '')), tok.pos);
+}
+
+Parser.prototype.parse = function () {
+  var fn = this.parseOr();
+  var tok = this.peek();
+  if (tok.type !== 'end') {
+    throw this.unexpected(tok);
+  }
+  return fn;
+}
+
+Parser.prototype.parseOr = function () {
+  var left = this.parseAnd();
+  while (this.isPunc('||')) {
+    this.next();
+    left = (function (a, b) {
+      return function (rec) { return a(rec) || b(rec); };
+    })(left, this.parseAnd());
+  }
+  return left;
+}
+
+Parser.prototype.parseAnd = function () {
+  var left = this.parseUnary();
+  while (this.isPunc('&&')) {
+    this.next();
+    left = (function (a, b) {
+      return function (rec) { return a(rec) && b(rec); };
+    })(left, this.parseUnary());
+  }
+  return left;
+}
+
+Parser.prototype.parseUnary = function () {
+  if (this.isPunc('!')) {
+    this.next();
+    var operand = this.parseUnary();
+    return function (rec) { return !operand(rec); };
+  }
+  return this.parseCompare();
+}
+
+Parser.prototype.parseCompare = function () {
+  var left = this.parseOperand();
+  var tok = this.peek();
+  var op = null;
+  if (tok.type === 'punc' && COMPARATORS[tok.value]) {
+    op = tok.value;
+  } else if (tok.type === 'name' && tok.value === 'in') {
+    op = 'in';
+  }
+  if (op === null) {
+    return left;
+  }
+  this.next();
+
+  var right;
+  if (op === 'in') {
+    right = this.parseList();
+    return function (rec) {
+      var value = left(rec);
+      for (var i = 0; i < right.length; i++) {
+        if (equal(value, right[i])) {
+          return true;
+        }
+      }
+      return false;
+    };
+  } else if (op === '=~' || op === '!~') {
+    var re = this.parsePattern();
+    var negate = (op === '!~');
+    return function (rec) { return regexMatch(left(rec), re) !== negate; };
+  }
+  right = this.parseOperand();
+  var compare = COMPARATORS[op];
+  return function (rec) { return compare(left(rec), right(rec)); };
+}
+
+Parser.prototype.parseList = function () {
+  this.expectPunc('[');
+  var items = [];
+  while (!this.isPunc(']')) {
+    var tok = this.next();
+    if (tok.type === 'literal') {
+      items.push(tok.value);
+    } else if (tok.type === 'name' &&
+      hasOwnProperty.call(this.constants, tok.value))
+    {
+      items.push(this.constants[tok.value]);
+    } else {
+      throw this.unexpected(tok, 'expected a list item');
+    }
+    if (!this.isPunc(']')) {
+      this.expectPunc(',');
+    }
+  }
+  this.next();
+  return items;
+}
+
+/*
+ * The pattern of `=~` or `!~` is compiled once, here. It is never taken from
+ * a record field: records may come from untrusted sources, and a crafted
+ * pattern could take forever to match.
+ */
+Parser.prototype.parsePattern = function () {
+  var tok = this.next();
+  var value;
+  if (tok.type === 'literal') {
+    value = tok.value;
+  } else if (tok.type === 'name' &&
+    hasOwnProperty.call(this.constants, tok.value))
+  {
+    value = this.constants[tok.value];
+  }
+  if (value instanceof RegExp) {
+    return value;
+  } else if (typeof (value) !== 'string') {
+    throw this.unexpected(tok, 'expected a regex or string');
+  }
+  try {
+    return new RegExp(value);
+  } catch (err) {
+    throw ConditionError(format('invalid regex: %s', err.message), tok.pos);
+  }
+}
+
+Parser.prototype.parseOperand = function () {
+  var tok = this.next();
+  if (tok.type === 'punc' && tok.value === '(') {
+    var inner = this.parseOr();
+    this.expectPunc(')');
+    return inner;
+  } else if (tok.type === 'literal') {
+    var value = tok.value;
+    return function () { return value; };
+  } else if (tok.type === 'punc' && tok.value === '[') {
+    this.i--;
+    var items = this.parseList();
+    return function () { return items; };
+  } else if (tok.type === 'name') {
+    if (tok.value === 'this' && this.isPunc('.')) {
+      this.next();
+      return this.parsePath(this.next());
+    } else if (hasOwnProperty.call(this.constants, tok.value) &&
+      !this.isPunc('.') && !this.isPunc('['))
+    {
+      var constant = this.constants[tok.value];
+      return function () { return constant; };
+    }
+    return this.parsePath(tok);
+  }
+  throw this.unexpected(tok, 'expected a value or field');
+}
+
+Parser.prototype.parsePath = function (tok) {
+  if (tok.type !== 'name') {
+    throw this.unexpected(tok, 'expected a field name');
+  }
+  var path = [tok.value];
+  for (;;) {
+    if (this.isPunc('.')) {
+      this.next();
+      tok = this.next();
+      if (tok.type !== 'name' && !(tok.type === 'literal' &&
+        typeof (tok.value) !== 'number' && tok.value !== undefined))
+      {
+        throw this.unexpected(tok, 'expected a field name');
+      }
+      // E.g. `rec.null` or `rec.true` are plain field names.
+      path.push(tok.type === 'name' ? tok.value : String(tok.value));
+    } else if (this.isPunc('[')) {
+      this.next();
+      tok = this.next();
+      if (tok.type !== 'literal' || (typeof (tok.value) !== 'string' &&
+        typeof (tok.value) !== 'number'))
+      {
+        throw this.unexpected(tok, 'expected a string or number');
+      }
+      path.push(String(tok.value));
+      this.expectPunc(']');
+    } else {
+      break;
+    }
+  }
+  return function (rec) { return lookup(rec, path); };
+}
+
+
+//---- evaluation
+
+function lookup(obj, path) {
+  for (var i = 0; i < path.length; i++) {
+    if (obj === null || obj === undefined) {
+      return undefined;
+    }
+    var key = path[i];
+    if (key === 'length' &&
+      (typeof (obj) === 'string' || Array.isArray(obj)))
+    {
+      obj = obj.length;
+    } else if (typeof (obj) === 'object' && hasOwnProperty.call(obj, key)) {
+      obj = obj[key];
+    } else {
+      return undefined;
+    }
+  }
+  return obj;
+}
+
+function equal(a, b) {
+  return (a === b || (a == null && b == null));
+}
+
+function ordered(a, b) {
+  var type = typeof (a);
+  return ((type === 'number' || type === 'string') && typeof (b) === type);
+}
+
+function regexMatch(value, pattern) {
+  if (typeof (value) === 'number' || typeof (value) === 'boolean') {
+    value = String(value);
+  }
+  if (typeof (value) !== 'string') {
+    return false;
+  }
+  return pattern.test(value);
+}
+
+var COMPARATORS = {
+  '==': equal,
+  '===': equal,
+  '!=': function (a, b) { return !equal(a, b); },
+  '!==': function (a, b) { return !equal(a, b); },
+  '<': function (a, b) { return ordered(a, b) && a < b; },
+  '<=': function (a, b) { return ordered(a, b) && a <= b; },
+  '>': function (a, b) { return ordered(a, b) && a > b; },
+  '>=': function (a, b) { return ordered(a, b) && a >= b; },
+  // Compiled by `parseCompare`.
+  '=~': true,
+  '!~': true
+};
+
+
+/**
+ * Compile a condition.
+ *
+ * @param src {String} The condition, e.g. 'level >= WARN && pid == 123'.
+ * @param constants {Object} Optional. Names, e.g. level names like 'TRACE',
+ *    that are constants rather than field paths in the condition.
+ * @returns {Function} `function (rec)` returning a boolean: whether the
+ *    record passes the condition.
+ * @throws {Error} If the condition isn't valid. The message includes the
+ *    position of the problem.
+ */
+function compileCondition(src, constants) {
+  var fn = new Parser(src, constants).parse();
+  return function condition(rec) {
+    return Boolean(fn(rec));
+  };
+}
+
+
+export {
+  compileCondition
+};
+export default compileCondition;
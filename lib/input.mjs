@@ -0,0 +1,308 @@
+/**
+ *
+ * Input adapters for the `bunyan` CLI: they turn log lines from Bunyan and
+ * other structured loggers (pino, Elastic Common Schema (ECS) JSON, logfmt)
+ * into Bunyan log records, so that all filters and output modes work on them.
+ *
+ * -*- mode: js -*-
+ * vim: expandtab:ts=4:sw=4
+ */
+
+import { isValidRecord } from './pretty.mjs'
+import { parseLogfmt } from './logfmt.mjs'
+
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+
+//---- normalization
+
+var INFO = 30;
+
+// Level names used by other loggers for Bunyan's levels.
+var LEVEL_ALIASES = {
+  'warning': 'warn',
+  'err': 'error',
+  'critical': 'fatal',
+  'crit': 'fatal',
+  'alert': 'fatal',
+  'emerg': 'fatal',
+  'emergency': 'fatal',
+  'panic': 'fatal'
+};
+
+/*
+ * A level value from a level number or name. Unknown names are INFO.
+ */
+function normalizeLevel(level, levelFromName) {
+  if (typeof (level) === 'number') {
+    return level;
+  } else if (typeof (level) === 'string') {
+    var name = level.toLowerCase();
+    if (hasOwnProperty.call(LEVEL_ALIASES, name) &&
+      !hasOwnProperty.call(levelFromName, name))
+    {
+      name = LEVEL_ALIASES[name];
+    }
+    if (hasOwnProperty.call(levelFromName, name)) {
+      return levelFromName[name];
+    }
+  }
+  return INFO;
+}
+
+/*
+ * An ISO 8601 time string, as in Bunyan records, from a time string (e.g.
+ * with a time zone offset) or an epoch number in ms (e.g. pino) or seconds.
+ * Returns null for a missing or invalid time.
+ */
+function normalizeTime(time) {
+  var date;
+  if (typeof (time) === 'number') {
+    // Epoch times in seconds are before 1973 in ms.
+    date = new Date(time < 1e11 ? time * 1000 : time);
+  } else if (typeof (time) === 'string') {
+    date = new Date(time);
+  } else {
+    return null;
+  }
+  return (isNaN(date.getTime()) ? null : date.toISOString());
+}
+
+/*
+ * Build a Bunyan record from the core fields found in a foreign record and
+ * the foreign record's other fields, `extras`. Missing `name`, `hostname`
+ * and `pid` fields are '-'.
+ *
+ * @returns {Object} The record, or null if there is no valid time.
+ */
+function buildRecord(core, extras, levelFromName) {
+  var time = normalizeTime(core.time);
+  if (time === null) {
+    return null;
+  }
+  var rec = {
+    name: (core.name == null ? '-' : core.name),
+    hostname: (core.hostname == null ? '-' : core.hostname),
+    pid: (core.pid == null ? '-' : core.pid),
+    level: normalizeLevel(core.level, levelFromName)
+  };
+  Object.keys(extras).forEach(function (k) {
+    if (!hasOwnProperty.call(rec, k) && k !== 'msg' && k !== 'time' &&
+      k !== 'v')
+    {
+      rec[k] = extras[k];
+    }
+  });
+  rec.msg = (core.msg == null ? '' : String(core.msg));
+  rec.time = time;
+  rec.v = 0;
+  return rec;
+}
+
+/*
+ * Return the first of the given field names that `obj` has, or undefined.
+ */
+function firstField(obj, names) {
+  for (var i = 0; i < names.length; i++) {
+    if (obj[names[i]] !== undefined) {
+      return names[i];
+    }
+  }
+  return undefined;
+}
+
+function parseJson(line) {
+  if (line[0] !== '{') {
+    return null;
+  }
+  try {
+    var obj = JSON.parse(line);
+  } catch (parseErr) {
+    return null;
+  }
+  return (obj !== null && typeof (obj) === 'object' &&
+    !Array.isArray(obj) ? obj : null);
+}
+
+
+//---- adapters
+
+/*
+ * Each input adapter has:
+ *
+ * - `parse(line)`: Parse a line into an object, or return null.
+ * - `detect(obj)`: Whether a parsed object looks like a record of this
+ *   format. Used to pick the adapter when auto-detecting.
+ * - `toRecord(obj, levelFromName)`: Normalize a parsed object to a Bunyan
+ *   record, or return null if that isn't possible. `levelFromName` maps the
+ *   known (lowercase) level names to values. `obj` may be modified.
+ */
+
+var bunyanInput = {
+  parse: parseJson,
+  detect: function (obj) {
+    return isValidRecord(obj) && typeof (obj.time) === 'string';
+  },
+  toRecord: function (obj) {
+    return (isValidRecord(obj) ? obj : null);
+  }
+};
+
+// pino: numeric levels like Bunyan's, and (by default) an epoch `time` in ms,
+// no `v` (or `v: 1` in older versions) and no `name` unless set.
+//
+// Many JSON lines have a `level` and a `time`: only those that also have
+// pino's default `pid` and `hostname` fields, or a numeric level and epoch
+// time, are detected as pino records. Others are left as is.
+var pinoInput = {
+  parse: parseJson,
+  detect: function (obj) {
+    if (obj.level === undefined || obj.time === undefined ||
+      (obj.v !== undefined && obj.v !== 1))
+    {
+      return false;
+    }
+    return ((obj.pid !== undefined && obj.hostname !== undefined) ||
+      (Number.isInteger(obj.level) && Number.isInteger(obj.time)));
+  },
+  toRecord: function (obj, levelFromName) {
+    return buildRecord(obj, obj, levelFromName);
+  }
+};
+
+/*
+ * ECS fields are given either nested, e.g. `{"log": {"level": "info"}}`, or
+ * with dotted names, e.g. `{"log.level": "info"}`. Get one and remove it
+ * from `obj`, along with any parent object that is then empty.
+ */
+function takeEcsField(obj, path) {
+  var value;
+  if (obj[path] !== undefined) {
+    value = obj[path];
+    delete obj[path];
+    return value;
+  }
+  var names = path.split('.');
+  var parent = obj[names[0]];
+  if (parent === null || typeof (parent) !== 'object' ||
+    parent[names[1]] === undefined)
+  {
+    return undefined;
+  }
+  value = parent[names[1]];
+  delete parent[names[1]];
+  if (Object.keys(parent).length === 0) {
+    delete obj[names[0]];
+  }
+  return value;
+}
+
+var ecsInput = {
+  parse: parseJson,
+  detect: function (obj) {
+    return (obj['@timestamp'] !== undefined);
+  },
+  toRecord: function (obj, levelFromName) {
+    var core = {
+      time: takeEcsField(obj, '@timestamp'),
+      level: takeEcsField(obj, 'log.level'),
+      msg: takeEcsField(obj, 'message'),
+      name: takeEcsField(obj, 'service.name'),
+      hostname: takeEcsField(obj, 'host.hostname'),
+      pid: takeEcsField(obj, 'process.pid')
+    };
+    if (core.hostname === undefined) {
+      core.hostname = takeEcsField(obj, 'host.name');
+    }
+    takeEcsField(obj, 'ecs.version');
+
+    // ECS errors are `error.{type,message,stack_trace}`.
+    var errMessage = takeEcsField(obj, 'error.message');
+    var errType = takeEcsField(obj, 'error.type');
+    var errStack = takeEcsField(obj, 'error.stack_trace');
+    if (errMessage !== undefined || errStack !== undefined) {
+      obj.err = {message: errMessage, name: errType, stack: errStack};
+    }
+    return buildRecord(core, obj, levelFromName);
+  }
+};
+
+// logfmt, e.g. from `bunyan -o logfmt`, or from logrus or slog:
+//    time=... level=info msg="hi there" key=value
+var logfmtInput = {
+  parse: function (line) {
+    return parseLogfmt(line);
+  },
+  detect: function (obj) {
+    return (firstField(obj, ['level', 'lvl']) !== undefined &&
+      firstField(obj, ['msg', 'message', 'time', 'ts']) !== undefined);
+  },
+  toRecord: function (obj, levelFromName) {
+    var core = {name: obj.name, hostname: obj.hostname, pid: obj.pid};
+    [
+      ['level', ['level', 'lvl']],
+      ['msg', ['msg', 'message']],
+      ['time', ['time', 'ts', 'timestamp']]
+    ].forEach(function (field) {
+      var name = firstField(obj, field[1]);
+      if (name !== undefined) {
+        core[field[0]] = obj[name];
+        delete obj[name];
+      }
+    });
+    return buildRecord(core, obj, levelFromName);
+  }
+};
+
+var INPUT_FORMATS = {
+  bunyan: bunyanInput,
+  pino: pinoInput,
+  ecs: ecsInput,
+  logfmt: logfmtInput
+};
+
+// The order in which formats are tried when auto-detecting. Bunyan records
+// are detected before pino, which accepts some with a numeric time.
+var JSON_FORMATS = ['bunyan', 'ecs', 'pino'];
+var TEXT_FORMATS = ['logfmt'];
+
+
+/**
+ * Parse a log line into a Bunyan log record.
+ *
+ * @param line {String} The log line.
+ * @param inputFormat {String} 'auto' to detect the format of the line, or
+ *    one of the `INPUT_FORMATS`: 'bunyan', 'pino', 'ecs' or 'logfmt'.
+ * @param levelFromName {Object} The known level values by lowercase name,
+ *    for level names in the input.
+ * @returns {Object} The record, or null if the line isn't a log record (of
+ *    the given format).
+ */
+function parseInputLine(line, inputFormat, levelFromName) {
+  var obj, adapter;
+  if (inputFormat !== 'auto') {
+    adapter = INPUT_FORMATS[inputFormat];
+    obj = adapter.parse(line);
+    return (obj === null ? null : adapter.toRecord(obj, levelFromName));
+  }
+
+  var json = (line[0] === '{');
+  obj = (json ? parseJson(line) : parseLogfmt(line));
+  if (obj === null) {
+    return null;
+  }
+  var formats = (json ? JSON_FORMATS : TEXT_FORMATS);
+  for (var i = 0; i < formats.length; i++) {
+    adapter = INPUT_FORMATS[formats[i]];
+    if (adapter.detect(obj)) {
+      return adapter.toRecord(obj, levelFromName);
+    }
+  }
+  return null;
+}
+
+
+export {
+  INPUT_FORMATS,
+  parseInputLine
+};
@@ -0,0 +1,218 @@
+/**
+ *
+ * logfmt rendering and parsing of Bunyan log records: `key=value` pairs
+ * separated by spaces, with nested objects flattened to dotted keys, e.g.:
+ *
+ *    time=2012-02-08T22:56:52.856Z level=info name=myapp msg="hi there" v=0
+ *
+ * Used by the "logfmt" stream formatter, `bunyan -o logfmt` and for reading
+ * logfmt input in the `bunyan` CLI.
+ *
+ * -*- mode: js -*-
+ * vim: expandtab:ts=4:sw=4
+ */
+
+
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+
+//---- rendering
+
+// Strings that would be read back as another type are quoted.
+var NON_STRING_RE = /^(?:true|false|-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)$/;
+
+function logfmtValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  var str = String(value);
+  if (str.length === 0 || /[\s"=\\]|[\x00-\x1f]/.test(str) ||
+    (typeof (value) === 'string' && NON_STRING_RE.test(str)))
+  {
+    // JSON string escaping quotes the value and escapes '"', '\' and
+    // control characters, e.g. newlines.
+    return JSON.stringify(str);
+  }
+  return str;
+}
+
+function logfmtFlatten(pairs, prefix, value, seen) {
+  if (value instanceof Date) {
+    pairs.push(prefix + '=' + logfmtValue(value.toISOString()));
+  } else if (value !== null && typeof (value) === 'object') {
+    if (seen.indexOf(value) !== -1) {
+      pairs.push(prefix + '="[Circular]"');
+      return;
+    }
+    seen.push(value);
+    var keys = Object.keys(value);
+    if (keys.length === 0) {
+      pairs.push(prefix + '=');
+    }
+    keys.forEach(function (k) {
+      logfmtFlatten(pairs, prefix + '.' + k, value[k], seen);
+    });
+    seen.pop();
+  } else if (value !== undefined && typeof (value) !== 'function') {
+    pairs.push(prefix + '=' + logfmtValue(value));
+  }
+}
+
+/**
+ * Render a log record as logfmt. Nested objects are flattened to dotted keys
+ * (e.g. `req.headers.host=...`), values are quoted and escaped as needed and
+ * `time` and `level` come first, with the level given by name.
+ *
+ * @param rec {Object} The log record. It is not modified.
+ * @param nameFromLevel {Object} Optional. Level names by level value, e.g.
+ *    `{30: 'info'}`. A level without a name is given as a number.
+ * @returns {String} The logfmt line, without a trailing newline.
+ */
+function formatLogfmt(rec, nameFromLevel) {
+  var pairs = [];
+  var seen = [rec];
+  if (rec.time !== undefined) {
+    logfmtFlatten(pairs, 'time', rec.time, seen);
+  }
+  pairs.push('level=' + logfmtValue(
+    (nameFromLevel && nameFromLevel[rec.level]) || rec.level));
+  Object.keys(rec).forEach(function (key) {
+    if (key !== 'time' && key !== 'level') {
+      logfmtFlatten(pairs, key, rec[key], seen);
+    }
+  });
+  return pairs.join(' ');
+}
+
+
+//---- parsing
+
+/*
+ * One `key=value` pair: the key, then an optional '=' and a quoted (with
+ * JSON string escapes) or bare value.
+ */
+var PAIR_RE = /([^\s="]+)(?:=("(?:[^"\\]|\\.)*"|[^\s"]*))?(?=\s|$)\s*/y;
+
+function parseValue(raw) {
+  if (raw === undefined) {
+    return true;  // a lone key is a flag
+  } else if (raw === '') {
+    return null;
+  } else if (raw[0] === '"') {
+    return JSON.parse(raw);
+  } else if (raw === 'true' || raw === 'false') {
+    return (raw === 'true');
+  } else if (NON_STRING_RE.test(raw)) {
+    return Number(raw);
+  }
+  return raw;
+}
+
+/*
+ * Set `obj[path[0]][path[1]]...` to value, creating objects on the way. A
+ * path that clashes with an existing non-object value is set as is, e.g.
+ * `obj['a.b']`. Like `JSON.parse`, this only sets own properties: a
+ * '__proto__' key doesn't touch the prototype.
+ */
+function setPath(obj, key, value) {
+  var path = key.split('.');
+  var target = obj;
+  for (var i = 0; i < path.length - 1; i++) {
+    var next = (hasOwnProperty.call(target, path[i])
+      ? target[path[i]] : undefined);
+    if (next === undefined) {
+      next = {};
+      setOwn(target, path[i], next);
+    } else if (next === null || typeof (next) !== 'object') {
+      setOwn(obj, key, value);
+      return;
+    }
+    target = next;
+  }
+  setOwn(target, path[path.length - 1], value);
+}
+
+function setOwn(obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value: value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+}
+
+/*
+ * Turn objects with the keys '0', '1', ... (from flattened arrays, e.g.
+ * `tags.0=a tags.1=b`) back into arrays.
+ */
+function restoreArrays(obj) {
+  var keys = Object.keys(obj);
+  keys.forEach(function (k) {
+    var value = obj[k];
+    if (value !== null && typeof (value) === 'object') {
+      obj[k] = restoreArrays(value);
+    }
+  });
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i] !== String(i)) {
+      return obj;
+    }
+  }
+  return (keys.length > 0 ? keys.map(function (k) { return obj[k]; }) : obj);
+}
+
+/**
+ * Parse a logfmt line, as rendered by `formatLogfmt`, into an object.
+ * Dotted keys are expanded into nested objects (or arrays, for keys '0',
+ * '1', ...), bare numbers and booleans are converted and quoted values are
+ * strings. An empty value is null: empty objects and arrays can't be told
+ * apart from null in logfmt.
+ *
+ * @param line {String} The logfmt line.
+ * @param levelFromName {Object} Optional. Level values by name, e.g.
+ *    `{info: 30}`, to convert a `level` name to its value.
+ * @returns {Object} The record, or null if this isn't a logfmt line.
+ */
+function parseLogfmt(line, levelFromName) {
+  var rec = {};
+  var sawPair = false;
+  var pos = line.length - line.replace(/^\s+/, '').length;
+  var match;
+  while (pos < line.length) {
+    PAIR_RE.lastIndex = pos;
+    match = PAIR_RE.exec(line);
+    if (!match) {
+      return null;
+    }
+    var value;
+    try {
+      value = parseValue(match[2]);
+    } catch (parseErr) {
+      return null;  // invalid escapes in a quoted value
+    }
+    setPath(rec, match[1], value);
+    sawPair = sawPair || (match[2] !== undefined);
+    pos = PAIR_RE.lastIndex;
+  }
+  if (!sawPair) {
+    return null;  // just words
+  }
+  Object.keys(rec).forEach(function (k) {
+    if (rec[k] !== null && typeof (rec[k]) === 'object') {
+      rec[k] = restoreArrays(rec[k]);
+    }
+  });
+
+  if (typeof (rec.level) === 'string' && levelFromName &&
+    hasOwnProperty.call(levelFromName, rec.level.toLowerCase()))
+  {
+    rec.level = levelFromName[rec.level.toLowerCase()];
+  }
+  return rec;
+}
+
+
+export {
+  formatLogfmt,
+  parseLogfmt
+};
@@ -0,0 +1,869 @@
+/**
+ *
+ * Pretty-printing of Bunyan log records: the "long", "short", "simple", ...
+ * output modes of the `bunyan` CLI, and a `PrettyStream` to use them
+ * in-process.
+ *
+ * -*- mode: js -*-
+ * vim: expandtab:ts=4:sw=4
+ */
+
+import util from 'util'
+import http from 'http'
+import stream from 'stream'
+import safeJson from './safe-json.mjs'
+import { formatLogfmt } from './logfmt.mjs'
+
+var format = util.format;
+
+//---- levels
+
+var nameFromLevel = {};
+var upperNameFromLevel = {};
+var upperPaddedNameFromLevel = {};
+
+/**
+ * Register a level name for rendering. Bunyan's `Logger.addLevel()` and the
+ * CLI's `--levels` call this for custom levels.
+ */
+function addLevel(name, lvl) {
+  nameFromLevel[lvl] = name.toLowerCase();
+  upperNameFromLevel[lvl] = name.toUpperCase();
+  // Pad to the width of the built-in level names, e.g. ' INFO'.
+  var pad = '';
+  for (var i = name.length; i < 5; i++) {
+    pad += ' ';
+  }
+  upperPaddedNameFromLevel[lvl] = pad + name.toUpperCase();
+}
+addLevel('trace', 10);
+addLevel('debug', 20);
+addLevel('info', 30);
+addLevel('warn', 40);
+addLevel('error', 50);
+addLevel('fatal', 60);
+
+var colorFromLevel = {
+  10: 'white',    // TRACE
+  20: 'yellow',   // DEBUG
+  30: 'cyan',     // INFO
+  40: 'magenta',  // WARN
+  50: 'red',      // ERROR
+  60: 'inverse',  // FATAL
+};
+
+
+//---- support functions
+
+var MODES = {
+  'long': true,
+  'short': true,
+  'simple': true,
+  'json': true,
+  'bunyan': true,
+  'inspect': true,
+  'logfmt': true
+};
+
+function indent(s) {
+  return '    ' + s.split(/\r?\n/).join('\n    ');
+}
+
+/*
+ * Render the stack of a (serialized) error, followed by those of the errors
+ * in its `errors` array (e.g. of an `AggregateError`), indented, and those
+ * of its chain of `cause`s. The other fields of nested errors, e.g. a
+ * `code`, are added to the first line of their stack.
+ */
+function errStack(err, nested) {
+  if (!err || typeof (err) !== 'object') {
+    return String(err);
+  } else if (err.stack === undefined) {
+    return safeStringify(err);
+  }
+  var s = String(err.stack);
+  if (nested) {
+    var extras = Object.keys(err).filter(function (k) {
+      return (err[k] !== undefined && k !== 'message' && k !== 'name' &&
+        k !== 'stack' && k !== 'cause' && k !== 'errors');
+    }).map(function (k) {
+      var v = err[k];
+      return k + '=' + (typeof (v) === 'string' && !/[\s,()]/.test(v)
+        ? v : safeStringify(v));
+    });
+    if (extras.length) {
+      var eol = s.indexOf('\n');
+      eol = (eol === -1 ? s.length : eol);
+      s = s.slice(0, eol) + ' (' + extras.join(', ') + ')' + s.slice(eol);
+    }
+  }
+  if (Array.isArray(err.errors)) {
+    err.errors.forEach(function (e, i) {
+      s += '\n  [' + i + '] ' +
+        errStack(e, true).split(/\r?\n/).join('\n  ');
+    });
+  }
+  if (err.cause !== undefined && typeof (err.cause) !== 'function') {
+    s += '\nCaused by: ' + errStack(err.cause, true);
+  }
+  return s;
+}
+
+/*
+ * JSON.stringify a value that may come from an in-process record, so may
+ * have cycles, throwing getters or BigInts. As for the JSON of records in
+ * bunyan.mjs, the safe stringify is only used if the fast one throws.
+ */
+function safeStringify(value, indent) {
+  try {
+    return JSON.stringify(value, null, indent);
+  } catch (e) {
+    return safeJson(value, null, indent);
+  }
+}
+
+function objCopy(obj) {
+  if (obj === null) {
+    return null;
+  } else if (Array.isArray(obj)) {
+    return obj.slice();
+  } else {
+    var copy = {};
+    Object.keys(obj).forEach(function (k) {
+      copy[k] = obj[k];
+    });
+    return copy;
+  }
+}
+
+// http://en.wikipedia.org/wiki/ANSI_escape_code#graphics
+// Suggested colors (some are unreadable in common cases):
+// - Good: cyan, yellow (limited use), bold, green, magenta, red
+// - Bad: blue (not visible on cmd.exe), grey (same color as background on
+//   Solarized Dark theme from <https://github.com/altercation/solarized>, see
+//   issue #160)
+var colors = {
+  'bold' : [1, 22],
+  'italic' : [3, 23],
+  'underline' : [4, 24],
+  'inverse' : [7, 27],
+  'white' : [37, 39],
+  'grey' : [90, 39],
+  'black' : [30, 39],
+  'blue' : [34, 39],
+  'cyan' : [36, 39],
+  'green' : [32, 39],
+  'magenta' : [35, 39],
+  'red' : [31, 39],
+  'yellow' : [33, 39]
+};
+
+function stylizeWithColor(str, color) {
+  if (!str)
+    return '';
+  var codes = colors[color];
+  if (codes) {
+    return '\x33[' + codes[0] + 'm' + str +
+           '\x33[' + codes[1] + 'm';
+  } else {
+    return str;
+  }
+}
+
+function stylizeWithoutColor(str, color) {
+  return str;
+}
+
+function pad2(n) {
+  return (n < 10 ? '0' : '') + n;
+}
+
+function pad3(n) {
+  return (n < 10 ? '00' : (n < 100 ? '0' : '')) + n;
+}
+
+var _dateTimeFormatFromZone = {};
+
+/**
+ * Get an `Intl.DateTimeFormat` for the given IANA time zone name, e.g.
+ * 'Europe/Oslo'. This throws a RangeError for an unknown time zone.
+ */
+function dateTimeFormatForZone(zone) {
+  var dtf = _dateTimeFormatFromZone[zone];
+  if (!dtf) {
+    dtf = _dateTimeFormatFromZone[zone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  return dtf;
+}
+
+/**
+ * Is `timeFormat` valid for `formatRecord`: 'utc', 'local' or an IANA time
+ * zone name.
+ */
+function isValidTimeFormat(timeFormat) {
+  if (timeFormat === 'utc' || timeFormat === 'local') {
+    return true;
+  }
+  try {
+    dateTimeFormatForZone(timeFormat);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+var _localZone = null;
+function localZone() {
+  if (_localZone === null) {
+    _localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+  return _localZone;
+}
+
+/**
+ * Break a date into its calendar fields in the given time format: 'utc',
+ * 'local' or an IANA time zone name. `offset` is the offset from UTC in
+ * minutes.
+ */
+function timeParts(date, timeFormat) {
+  if (timeFormat === 'utc') {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      ms: date.getUTCMilliseconds(),
+      offset: 0,
+      zone: 'UTC'
+    };
+  } else if (timeFormat === 'local') {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      ms: date.getMilliseconds(),
+      offset: -date.getTimezoneOffset(),
+      zone: localZone()
+    };
+  }
+  var parts = {ms: date.getUTCMilliseconds(), zone: timeFormat};
+  dateTimeFormatForZone(timeFormat).formatToParts(date).forEach(function (p) {
+    if (p.type !== 'literal') {
+      parts[p.type] = Number(p.value);
+    }
+  });
+  var asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour,
+    parts.minute, parts.second, parts.ms);
+  parts.offset = Math.round((asUTC - date.getTime()) / 60000);
+  return parts;
+}
+
+function offsetStr(offset, sep) {
+  var sign = (offset < 0 ? '-' : '+');
+  offset = Math.abs(offset);
+  return sign + pad2(Math.floor(offset / 60)) + sep + pad2(offset % 60);
+}
+
+/**
+ * Render a record time in ISO 8601 format, the same as Bunyan's native UTC
+ * time but in the given time zone, e.g. '2012-02-08T23:56:52.856+01:00'.
+ */
+function isoTime(parts) {
+  return format('%s-%s-%sT%s:%s:%s.%s%s',
+    parts.year,
+    pad2(parts.month),
+    pad2(parts.day),
+    pad2(parts.hour),
+    pad2(parts.minute),
+    pad2(parts.second),
+    pad3(parts.ms),
+    (parts.offset === 0 && parts.zone === 'UTC'
+      ? 'Z' : offsetStr(parts.offset, ':')));
+}
+
+var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday',
+  'Friday', 'Saturday'];
+var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * A strftime-like time format. Supported directives are:
+ *
+ *    %Y  year, e.g. 2012         %H  hour (00-23)
+ *    %y  year (00-99)            %I  hour (01-12)
+ *    %m  month (01-12)           %p  AM or PM
+ *    %b  month name, e.g. Feb    %M  minute (00-59)
+ *    %B  month name, e.g.        %S  second (00-59)
+ *        February                %L  millisecond (000-999)
+ *    %d  day of month (01-31)    %z  UTC offset, e.g. +0100
+ *    %e  day of month ( 1-31)    %Z  time zone, e.g. Europe/Oslo
+ *    %a  weekday name, e.g. Wed  %s  seconds since the epoch
+ *    %A  weekday name, e.g.      %F  same as %Y-%m-%d
+ *        Wednesday               %T  same as %H:%M:%S
+ *    %%  a literal '%'
+ *
+ * Other characters, and unknown directives, are output as is.
+ */
+function strftime(fmt, date, parts) {
+  return fmt.replace(/%([a-zA-Z%])/g, function (match, directive) {
+    switch (directive) {
+    case 'Y': return String(parts.year);
+    case 'y': return pad2(parts.year % 100);
+    case 'm': return pad2(parts.month);
+    case 'b': return MONTH_NAMES[parts.month - 1].slice(0, 3);
+    case 'B': return MONTH_NAMES[parts.month - 1];
+    case 'd': return pad2(parts.day);
+    case 'e': return (parts.day < 10 ? ' ' : '') + parts.day;
+    case 'a':
+    case 'A':
+      var day = DAY_NAMES[
+        new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+      return (directive === 'a' ? day.slice(0, 3) : day);
+    case 'H': return pad2(parts.hour);
+    case 'I': return pad2(parts.hour % 12 || 12);
+    case 'p': return (parts.hour < 12 ? 'AM' : 'PM');
+    case 'M': return pad2(parts.minute);
+    case 'S': return pad2(parts.second);
+    case 'L': return pad3(parts.ms);
+    case 'z': return offsetStr(parts.offset, '');
+    case 'Z': return parts.zone;
+    case 's': return String(Math.floor(date.getTime() / 1000));
+    case 'F': return strftime('%Y-%m-%d', date, parts);
+    case 'T': return strftime('%H:%M:%S', date, parts);
+    case '%': return '%';
+    default: return match;
+    }
+  });
+}
+
+
+/**
+ * Is this a valid Bunyan log record.
+ */
+function isValidRecord(rec) {
+  if (rec.v == null ||
+      rec.level == null ||
+      rec.name == null ||
+      rec.hostname == null ||
+      rec.pid == null ||
+      rec.time == null ||
+      rec.msg == null) {
+    // Not valid Bunyan log.
+    return false;
+  } else {
+    return true;
+  }
+}
+
+
+/**
+ * Render a single log record.
+ *
+ * @param rec {Object} The log record. It is not modified.
+ * @param options {Object} Optional, with these fields:
+ *    - `mode`: One of 'long' (the default), 'short', 'simple', 'json',
+ *      'bunyan', 'inspect' or 'logfmt'. See `bunyan --help`.
+ *    - `color` (boolean): Colorize output with ANSI codes. Default false.
+ *    - `timeFormat`: The time zone to show times in: 'utc' (the default),
+ *      'local' or an IANA time zone name, e.g. 'Europe/Oslo'.
+ *    - `strftime`: Optional. A format for times, e.g. '%F %T'. See
+ *      `strftime` for the supported directives. By default times are
+ *      shown in ISO 8601 format.
+ *    - `jsonIndent` (number): The indent for 'json' mode. Default 2.
+ * @returns {String} The rendered record, ending with a newline. Or null if
+ *    this isn't a valid Bunyan log record for the 'long', 'short' or
+ *    'simple' modes.
+ */
+function formatRecord(rec, options) {
+  options = options || {};
+  var mode = options.mode || 'long';
+  var stylize = (options.color ? stylizeWithColor : stylizeWithoutColor);
+  var short = false;
+
+  switch (mode) {
+  case 'short':
+    short = true;
+    /* jsl:fall-thru */
+
+  case 'long':
+    //    [time] LEVEL: name[/comp]/pid on hostname (src): msg* (extras...)
+    //        msg*
+    //        --
+    //        long and multi-line extras
+    //        ...
+    // If 'msg' is single-line, then it goes in the top line.
+    // If 'req', show the request.
+    // If 'res', show the response.
+    // If 'err' and 'err.stack' then show that.
+    if (!isValidRecord(rec)) {
+      return null;
+    }
+
+    // Fields are deleted as they are rendered. Work on a copy so the
+    // caller's record (possibly shared with other streams) is untouched.
+    rec = objCopy(rec);
+    delete rec.v;
+
+    // Time.
+    var time;
+    var timeFormat = options.timeFormat || 'utc';
+    if (timeFormat === 'utc' && !options.strftime) {
+      // Fast default path: We assume the raw `rec.time` is a UTC time
+      // in ISO 8601 format (per spec).
+      time = (rec.time instanceof Date ? rec.time.toISOString() : rec.time);
+      time = (short ? time.substr(11) : '[' + time + ']');
+    } else {
+      var date = new Date(rec.time);
+      if (isNaN(date.getTime())) {
+        // Can't convert it: show it as is.
+        time = String(rec.time);
+      } else if (options.strftime) {
+        time = strftime(options.strftime, date, timeParts(date, timeFormat));
+      } else {
+        time = isoTime(timeParts(date, timeFormat));
+        if (short) {
+          time = time.slice(11, 23);
+        }
+      }
+      time = (short ? time : '[' + time + ']');
+    }
+    time = stylize(time, 'none');
+    delete rec.time;
+
+    var nameStr = rec.name;
+    delete rec.name;
+
+    if (rec.component) {
+      nameStr += '/' + rec.component;
+    }
+    delete rec.component;
+
+    if (!short)
+      nameStr += '/' + rec.pid;
+    delete rec.pid;
+
+    var level = (upperPaddedNameFromLevel[rec.level] || 'LVL' + rec.level);
+    if (options.color) {
+      level = stylize(level, colorFromLevel[rec.level]);
+    }
+    delete rec.level;
+
+    var src = '';
+    if (rec.src && rec.src.file) {
+      var s = rec.src;
+      if (s.func) {
+        src = format(' (%s:%d in %s)', s.file, s.line, s.func);
+      } else {
+        src = format(' (%s:%d)', s.file, s.line);
+      }
+      src = stylize(src, 'green');
+    }
+    delete rec.src;
+
+    var hostname = rec.hostname;
+    delete rec.hostname;
+
+    var extras = [];
+    var details = [];
+
+    if (rec.req_id) {
+      extras.push('req_id=' + rec.req_id);
+    }
+    delete rec.req_id;
+
+    var onelineMsg;
+    if (rec.msg.indexOf('\n') !== -1) {
+      onelineMsg = '';
+      details.push(indent(stylize(rec.msg, 'cyan')));
+    } else {
+      onelineMsg = ' ' + stylize(rec.msg, 'cyan');
+    }
+    delete rec.msg;
+
+    if (rec.req && typeof (rec.req) === 'object') {
+      var req = objCopy(rec.req);
+      delete rec.req;
+      var headers = req.headers;
+      if (!headers) {
+        headers = '';
+      } else if (typeof (headers) === 'string') {
+        headers = '\n' + headers;
+      } else if (typeof (headers) === 'object') {
+        headers = '\n' + Object.keys(headers).map(function (h) {
+          return h + ': ' + headers[h];
+        }).join('\n');
+      }
+      var s = format('%s %s HTTP/%s%s', req.method,
+        req.url,
+        req.httpVersion || '1.1',
+        headers
+      );
+      delete req.url;
+      delete req.method;
+      delete req.httpVersion;
+      delete req.headers;
+      if (req.body) {
+        s += '\n\n' + (typeof (req.body) === 'object'
+          ? safeStringify(req.body, 2) : req.body);
+        delete req.body;
+      }
+      if (req.trailers && Object.keys(req.trailers) > 0) {
+        s += '\n' + Object.keys(req.trailers).map(function (t) {
+          return t + ': ' + req.trailers[t];
+        }).join('\n');
+      }
+      delete req.trailers;
+      details.push(indent(s));
+      // E.g. for extra 'foo' field on 'req', add 'req.foo' at
+      // top-level. This *does* have the potential to stomp on a
+      // literal 'req.foo' key.
+      Object.keys(req).forEach(function (k) {
+        rec['req.' + k] = req[k];
+      })
+    }
+
+    if (rec.client_req && typeof (rec.client_req) === 'object') {
+      var client_req = objCopy(rec.client_req);
+      delete rec.client_req;
+
+      var headers = client_req.headers;
+      delete client_req.headers;
+
+      var s = format('%s %s HTTP/%s%s',
+        client_req.method,
+        client_req.url,
+        client_req.httpVersion || '1.1',
+        (headers ?
+          '\n' + Object.keys(headers).map(
+            function (h) {
+              return h + ': ' + headers[h];
+            }).join('\n') :
+          ''));
+      delete client_req.method;
+      delete client_req.url;
+      delete client_req.httpVersion;
+
+      if (client_req.body) {
+        s += '\n\n' + (typeof (client_req.body) === 'object' ?
+          safeStringify(client_req.body, 2) :
+          client_req.body);
+        delete client_req.body;
+      }
+      // E.g. for extra 'foo' field on 'client_req', add
+      // 'client_req.foo' at top-level. This *does* have the potential
+      // to stomp on a literal 'client_req.foo' key.
+      Object.keys(client_req).forEach(function (k) {
+        rec['client_req.' + k] = client_req[k];
+      });
+      details.push(indent(s));
+    }
+
+    function _res(res) {
+      var s = '';
+
+      /*
+       * Handle `res.header` or `res.headers` as either a string or
+       * an object of header key/value pairs. Prefer `res.header` if set,
+       * because that's what Bunyan's own `res` serializer specifies,
+       * because that's the value in Node.js's core HTTP server response
+       * implementation that has all the implicit headers.
+       *
+       * Note: `res.header` (string) typically includes the 'HTTP/1.1 ...'
+       * status line.
+       */
+      var headerTypes = {string: true, object: true};
+      var headers;
+      var headersStr = '';
+      var headersHaveStatusLine = false;
+      if (res.header && headerTypes[typeof (res.header)]) {
+        headers = res.header;
+        delete res.header;
+      } else if (res.headers && headerTypes[typeof (res.headers)]) {
+        headers = res.headers;
+        delete res.headers;
+      }
+      if (headers === undefined) {
+        /* pass through */
+      } else if (typeof (headers) === 'string') {
+        headersStr = headers.trimRight(); // Trim the CRLF.
+        if (headersStr.slice(0, 5) === 'HTTP/') {
+          headersHaveStatusLine = true;
+        }
+      } else {
+        headersStr += Object.keys(headers).map(
+          function (h) { return h + ': ' + headers[h]; }).join('\n');
+      }
+
+      /*
+       * Add a 'HTTP/1.1 ...' status line if the headers didn't already
+       * include it.
+       */
+      if (!headersHaveStatusLine && res.statusCode !== undefined) {
+        s += format('HTTP/1.1 %s %s\n', res.statusCode,
+          http.STATUS_CODES[res.statusCode]);
+      }
+      delete res.statusCode;
+      s += headersStr;
+
+      if (res.body !== undefined) {
+        var body = (typeof (res.body) === 'object'
+          ? safeStringify(res.body, 2) : res.body);
+        if (body.length > 0) { s += '\n\n' + body };
+        delete res.body;
+      } else {
+        s = s.trimRight();
+      }
+      if (res.trailer) {
+        s += '\n' + res.trailer;
+      }
+      delete res.trailer;
+      if (s) {
+        details.push(indent(s));
+      }
+      // E.g. for extra 'foo' field on 'res', add 'res.foo' at
+      // top-level. This *does* have the potential to stomp on a
+      // literal 'res.foo' key.
+      Object.keys(res).forEach(function (k) {
+        rec['res.' + k] = res[k];
+      });
+    }
+
+    if (rec.res && typeof (rec.res) === 'object') {
+      _res(objCopy(rec.res));
+      delete rec.res;
+    }
+    if (rec.client_res && typeof (rec.client_res) === 'object') {
+      _res(objCopy(rec.client_res));
+      delete rec.client_res;
+    }
+
+    if (rec.err && rec.err.stack) {
+      // Note: `stack` isn't an own enumerable property of an `Error`
+      // instance, as in-process records can have, so isn't copied.
+      var err = objCopy(rec.err);
+      details.push(indent(errStack(rec.err)));
+      delete err.message;
+      delete err.name;
+      delete err.stack;
+      delete err.cause;
+      if (Array.isArray(err.errors)) {
+        delete err.errors;
+      }
+      // E.g. for extra 'foo' field on 'err', add 'err.foo' at
+      // top-level. This *does* have the potential to stomp on a
+      // literal 'err.foo' key.
+      Object.keys(err).forEach(function (k) {
+        rec['err.' + k] = err[k];
+      })
+      delete rec.err;
+    }
+
+    var leftover = Object.keys(rec);
+    for (var i = 0; i < leftover.length; i++) {
+      var key = leftover[i];
+      var value = rec[key];
+      var stringified = false;
+      if (typeof (value) !== 'string') {
+        value = safeStringify(value, 2);
+        stringified = true;
+      }
+      if (value === undefined) {
+        // E.g. an undefined field of an in-process record.
+        continue;
+      }
+      if (value.indexOf('\n') !== -1 || value.length > 50) {
+        details.push(indent(key + ': ' + value));
+      } else if (!stringified && (value.indexOf(' ') != -1 ||
+        value.length === 0))
+      {
+        extras.push(key + '=' + JSON.stringify(value));
+      } else {
+        extras.push(key + '=' + value);
+      }
+    }
+
+    extras = stylize(
+      (extras.length ? ' (' + extras.join(', ') + ')' : ''), 'none');
+    details = stylize(
+      (details.length ? details.join('\n    --\n') + '\n' : ''), 'none');
+    if (!short)
+      return format('%s %s: %s on %s%s:%s%s\n%s',
+        time,
+        level,
+        nameStr,
+        hostname || '<no-hostname>',
+        src,
+        onelineMsg,
+        extras,
+        details);
+    else
+      return format('%s %s %s:%s%s\n%s',
+        time,
+        level,
+        nameStr,
+        onelineMsg,
+        extras,
+        details);
+
+  case 'inspect':
+    return util.inspect(rec, false, Infinity, true) + '\n';
+
+  case 'bunyan':
+    return safeStringify(rec, 0) + '\n';
+
+  case 'logfmt':
+    return formatLogfmt(rec, nameFromLevel) + '\n';
+
+  case 'json':
+    var jsonIndent = (options.jsonIndent === undefined
+      ? 2 : options.jsonIndent);
+    return safeStringify(rec, jsonIndent) + '\n';
+
+  case 'simple':
+    /* JSSTYLED */
+    // <http://logging.apache.org/log4j/1.2/apidocs/org/apache/log4j/SimpleLayout.html>
+    if (!isValidRecord(rec)) {
+      return null;
+    }
+    return format('%s - %s\n',
+      upperNameFromLevel[rec.level] || 'LVL' + rec.level,
+      rec.msg);
+
+  default:
+    throw new Error('unknown output mode: ' + mode);
+  }
+}
+
+
+/**
+ * PrettyStream is a Writable Stream that pretty-prints Bunyan log records,
+ * like the `bunyan` CLI does, to another stream. Use it as a "raw" stream to
+ * get readable logs in-process, e.g. in development:
+ *
+ *    var log = bunyan.createLogger({
+ *      name: 'myapp',
+ *      streams: [ {type: 'raw', stream: new bunyan.PrettyStream()} ]
+ *    });
+ *
+ * It also accepts JSON log lines, so it works as a regular stream.
+ *
+ * @param options {Object} Optional, with these fields:
+ *    - `stream`: The stream to write to. Default `process.stdout`.
+ *    - `mode`: The output mode, e.g. 'long' (the default) or 'short'. See
+ *      `formatRecord`.
+ *    - `color` (boolean): Colorize output. Defaults to whether `stream`
+ *      is a TTY.
+ *    - `timeFormat`: 'utc' (the default), 'local' or an IANA time zone
+ *      name. See `formatRecord`.
+ *    - `strftime`: Optional. A format for times. See `formatRecord`.
+ *    - `jsonIndent` (number): The indent for 'json' mode. Default 2.
+ */
+function PrettyStream(options) {
+  options = options || {};
+  var mode = options.mode || 'long';
+  var timeFormat = options.timeFormat || 'utc';
+  if (!MODES[mode]) {
+    throw new TypeError(format('unknown output mode: "%s"', mode));
+  }
+  if (!isValidTimeFormat(timeFormat)) {
+    throw new TypeError(format('invalid time format: "%s"', timeFormat));
+  }
+
+  stream.Writable.call(this, {objectMode: true});
+
+  this.out = options.stream || process.stdout;
+  this.mode = mode;
+  this.color = (options.color === undefined
+    ? Boolean(this.out.isTTY) : Boolean(options.color));
+  this.timeFormat = timeFormat;
+  this.strftime = options.strftime;
+  this.jsonIndent = options.jsonIndent;
+  this._leftover = '';  // Left-over partial line from the last chunk.
+}
+util.inherits(PrettyStream, stream.Writable);
+
+PrettyStream.prototype._write = function (chunk, encoding, cb) {
+  var self = this;
+  if (typeof (chunk) !== 'string' && !Buffer.isBuffer(chunk)) {
+    self._writeRecord(chunk, null);
+    return cb();
+  }
+  // JSON log lines. A partial last line is kept for the next chunk.
+  var lines = (this._leftover + String(chunk)).split(/\r?\n/);
+  this._leftover = lines.pop();
+  lines.forEach(function (line) {
+    self._writeLine(line);
+  });
+  cb();
+}
+
+PrettyStream.prototype._final = function (cb) {
+  if (this._leftover) {
+    this._writeLine(this._leftover);
+    this._leftover = '';
+  }
+  cb();
+}
+
+// Write a JSON log line. Non-JSON lines are passed through.
+PrettyStream.prototype._writeLine = function (line) {
+  if (!line) {
+    return;
+  }
+  var rec = null;
+  if (line[0] === '{') {
+    try {
+      rec = JSON.parse(line);
+    } catch (e) {
+      /* pass through */
+    }
+  }
+  if (rec) {
+    this._writeRecord(rec, line);
+  } else {
+    this.out.write(line + '\n');
+  }
+}
+
+PrettyStream.prototype._writeRecord = function (rec, line) {
+  var str = formatRecord(rec, {
+    mode: this.mode,
+    color: this.color,
+    timeFormat: this.timeFormat,
+    strftime: this.strftime,
+    jsonIndent: this.jsonIndent
+  });
+  if (str === null) {
+    str = (line === null ? safeStringify(rec) : line) + '\n';
+  }
+  this.out.write(str);
+}
+
+
+PrettyStream.formatRecord = formatRecord;
+PrettyStream.isValidRecord = isValidRecord;
+PrettyStream.isValidTimeFormat = isValidTimeFormat;
+PrettyStream.addLevel = addLevel;
+
+export {
+  PrettyStream,
+  formatRecord,
+  isValidRecord,
+  isValidTimeFormat,
+  addLevel
+};
+export default PrettyStream;
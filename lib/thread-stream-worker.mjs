@@ -0,0 +1,164 @@
+/**
+ *
+ * The worker for a bunyan `ThreadStream`: it reads serialized log records
+ * from the ring buffer shared with the logging thread, and writes them to a
+ * bunyan stream of its own.
+ *
+ * -*- mode: js -*-
+ * vim: expandtab:ts=4:sw=4
+ */
+
+import fs from 'fs'
+import { parentPort, workerData } from 'worker_threads'
+import Logger from './bunyan.mjs'
+
+// Keep in sync with `ThreadStream` in bunyan.mjs.
+var THREAD_WRITE = 0;
+var THREAD_READ = 1;
+var THREAD_WAITING = 2;
+var THREAD_FLUSH_REQ = 3;
+var THREAD_FLUSH_ACK = 4;
+var THREAD_WRAP = -1;
+
+var header = new Int32Array(workerData.sab, 0, workerData.headerSize / 4);
+var buf = Buffer.from(workerData.sab, workerData.headerSize, workerData.size);
+var size = workerData.size;
+var readPos = Atomics.load(header, THREAD_READ);
+var ended = false;
+
+
+function postError(err) {
+  parentPort.postMessage({
+    error: {message: err.message, stack: err.stack, code: err.code}
+  });
+}
+
+/*
+ * The stream options for the worker's logger. An `fd` is written to with
+ * a file stream that doesn't close it.
+ */
+function streamOptions(options) {
+  var s = Object.assign({level: 0}, options);
+  if (s.fd !== undefined) {
+    s.type = 'stream';
+    s.stream = fs.createWriteStream(null, {fd: s.fd, autoClose: false});
+    delete s.fd;
+  }
+  return s;
+}
+
+var log;
+try {
+  log = new Logger({
+    name: 'bunyan-thread-stream',
+    levels: workerData.levels,
+    streams: [streamOptions(workerData.stream)]
+  });
+} catch (err) {
+  // Records are then read and dropped.
+  postError(err);
+}
+if (log) {
+  log.on('error', postError);
+}
+
+
+/*
+ * Write out all records in the ring buffer.
+ */
+function drain() {
+  var writePos = Atomics.load(header, THREAD_WRITE);
+  while (readPos !== writePos) {
+    var len = buf.readInt32LE(readPos);
+    if (len === THREAD_WRAP) {
+      readPos = 0;
+      continue;
+    }
+    var str = buf.toString('utf8', readPos + 4, readPos + 4 + len);
+    readPos = (readPos + 4 + len + (4 - len % 4) % 4) % size;
+    Atomics.store(header, THREAD_READ, readPos);
+    if (log) {
+      try {
+        log._emit(JSON.parse(str));
+      } catch (err) {
+        postError(err);
+      }
+    }
+  }
+  Atomics.notify(header, THREAD_READ);
+}
+
+/*
+ * Handle a synchronous flush request from the logging thread, which is
+ * blocked waiting for it on exit. This worker's event loop still runs, so
+ * the records are written out as usual, and the request is acknowledged
+ * when all writes are done. No more records follow.
+ */
+function flushForExit(req) {
+  ended = true;
+  drain();
+  function ack() {
+    Atomics.store(header, THREAD_FLUSH_ACK, req);
+    Atomics.notify(header, THREAD_FLUSH_ACK);
+  }
+  if (log) {
+    log.flush().then(ack);
+  } else {
+    ack();
+  }
+}
+
+/*
+ * Wait for records, or a synchronous flush request, and write them out. To
+ * let the worker's streams do their (asynchronous) writes, this yields to
+ * the event loop between each batch of records.
+ */
+function loop() {
+  if (ended) {
+    return;
+  }
+  drain();
+  var req = Atomics.load(header, THREAD_FLUSH_REQ);
+  if (req !== Atomics.load(header, THREAD_FLUSH_ACK)) {
+    flushForExit(req);
+    return;
+  }
+
+  Atomics.store(header, THREAD_WAITING, 1);
+  var writePos = Atomics.load(header, THREAD_WRITE);
+  if (writePos !== readPos ||
+    Atomics.load(header, THREAD_FLUSH_REQ) !== req)
+  {
+    Atomics.store(header, THREAD_WAITING, 0);
+    setImmediate(loop);
+    return;
+  }
+  var wait = Atomics.waitAsync(header, THREAD_WRITE, writePos);
+  if (wait.async) {
+    wait.value.then(function () {
+      Atomics.store(header, THREAD_WAITING, 0);
+      loop();
+    });
+  } else {
+    Atomics.store(header, THREAD_WAITING, 0);
+    setImmediate(loop);
+  }
+}
+
+parentPort.on('message', function (msg) {
+  drain();
+  if (!log) {
+    parentPort.postMessage({flushed: msg.id});
+  } else if (msg.what === 'end') {
+    ended = true;
+    log.close(function () {
+      parentPort.postMessage({flushed: msg.id});
+    });
+  } else {
+    log.flush().then(function () {
+      parentPort.postMessage({flushed: msg.id});
+    });
+  }
+});
+
+loop();
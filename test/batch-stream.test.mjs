@@ -0,0 +1,213 @@
+/*
+ * Test batched writes: `BatchStream` and the `batch` option of 'file'
+ * streams.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-batch-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+function readMsgs(logPath) {
+  return fs.readFileSync(logPath, 'utf8').trim().split('\n')
+    .filter(function (line) { return line; })
+    .map(function (line) { return JSON.parse(line).msg; });
+}
+
+// A writable that records the chunks written to it.
+function Collector() {
+  this.chunks = [];
+}
+Collector.prototype.write = function (chunk) {
+  this.chunks.push(chunk);
+  return true;
+};
+Collector.prototype.end = function (cb) {
+  this.ended = true;
+  if (cb) {
+    process.nextTick(cb);
+  }
+};
+
+
+t.test('BatchStream: invalid options', function () {
+  [
+    [{}, /requires one of "path" or "stream"/],
+    [{path: 'x', stream: new Collector()}, /requires one of/],
+    [{stream: new Collector(), batchSize: 'big'}, /invalid size: "big"/],
+    [{stream: new Collector(), interval: -1}, /invalid batch interval/],
+    [{stream: new Collector(), maxQueue: 0}, /invalid batch maxQueue/],
+    [{stream: new Collector(), overflow: 'nope'},
+      /invalid batch overflow: "nope" \(must be one of drop-oldest/],
+    [{stream: new Collector(), overflow: 'block'}, /"block" requires a "path"/]
+  ].forEach(function (c) {
+    assert.throws(function () { new bunyan.BatchStream(c[0]); }, c[1]);
+  });
+  assert.throws(function () {
+    bunyan.createLogger({
+      name: 'batch',
+      streams: [
+        {path: path.join(TMPDIR, 'x.log'), maxSize: '1m', batch: true}
+      ]
+    });
+  }, /cannot use "batch" with "maxSize"/);
+});
+
+t.test('BatchStream: writes in chunks by size and interval', function (cb) {
+  var target = new Collector();
+  var s = new bunyan.BatchStream({stream: target, batchSize: 10, interval: 20});
+  s.write('aaaa\n');
+  s.write('bbbb\n');
+  assert.deepStrictEqual(target.chunks, ['aaaa\nbbbb\n']);
+  s.write('cccc\n');
+  assert.strictEqual(target.chunks.length, 1);
+  setTimeout(function () {
+    assert.deepStrictEqual(target.chunks, ['aaaa\nbbbb\n', 'cccc\n']);
+    s.write('dddd\n');
+    s.flush(function () {
+      assert.deepStrictEqual(target.chunks.slice(2), ['dddd\n']);
+      s.end(function () {
+        assert.strictEqual(target.ended, true);
+        assert.strictEqual(s.write('eeee\n'), false);
+        cb();
+      });
+    });
+  }, 50);
+});
+
+t.test('BatchStream: the interval timer does not keep the process alive',
+    function () {
+  var target = new Collector();
+  var s = new bunyan.BatchStream({stream: target, interval: 1000});
+  s.write('aaaa\n');
+  assert.strictEqual(s._timer.hasRef(), false);
+  s.destroy();
+});
+
+t.test('BatchStream: batchSize is in bytes', function () {
+  var target = new Collector();
+  var s = new bunyan.BatchStream({stream: target, batchSize: 10});
+  s.write('\u00e9\u00e9\u00e9\u00e9\n');  // 9 bytes
+  assert.strictEqual(target.chunks.length, 0);
+  s.write('a\n');
+  assert.deepStrictEqual(target.chunks, ['\u00e9\u00e9\u00e9\u00e9\na\n']);
+  s.destroy();
+});
+
+t.test('BatchStream: overflow policies', function () {
+  // A target that is always busy, so records stay queued.
+  function Busy() {
+    this.chunks = [];
+    this.once = function () {};
+  }
+  Busy.prototype.write = function (chunk) {
+    this.chunks.push(chunk);
+    return false;
+  };
+
+  var busy = new Busy();
+  var s = new bunyan.BatchStream({
+    stream: busy, batchSize: 1, maxQueue: 2, overflow: 'drop-oldest'
+  });
+  ['1\n', '2\n', '3\n', '4\n', '5\n'].forEach(function (r) { s.write(r); });
+  assert.deepStrictEqual(busy.chunks, ['1\n']);
+  assert.deepStrictEqual(s._queue, ['4\n', '5\n']);
+  assert.strictEqual(s.dropped, 2);
+
+  busy = new Busy();
+  s = new bunyan.BatchStream({
+    stream: busy, batchSize: 1, maxQueue: 2, overflow: 'drop-newest'
+  });
+  ['1\n', '2\n', '3\n', '4\n', '5\n'].forEach(function (r) { s.write(r); });
+  assert.deepStrictEqual(s._queue, ['2\n', '3\n']);
+  assert.strictEqual(s.dropped, 2);
+  s.destroy();
+});
+
+t.test('BatchStream: overflow "block" writes synchronously', function () {
+  var logPath = path.join(TMPDIR, 'block.log');
+  var s = new bunyan.BatchStream({
+    path: logPath, batchSize: '1m', maxQueue: 2, overflow: 'block'
+  });
+  s.write('1\n');
+  s.write('2\n');
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '');
+  s.write('3\n');
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '1\n2\n');
+  s.flushSync();
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '1\n2\n3\n');
+  assert.strictEqual(s.dropped, 0);
+  s.destroy();
+});
+
+t.test('BatchStream: flushSync() writes the chunk being written first',
+    function () {
+  var write = fs.write;
+  // Exiting while a write is in flight: either it is done but not called
+  // back yet, or it isn't done.
+  [true, false].forEach(function (landed) {
+    var logPath = path.join(TMPDIR, 'in-flight-' + landed + '.log');
+    fs.write = function (fd, buf) {
+      if (landed) {
+        fs.writeSync(fd, buf);
+      }
+    };
+    try {
+      var s = new bunyan.BatchStream({path: logPath, batchSize: 1});
+      s.write('1\n');
+      s.write('2\n');
+      s.flushSync();
+    } finally {
+      fs.write = write;
+    }
+    assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '1\n2\n');
+    s.destroy();
+  });
+});
+
+t.test('file stream batch: log.flush() and log.close()', async function () {
+  var logPath = path.join(TMPDIR, 'file.log');
+  var log = bunyan.createLogger({
+    name: 'batch',
+    streams: [ {path: logPath, batch: {interval: 10000}} ]
+  });
+  assert.ok(log.streams[0].stream instanceof bunyan.BatchStream);
+  for (var i = 0; i < 100; i++) {
+    log.info('record %d', i);
+  }
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '');
+  await log.flush();
+  var msgs = readMsgs(logPath);
+  assert.strictEqual(msgs.length, 100);
+  assert.strictEqual(msgs[99], 'record 99');
+
+  log.info('last');
+  await new Promise(function (resolve) { log.close(resolve); });
+  assert.strictEqual(readMsgs(logPath).length, 101);
+});
+
+t.test('file stream batch: reopenFileStreams()', function (cb) {
+  var logPath = path.join(TMPDIR, 'reopen.log');
+  var log = bunyan.createLogger({
+    name: 'batch',
+    streams: [ {path: logPath, batch: true} ]
+  });
+  log.info('before');
+  log.flush().then(function () {
+    fs.renameSync(logPath, logPath + '.old');
+    log.reopenFileStreams();
+    log.info('after');
+    return log.flush();
+  }).then(function () {
+    assert.deepStrictEqual(readMsgs(logPath + '.old'), ['before']);
+    assert.deepStrictEqual(readMsgs(logPath), ['after']);
+    log.close(cb);
+  }).catch(cb);
+});
@@ -144,3 +144,97 @@ t.test('child should not lose parent "hostname"', function () {
     assert.equal(stream.recs[1].component, 'son');
 
 });
+
+// issue #460
+t.test('createLogger(<options>, <fields>)', function () {
+    let stream = new CapturingStream();
+    let log = bunyan.createLogger({
+        name: 'config-and-fields',
+        foo: 'from options',
+        streams: [ {
+            type: 'raw',
+            stream: stream,
+            level: 'info'
+        } ]
+    }, {src: 'not config', streams: 'not config', bar: 'from fields'});
+
+    assert.equal(log.src, false);
+    assert.equal(log.streams.length, 1);
+    log.info('hi');
+
+    assert.equal(stream.recs.length, 1);
+    assert.equal(stream.recs[0].foo, 'from options');
+    assert.equal(stream.recs[0].bar, 'from fields');
+    assert.equal(stream.recs[0].src, 'not config');
+    assert.equal(stream.recs[0].streams, 'not config');
+});
+
+t.test('child(<options>, <fields>)', function () {
+    let stream = new CapturingStream();
+    let dad = bunyan.createLogger({
+        name: 'config-and-fields',
+        streams: [ {
+            type: 'raw',
+            stream: stream,
+            level: 'info'
+        } ]
+    });
+    let son = dad.child({level: 'debug'}, {src: 'not config', streams: 'x'});
+
+    assert.equal(son.level(), bunyan.DEBUG);
+    assert.equal(son.streams.length, 1);
+    son.debug('debug from son');
+
+    assert.equal(stream.recs.length, 1);
+    assert.equal(stream.recs[0].streams, 'x');
+    assert.equal(stream.recs[0].src, 'not config');
+    assert.equal(stream.recs[0].level, bunyan.DEBUG);
+});
+
+t.test('<fields> cannot set core fields', function () {
+    let dad = bunyan.createLogger({name: 'config-and-fields'});
+    let core = ['v', 'level', 'name', 'hostname', 'pid', 'time', 'msg'];
+    core.forEach(function (k) {
+        let fields = {};
+        fields[k] = 'x';
+        assert.throws(function () {
+            bunyan.createLogger({name: 'config-and-fields'}, fields);
+        }, new RegExp('cannot set core field "' + k + '"'));
+        assert.throws(function () {
+            dad.child(null, fields);
+        }, /cannot set core field/);
+    });
+});
+
+t.test('child(null, <fields>) is a simple child', function () {
+    let stream = new CapturingStream();
+    let dad = bunyan.createLogger({
+        name: 'config-and-fields',
+        serializers: {
+            thing: function (thing) { return 'serialized ' + thing; }
+        },
+        streams: [ {
+            type: 'raw',
+            stream: stream,
+            level: 'info'
+        } ]
+    });
+    let fields = {component: 'son', streams: 'not config', thing: 'raw'};
+    let son = dad.child(null, fields);
+
+    assert.equal(son._isSimpleChild, true);
+    assert.equal(son.streams, dad.streams);
+    assert.equal(son.level(), bunyan.INFO);
+    son.info('hi');
+
+    assert.equal(stream.recs.length, 1);
+    assert.equal(stream.recs[0].component, 'son');
+    assert.equal(stream.recs[0].thing, 'serialized raw');
+    assert.equal(fields.thing, 'raw');
+
+    // Backward compatible `log.child(<fields>, true)`.
+    let simple = dad.child({component: 'simple'}, true);
+    assert.equal(simple._isSimpleChild, true);
+    simple.info('hi');
+    assert.equal(stream.recs[1].component, 'simple');
+});
@@ -0,0 +1,123 @@
+/*
+ * Test `bunyan -f/--follow`.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawn } from 'child_process'
+import { exec, dirname } from './helper.mjs'
+import { Eltro as t, assert} from 'eltro'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-follow-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+function line(name, msg, seconds, level) {
+  return JSON.stringify({
+    name: name,
+    pid: 123,
+    hostname: 'example.com',
+    level: level || 30,
+    msg: msg,
+    time: new Date(Date.UTC(2012, 1, 8, 22, 56, seconds)).toISOString(),
+    v: 0
+  }) + '\n';
+}
+
+/*
+ * Run `bunyan ARGS` in the background. `waitFor(n)` resolves with the output
+ * lines once there are at least `n`.
+ */
+function follow(args) {
+  var child = spawn(process.execPath, [dirname('/../bin/bunyan.mjs')]
+    .concat(args));
+  var stdout = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', function (chunk) { stdout += chunk; });
+  function lines() {
+    return stdout.split('\n').filter(function (l) { return l; });
+  }
+  return {
+    waitFor: function (n) {
+      var deadline = Date.now() + 5000;
+      return new Promise(function (res, rej) {
+        (function check() {
+          if (lines().length >= n) {
+            return res(lines());
+          } else if (Date.now() > deadline) {
+            return rej(new Error('timeout waiting for output: ' + stdout));
+          }
+          setTimeout(check, 50);
+        })();
+      });
+    },
+    stop: function () {
+      child.kill();
+    }
+  };
+}
+
+t.timeout(10000).test('--follow merges files as they grow', async function () {
+  var a = path.join(TMPDIR, 'a.log');
+  var b = path.join(TMPDIR, 'b.log');
+  fs.writeFileSync(a, line('a', 'a1', 2));
+  fs.writeFileSync(b, line('b', 'b1', 1));
+  var f = follow(['-o', 'short', '-l', 'info', '-f', a, b]);
+  try {
+    var lines = await f.waitFor(2);
+    assert.deepStrictEqual(lines, [
+      '22:56:01.000Z  INFO b: b1',
+      '22:56:02.000Z  INFO a: a1'
+    ]);
+
+    fs.appendFileSync(a, line('a', 'debug', 3, 20) + line('a', 'a2', 3));
+    lines = await f.waitFor(3);
+    assert.strictEqual(lines[2], '22:56:03.000Z  INFO a: a2');
+
+    // A partial line is only shown once complete.
+    var b2 = line('b', 'b2', 4);
+    fs.appendFileSync(b, b2.slice(0, 10));
+    await new Promise(function (res) { setTimeout(res, 400); });
+    fs.appendFileSync(b, b2.slice(10));
+    lines = await f.waitFor(4);
+    assert.strictEqual(lines[3], '22:56:04.000Z  INFO b: b2');
+    assert.strictEqual(lines.length, 4);
+  } finally {
+    f.stop();
+  }
+});
+
+t.timeout(10000).test('--follow rotated and truncated files', async function () {
+  var logPath = path.join(TMPDIR, 'rotated.log');
+  fs.writeFileSync(logPath, line('r', 'long message before rotation', 1));
+  var f = follow(['-o', 'simple', '--follow', logPath]);
+  try {
+    await f.waitFor(1);
+
+    fs.renameSync(logPath, logPath + '.0');
+    fs.writeFileSync(logPath, line('r', 'after rotation', 2));
+    var lines = await f.waitFor(2);
+    assert.strictEqual(lines[1], 'INFO - after rotation');
+
+    fs.writeFileSync(logPath, line('r', 'truncated', 3));
+    lines = await f.waitFor(3);
+    assert.strictEqual(lines[2], 'INFO - truncated');
+  } finally {
+    f.stop();
+  }
+});
+
+t.test('--follow errors', async function () {
+  var err = await assert.isRejected(exec('-f'));
+  assert.strictEqual(err.code, 1);
+  assert.match(err.stderr, /"--follow" requires at least one FILE argument/);
+
+  err = await assert.isRejected(exec('-f ' + dirname('/corpus/log1.log.gz')));
+  assert.match(err.stderr, /cannot follow a gzipped file/);
+
+  err = await assert.isRejected(exec('-f ' + path.join(TMPDIR, 'nope.log')));
+  assert.match(err.stderr, /ENOENT/);
+});
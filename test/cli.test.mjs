@@ -224,6 +224,239 @@ t.test('multiple --conditions', async function () {
   ].join(''))
 });
 
+t.test('--condition with paths, regex and "in"', async function () {
+  let res = await exec('-o simple -c \'level >= WARN && !(level in [ERROR, 55])\' -c \'msg =~ /^my/i\' ' + dirname('/corpus/all.log'))
+  assert.strictEqual(res.stdout, [
+    '# levels\n',
+    'WARN - My message\n',
+    'FATAL - My message\n',
+    '\n',
+    '# extra fields\n',
+    '\n',
+    '# bogus\n',
+    'not a JSON line\n',
+    '{"hi": "there"}\n'
+  ].join(''))
+});
+
+t.test('invalid --condition', async function () {
+  let err = await assert.isRejected(exec('-c \'this.msg.indexOf("boom") != -1\' ' + dirname('/corpus/all.log')))
+  assert.strictEqual(err.code, 1)
+  assert.match(err.stderr, /invalid CONDITION "this.msg.indexOf\("boom"\) != -1": unexpected "\(" at position 17 \(use "--js" for JavaScript conditions\)/)
+
+  err = await assert.isRejected(exec('-c "level >" ' + dirname('/corpus/all.log')))
+  assert.match(err.stderr, /invalid CONDITION "level >": unexpected end of condition/)
+
+  err = await assert.isRejected(exec('-c'))
+  assert.match(err.stderr, /missing argument to "-c"/)
+});
+
+t.test('--js conditions', async function () {
+  let res = await exec('--js -c \'this.msg.indexOf("My") === 0 && this.level === ERROR\' -o simple ' + dirname('/corpus/all.log'))
+  assert.strictEqual(res.stdout, [
+    '# levels\n',
+    'ERROR - My message\n',
+    '\n',
+    '# extra fields\n',
+    '\n',
+    '# bogus\n',
+    'not a JSON line\n',
+    '{"hi": "there"}\n'
+  ].join(''))
+
+  res = await exec('--js -c "this.level === ERROR" -o simple ' + dirname('/corpus/all.log'), 'BUNYAN_EXEC=vm node')
+  assert.match(res.stdout, /^# levels\nERROR - My message\n\n/)
+});
+
+t.test('--fields', async function () {
+  let res = await exec('-0 --fields msg,req.method,req.headers.host ' + dirname('/corpus/withreq.log'))
+  let lines = res.stdout.trim().split('\n').map(JSON.parse)
+  assert.deepStrictEqual(lines[0], {msg: 'headAgentProbes respond'})
+  assert.deepStrictEqual(lines[1], {
+    msg: 'HeadAgentProbes handled: 200',
+    req: {method: 'HEAD', headers: {host: '10.2.207.16'}}
+  })
+
+  res = await exec('-o json-4 --fields level --fields extra ' + dirname('/corpus/extrafield.log'))
+  assert.strictEqual(res.stdout, '{\n    "level": 30,\n    "extra": "field"\n}\n')
+
+  res = await exec('-o inspect --fields msg ' + dirname('/corpus/extrafield.log'))
+  assert.match(res.stdout, /^\{ msg: .*My message.* \}\n$/)
+
+  // The pretty modes keep the fields they need.
+  res = await exec('-o short --fields pid,nope ' + dirname('/corpus/extrafield.log'))
+  assert.strictEqual(res.stdout, '22:56:52.856Z  INFO myservice: My message\n')
+});
+
+t.test('--exclude', async function () {
+  let res = await exec('-0 --exclude hostname,pid,req.headers,res ' + dirname('/corpus/withreq.log'))
+  let lines = res.stdout.trim().split('\n').map(JSON.parse)
+  assert.strictEqual(lines[1].hostname, undefined)
+  assert.strictEqual(lines[1].res, undefined)
+  assert.deepStrictEqual(Object.keys(lines[1].req), ['method', 'url', 'httpVersion', 'trailers', 'version'])
+  assert.strictEqual(lines[1].name, 'amon-master')
+
+  res = await exec('-o short --exclude time,extra ' + dirname('/corpus/extrafield.log'))
+  assert.strictEqual(res.stdout, '22:56:52.856Z  INFO myservice: My message\n')
+
+  let err = await assert.isRejected(exec('--fields a..b ' + dirname('/corpus/extrafield.log')))
+  assert.match(err.stderr, /invalid field path for "--fields": "a..b"/)
+  err = await assert.isRejected(exec('--exclude'))
+  assert.match(err.stderr, /missing argument to "--exclude"/)
+});
+
+t.test('--stats', async function () {
+  let res = await exec('--stats -l debug --group-by req.method --top 2 ' + dirname('/corpus/withreq.log') + ' ' + dirname('/corpus/all.log'))
+  assert.strictEqual(res.stdout, [
+    'records:     15',
+    'other lines: 7',
+    'first:       2012-02-08T22:56:51.856Z',
+    'last:        2012-08-08T10:25:47.637Z',
+    '',
+    'LEVEL  COUNT     %',
+    'DEBUG      2  13.3',
+    'INFO       9  60.0',
+    'WARN       1   6.7',
+    'ERROR      1   6.7',
+    'LVL55      1   6.7',
+    'FATAL      1   6.7',
+    '',
+    'NAME         COUNT     %',
+    'myservice       12  80.0',
+    'amon-master      3  20.0',
+    '',
+    'HOSTNAME                              COUNT     %',
+    'example.com                              12  80.0',
+    '9724a190-27b6-4fd8-830b-a574f839c67d      3  20.0',
+    '',
+    'REQ.METHOD  COUNT     %',
+    'HEAD            2  13.3',
+    '',
+    'DAY         COUNT',
+    '2012-02-08     12  ########################################',
+    '2012-08-08      3  ##########',
+    '',
+    'COUNT  MSG',
+    '   12  "My message"',
+    '    2  "HeadAgentProbes handled: 200"',
+    ''
+  ].join('\n'))
+});
+
+t.test('--stats as JSON', async function () {
+  let res = await exec('-o stats -0 --bucket minute -c "level >= INFO" ' + dirname('/corpus/log1.log') + ' ' + dirname('/corpus/log2.log'))
+  let data = JSON.parse(res.stdout)
+  assert.strictEqual(data.records, 9)
+  assert.strictEqual(data.otherLines, 0)
+  assert.deepStrictEqual(data.levels, {INFO: 9})
+  assert.deepStrictEqual(data.names, {agent2: 5, agent1: 4})
+  assert.deepStrictEqual(data.groupBy, {})
+  assert.strictEqual(data.histogram.bucket, 'minute')
+  assert.strictEqual(Object.keys(data.histogram.counts)[0], '2012-05-08T16:57Z')
+  assert.strictEqual(data.topMessages.length, 1)
+
+  res = await exec('--stats -j', 'echo \'{"name":"a","pid":1,"hostname":"h","level":30,"time":"2012-02-08T22:56:52Z","v":0,"msg":"m","component":"c"}\' | node')
+  data = JSON.parse(res.stdout)
+  assert.deepStrictEqual(data.components, {c: 1})
+  assert.deepStrictEqual(data.histogram, {bucket: 'minute', counts: {'2012-02-08T22:56Z': 1}})
+});
+
+t.test('--stats errors', async function () {
+  let err = await assert.isRejected(exec('--group-by name ' + dirname('/corpus/log1.log')))
+  assert.match(err.stderr, /"--group-by" requires "--stats"/)
+  err = await assert.isRejected(exec('--stats --bucket week ' + dirname('/corpus/log1.log')))
+  assert.match(err.stderr, /invalid "--bucket": "week" \(must be one of minute, hour, day\)/)
+  err = await assert.isRejected(exec('--stats --top x ' + dirname('/corpus/log1.log')))
+  assert.match(err.stderr, /invalid "--top": "x"/)
+  err = await assert.isRejected(exec('--stats -f ' + dirname('/corpus/log1.log')))
+  assert.match(err.stderr, /"--stats" cannot be used with "--follow"/)
+});
+
+t.test('-o logfmt', async function () {
+  let res = await exec('-o logfmt ' + dirname('/corpus/extrafield.log'))
+  assert.strictEqual(res.stdout, 'time=2012-02-08T22:56:52.856Z level=info'
+    + ' name=myservice pid=123 hostname=example.com extra=field'
+    + ' msg="My message" v=0\n')
+
+  res = await exec('-o logfmt --levels notice=35 ' + dirname('/corpus/custom-level.log'))
+  assert.match(res.stdout, / level=notice /)
+});
+
+t.test('logfmt input', async function () {
+  // Round trip: logfmt records are read back in, other lines are passed
+  // through.
+  let res = await exec('-o logfmt ' + dirname('/corpus/all.log') + ' | node ' + dirname('/../bin/bunyan.mjs') + ' -o short -l error')
+  assert.strictEqual(res.stdout, [
+    '# levels',
+    '22:56:54.856Z ERROR myservice: My message',
+    '22:56:55.856Z LVL55 myservice: My message',
+    '22:56:56.856Z FATAL myservice: My message',
+    '',
+    '# extra fields',
+    '',
+    '# bogus',
+    'not a JSON line',
+    '{"hi": "there"}',
+    ''
+  ].join('\n'))
+
+  res = await exec('-o logfmt ' + dirname('/corpus/all.log') + ' | node ' + dirname('/../bin/bunyan.mjs') + ' -0 -c "six.length == 3"')
+  assert.match(res.stdout, /"six":\["a","json","array"\]/)
+
+  res = await exec('-0', 'echo "Starting server port=8080" | node')
+  assert.strictEqual(res.stdout, 'Starting server port=8080\n')
+});
+
+t.test('foreign input formats', async function () {
+  let res = await exec('-o short ' + dirname('/corpus/foreign.log'))
+  assert.strictEqual(res.stdout, [
+    '21:17:54.631Z  INFO -: hello from pino',
+    '21:17:55.000Z  WARN api: pino iso time (reqId=7)',
+    '21:18:00.000Z ERROR svc: ecs boom',
+    '    TypeError: bad',
+    '        at x',
+    '    --',
+    '    http: {',
+    '      "method": "GET"',
+    '    }',
+    '21:18:05.000Z  WARN -: logrus says hi (animal=walrus)',
+    'Starting server port=8080',
+    '{"hi":"there"}',
+    ''
+  ].join('\n'))
+
+  // Filters work on the normalized records.
+  res = await exec('-0 --strict -l warn -c "pid == 42" ' + dirname('/corpus/foreign.log'))
+  assert.deepStrictEqual(JSON.parse(res.stdout), {
+    name: 'svc',
+    hostname: 'h',
+    pid: 42,
+    level: 50,
+    http: {method: 'GET'},
+    err: {message: 'bad', name: 'TypeError', stack: 'TypeError: bad\n    at x'},
+    msg: 'ecs boom',
+    time: '2018-07-09T21:18:00.000Z',
+    v: 0
+  })
+});
+
+t.test('other JSON with a level and time passes through', async function () {
+  let line = '{"level":"high","time":"2012-02-08T22:56:52.856Z","id":1}'
+  let res = await exec('', `echo '${line}' | node`)
+  assert.strictEqual(res.stdout, line + '\n')
+});
+
+t.test('--input-format', async function () {
+  let res = await exec('-o simple --strict --input-format logfmt ' + dirname('/corpus/foreign.log'))
+  assert.strictEqual(res.stdout, 'WARN - logrus says hi\n')
+
+  res = await exec('-o simple --strict --input-format bunyan ' + dirname('/corpus/foreign.log') + ' ' + dirname('/corpus/simple.log'))
+  assert.strictEqual(res.stdout, 'INFO - My message\n')
+
+  let err = await assert.isRejected(exec('--input-format syslog ' + dirname('/corpus/simple.log')))
+  assert.match(err.stderr, /unknown input format: "syslog"/)
+});
+
 // https://github.com/trentm/node-bunyan/issues/30
 //
 // One of the records in corpus/withreq.log has a 'req'
@@ -298,3 +531,107 @@ t.test('should only show nonempty response bodies', async function () {
     '    date: Sat, 07 Mar 2015 06:58:43 GMT'
   ].join('\n') + '\n');
 });
+
+t.test('custom levels: unknown level number', async function () {
+  let res = await exec(dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T22:56:52.856Z] LVL35: myservice/123 on example.com: My notice\n')
+});
+
+t.test('custom levels: --levels', async function () {
+  let res = await exec('--levels notice=35,audit=45 ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T22:56:52.856Z] NOTICE: myservice/123 on example.com: My notice\n')
+  res = await exec('--levels notice=35 -o short ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '22:56:52.856Z NOTICE myservice: My notice\n')
+  res = await exec('--levels notice=35 -o simple ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, 'NOTICE - My notice\n')
+});
+
+t.test('custom levels: --levels-file', async function () {
+  let res = await exec('--levels-file ' + dirname('/corpus/custom-levels.json') + ' ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T22:56:52.856Z] NOTICE: myservice/123 on example.com: My notice\n')
+});
+
+t.test('custom levels: -l and -c', async function () {
+  let res = await exec('-l notice --levels notice=35 ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T22:56:52.856Z] NOTICE: myservice/123 on example.com: My notice\n')
+  res = await exec('--levels notice=35 -l warn ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '')
+  res = await exec('--levels notice=35 -c "this.level === NOTICE" ' + dirname('/corpus/custom-level.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T22:56:52.856Z] NOTICE: myservice/123 on example.com: My notice\n')
+});
+
+t.test('custom levels: invalid --levels', async function () {
+  let err = await assert.isRejected(exec('--levels notice ' + dirname('/corpus/custom-level.log')))
+  assert.strictEqual(err.code, 1)
+  assert.match(err.stderr, /invalid level in "--levels": "notice=NaN"/)
+});
+
+t.test('--since', async function () {
+  let res = await exec('-o simple --since 2012-02-08T22:56:52.856Z ' + dirname('/corpus/until.log'))
+  assert.strictEqual(res.stdout, 'INFO - second\nINFO - third\nnot read when past --until\n')
+  res = await exec('-o simple --since 1h ' + dirname('/corpus/until.log'))
+  assert.strictEqual(res.stdout, 'not read when past --until\n')
+});
+
+t.test('--until', async function () {
+  let res = await exec('-o simple --until 2012-02-08T22:56:52.856Z ' + dirname('/corpus/until.log'))
+  assert.strictEqual(res.stdout, 'INFO - first\nINFO - second\n')
+  res = await exec('-o simple --since "2012-02-08 22:56:52Z" --until "2012-02-08 22:56:53Z" ' + dirname('/corpus/until.log'))
+  assert.strictEqual(res.stdout, 'INFO - second\n')
+});
+
+t.test('--until with records out of time order', async function () {
+  let res = await exec('-o simple --until 2012-02-08T22:56:52.856Z ' + dirname('/corpus/until-unordered.log'))
+  assert.strictEqual(res.stdout, 'INFO - first\nINFO - earlier\nINFO - second\n')
+});
+
+t.test('--until from stdin', async function () {
+  let res = await exec('-o simple --until 2012-02-08T22:56:52.856Z', `${catter} ${dirname('/corpus/until.log')} | node `)
+  assert.strictEqual(res.stdout, 'INFO - first\nINFO - second\nnot read when past --until\nINFO - out of order\n')
+});
+
+t.test('--since and --until with multiple logs', async function () {
+  let res = await exec('-o short --since 2012-05-08T16:58:00Z --until 2012-05-08T17:01:49.339Z '
+    + dirname('/corpus/log1.log') + ' ' + dirname('/corpus/log2.log'))
+  assert.strictEqual(res.stdout, '16:58:55.586Z  INFO agent2: message\n17:01:49.339Z  INFO agent2: message\n')
+});
+
+t.test('invalid --since and --until', async function () {
+  let err = await assert.isRejected(exec('--since bogus ' + dirname('/corpus/until.log')))
+  assert.strictEqual(err.code, 1)
+  assert.match(err.stderr, /invalid time for "--since": "bogus"/)
+  err = await assert.isRejected(exec('--until'))
+  assert.match(err.stderr, /missing argument to "--until"/)
+});
+
+t.test('time: simple.log local long', async function () {
+  let res = await exec('--time local ' + dirname('/corpus/simple.log'), 'TZ=Asia/Tokyo node')
+  assert.strictEqual(res.stdout, '[2012-02-09T07:56:52.856+09:00]  INFO: myservice/123 on example.com: My message\n')
+});
+
+t.test('time: simple.log local short', async function () {
+  let res = await exec('-o short --time local ' + dirname('/corpus/simple.log'), 'TZ=Asia/Tokyo node')
+  assert.strictEqual(res.stdout, '07:56:52.856  INFO myservice: My message\n')
+});
+
+t.test('time: simple.log IANA time zone', async function () {
+  let res = await exec('--time Europe/Oslo ' + dirname('/corpus/simple.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08T23:56:52.856+01:00]  INFO: myservice/123 on example.com: My message\n')
+  res = await exec('-o short --time America/New_York ' + dirname('/corpus/simple.log'))
+  assert.strictEqual(res.stdout, '17:56:52.856  INFO myservice: My message\n')
+});
+
+t.test('time: simple.log --time-format', async function () {
+  let res = await exec('--time Europe/Oslo --time-format "%F %T %z" ' + dirname('/corpus/simple.log'))
+  assert.strictEqual(res.stdout, '[2012-02-08 23:56:52 +0100]  INFO: myservice/123 on example.com: My message\n')
+  res = await exec('-o short --time-format "%a %e %b %I:%M:%S.%L %p %Z %%" ' + dirname('/corpus/simple.log'))
+  assert.strictEqual(res.stdout, 'Wed  8 Feb 10:56:52.856 PM UTC %  INFO myservice: My message\n')
+});
+
+t.test('time: invalid --time', async function () {
+  let err = await assert.isRejected(exec('--time Mars/Olympus_Mons ' + dirname('/corpus/simple.log')))
+  assert.strictEqual(err.code, 1)
+  assert.match(err.stderr, /invalid time format: "Mars\/Olympus_Mons"/)
+  err = await assert.isRejected(exec('--time-format'))
+  assert.match(err.stderr, /missing argument to "--time-format"/)
+});
@@ -0,0 +1,166 @@
+/*
+ * Test `log.close()`.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-close-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+t.test('close ends owned file streams and flushes', function (cb) {
+  var logPath = path.join(TMPDIR, 'owned.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: logPath} ]
+  });
+  var fileStream = log.streams[0].stream;
+  assert.strictEqual(log.streams[0].endOnClose, true);
+  log.info('hi');
+  log.close(function () {
+    try {
+      assert.strictEqual(fileStream.writableFinished, true);
+      assert.match(fs.readFileSync(logPath, 'utf8'), /"msg":"hi"/);
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
+
+t.test('close does not end streams it does not own', function (cb) {
+  var ringbuffer = new bunyan.RingBuffer();
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {type: 'raw', stream: ringbuffer} ]
+  });
+  log.close(function () {
+    try {
+      assert.strictEqual(ringbuffer.writable, true);
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
+
+t.test('close removes error listeners', function (cb) {
+  var logPath = path.join(TMPDIR, 'listeners.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: logPath} ]
+  });
+  var fileStream = log.streams[0].stream;
+  var before = fileStream.listenerCount('error');
+  log.close(function () {
+    try {
+      assert.strictEqual(fileStream.listenerCount('error'), before - 1);
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
+
+t.test('close on a simple child does not end parent streams', function (cb) {
+  var logPath = path.join(TMPDIR, 'simple-child.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: logPath} ]
+  });
+  var child = log.child({component: 'simple'}, true);
+  child.close(function () {
+    try {
+      assert.strictEqual(log.streams[0].stream.writableEnded, false);
+      log.close(cb);
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
+
+t.test('close on a child only ends its own streams', function (cb) {
+  var parentPath = path.join(TMPDIR, 'parent.log');
+  var childPath = path.join(TMPDIR, 'child.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: parentPath} ]
+  });
+  var child = log.child({streams: [ {path: childPath} ]});
+  assert.strictEqual(child.streams.length, 2);
+  var parentStream = child.streams[0].stream;
+  var childStream = child.streams[1].stream;
+  child.info('from child');
+  child.close(function () {
+    try {
+      assert.strictEqual(parentStream.writableEnded, false);
+      assert.strictEqual(childStream.writableFinished, true);
+      assert.match(fs.readFileSync(childPath, 'utf8'), /from child/);
+      log.close(cb);
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
+
+t.test('children do not write to streams ended by close', function (cb) {
+  var logPath = path.join(TMPDIR, 'child-after-close.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: logPath} ]
+  });
+  var child = log.child({component: 'child'});
+  var simpleChild = log.child({component: 'simple'}, true);
+  child.info('before');
+  log.close(function () {
+    child.info('after');
+    simpleChild.info('after');
+    setImmediate(function () {
+      try {
+        var lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        assert.strictEqual(lines.length, 1);
+        assert.match(lines[0], /"msg":"before"/);
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    });
+  });
+});
+
+t.test('close twice', function (cb) {
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [ {path: path.join(TMPDIR, 'twice.log')} ]
+  });
+  log.close();
+  log.close(cb);
+});
+
+t.test('close rotating file streams', function (cb) {
+  var logPath = path.join(TMPDIR, 'rotating.log');
+  var log = bunyan.createLogger({
+    name: 'close',
+    streams: [
+      {type: 'rotating-file', path: logPath},
+      {path: logPath + '.size', maxSize: '1m'}
+    ]
+  });
+  log.info('hi');
+  log.close(function () {
+    try {
+      assert.strictEqual(log.streams[0].stream.stream.writableFinished, true);
+      assert.strictEqual(log.streams[1].stream.stream.writableFinished, true);
+      assert.match(fs.readFileSync(logPath, 'utf8'), /"msg":"hi"/);
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+});
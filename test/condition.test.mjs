@@ -0,0 +1,110 @@
+/*
+ * Test the `bunyan -c CONDITION` filter language.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import compileCondition from '../lib/condition.mjs'
+
+
+var REC = {
+  name: 'myservice',
+  pid: 123,
+  hostname: 'example.com',
+  level: 40,
+  msg: 'request timeout',
+  time: '2012-02-08T22:56:52.856Z',
+  req: {
+    method: 'POST',
+    url: '/path',
+    headers: {'x-request-id': 'abc', host: 'example.com'}
+  },
+  tags: ['a', 'b'],
+  v: 0
+};
+var LEVELS = {TRACE: 10, DEBUG: 20, INFO: 30, WARN: 40, ERROR: 50, FATAL: 60};
+
+function check(src) {
+  return compileCondition(src, LEVELS)(REC);
+}
+
+
+t.test('condition comparisons', function () {
+  assert.strictEqual(check('pid == 123'), true);
+  assert.strictEqual(check('this.pid === 123'), true);
+  assert.strictEqual(check('pid != 123'), false);
+  assert.strictEqual(check('pid == "123"'), false);
+  assert.strictEqual(check('level >= WARN'), true);
+  assert.strictEqual(check('level > WARN'), false);
+  assert.strictEqual(check('level < 50 && level <= 40'), true);
+  assert.strictEqual(check('name > "a"'), true);
+  assert.strictEqual(check('name > 1'), false);
+  assert.strictEqual(check('pid > -1.5e2'), true);
+  assert.strictEqual(check('msg.length == 15'), true);
+  assert.strictEqual(check('tags.length == 2 && tags[1] == "b"'), true);
+});
+
+t.test('condition field paths', function () {
+  assert.strictEqual(check('req.method == "POST"'), true);
+  assert.strictEqual(check('this.req.headers["x-request-id"] == \'abc\''),
+    true);
+  assert.strictEqual(check('req.headers.nope == undefined'), true);
+  assert.strictEqual(check('nope.deeper.still == null'), true);
+  assert.strictEqual(check('msg.nope == null'), true);
+  assert.strictEqual(check('req.constructor == null'), true);
+  assert.strictEqual(check('req'), true);
+  assert.strictEqual(check('!err'), true);
+});
+
+t.test('condition boolean operators', function () {
+  assert.strictEqual(check('pid == 1 || pid == 123'), true);
+  assert.strictEqual(check('pid == 1 || pid == 2 && true'), false);
+  assert.strictEqual(check('(pid == 1 || pid == 123) && level == WARN'), true);
+  assert.strictEqual(check('!(pid == 123)'), false);
+  assert.strictEqual(check('!!req'), true);
+});
+
+t.test('condition regex and in', function () {
+  assert.strictEqual(check('msg =~ /time\\/?out$/'), true);
+  assert.strictEqual(check('msg =~ /TIMEOUT/i'), true);
+  assert.strictEqual(check('msg !~ /TIMEOUT/'), true);
+  assert.strictEqual(check('msg =~ "^request"'), true);
+  assert.strictEqual(check('pid =~ /^12/'), true);
+  assert.strictEqual(check('req =~ /POST/'), false);
+  assert.strictEqual(check('level in [WARN, ERROR]'), true);
+  assert.strictEqual(check('level in [50, 60]'), false);
+  assert.strictEqual(check('req.method in ["GET", "POST"]'), true);
+  assert.strictEqual(check('!(hostname in [])'), true);
+});
+
+t.test('condition constants', function () {
+  assert.strictEqual(compileCondition('level == WARN')(REC), false);
+  assert.strictEqual(check('WARN == 40'), true);
+  // A constant name is a field name in a longer path.
+  assert.strictEqual(check('this.WARN == null'), true);
+});
+
+t.test('condition errors', function () {
+  [
+    ['', /unexpected end of condition/],
+    ['pid ==', /unexpected end of condition .*at position 7/],
+    ['pid = 123', /unexpected character "="/],
+    ['pid == 123 pid', /unexpected "pid" at position 12/],
+    ['msg.indexOf("x") != -1', /unexpected "\("/],
+    ['process.exit()', /unexpected "\("/],
+    ['(pid == 123', /expected "\)"/],
+    ['level in WARN', /expected "\["/],
+    ['level in [pid]', /expected a list item/],
+    ['msg == "abc', /unterminated string/],
+    ['msg =~ /abc', /unterminated regex/],
+    ['msg =~ /(/', /invalid regex/],
+    ['msg =~ "("', /invalid regex/],
+    ['msg =~ hostname', /unexpected "hostname" .*expected a regex or string/],
+    ['msg !~ req.method', /expected a regex or string/],
+    ['msg =~ 123', /expected a regex or string/],
+    ['req[foo]', /expected a string or number/]
+  ].forEach(function (c) {
+    assert.throws(function () {
+      compileCondition(c[0], LEVELS);
+    }, c[1], c[0]);
+  });
+});
@@ -111,12 +111,20 @@ t.test('ensure Logger child() options', function () {
 });
 
 
-t.test('ensure Logger() rejects non-Logger parents', function () {
+t.test('ensure Logger() treats a non-Logger first arg as options', function () {
   let dad = new bunyan({name: 'dad', streams: []});
 
   assert.throws(function () { new bunyan({}, {}); },
-    /invalid Logger creation: do not pass a second arg/,
+    /options.name \(string\) is required/,
     'Logger arguments must be valid');
+  assert.throws(function () { new bunyan({name: 'foo'}, 'bar'); },
+    /invalid fields: must be an object/,
+    'fields must be an object');
+  assert.throws(function () { new bunyan({name: 'foo'}, ['bar']); },
+    /invalid fields: must be an object/,
+    'fields cannot be an array');
 
   new bunyan(dad, {});
+  new bunyan({name: 'foo', streams: []}, {});
+  new bunyan({name: 'foo', streams: []}, null);
 });
@@ -0,0 +1,30 @@
+import bunyan from '../lib/bunyan.mjs'
+
+var log = bunyan.createLogger({
+    name: 'flush-on-exit-1',
+    flushOnExit: true,
+    streams: [
+        {path: process.argv[2]},
+        {type: 'rotating-file', path: process.argv[2] + '.rot'},
+        {path: process.argv[2] + '.size', maxSize: '1m'},
+        {path: process.argv[2] + '.batch', batch: {batchSize: '1k'}}
+    ]
+});
+
+function logAndExit(from) {
+    for (var i = from; i < from + 100; i++) {
+        log.info('record %d', i);
+    }
+    log.fatal(new Error('boom'), 'cannot continue');
+    process.exit(1);
+}
+
+if (process.argv[3] === 'later') {
+    // Exit while earlier records are being written.
+    for (var i = 0; i < 100; i++) {
+        log.info('record %d', i);
+    }
+    setTimeout(logAndExit, 20, 100);
+} else {
+    logAndExit(0);
+}
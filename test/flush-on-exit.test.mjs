@@ -0,0 +1,145 @@
+/*
+ * Test writing out records on exit, and `log.flush()`.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Worker } from 'worker_threads'
+import { Eltro as t, assert} from 'eltro'
+import { exec, dirname } from './helper.mjs'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-flush-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+function readRecords(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(function (l) {
+    return JSON.parse(l);
+  });
+}
+
+// The files written by `flush-on-exit-1.mjs`.
+function exitLogFiles(logPath) {
+  return [logPath, logPath + '.rot', logPath + '.size', logPath + '.batch'];
+}
+
+t.test('records logged right before process.exit are written',
+    async function () {
+  var logPath = path.join(TMPDIR, 'exit.log');
+  let err = await assert.isRejected(
+    exec(logPath, 'node', dirname('/flush-on-exit-1.mjs')));
+  assert.strictEqual(err.code, 1);
+
+  exitLogFiles(logPath).forEach(function (file) {
+    var recs = readRecords(file);
+    assert.strictEqual(recs.length, 101, file);
+    assert.strictEqual(recs[0].msg, 'record 0');
+    assert.strictEqual(recs[100].msg, 'cannot continue');
+  });
+});
+
+t.test('records are written in order when exiting during a write',
+    async function () {
+  var logPath = path.join(TMPDIR, 'exit-later.log');
+  let err = await assert.isRejected(
+    exec(logPath + ' later', 'node', dirname('/flush-on-exit-1.mjs')));
+  assert.strictEqual(err.code, 1);
+
+  exitLogFiles(logPath).forEach(function (file) {
+    var recs = readRecords(file);
+    assert.strictEqual(recs.length, 201, file);
+    for (var i = 0; i < 200; i++) {
+      assert.strictEqual(recs[i].msg, 'record ' + i, file);
+    }
+    assert.strictEqual(recs[200].msg, 'cannot continue');
+  });
+});
+
+t.test('flushOnExit is opt-in', function (cb) {
+  var listeners = process.listenerCount('exit');
+  var log = bunyan.createLogger({
+    name: 'opt-in',
+    streams: [{path: path.join(TMPDIR, 'opt-in.log')}]
+  });
+  assert.strictEqual(process.listenerCount('exit'), listeners);
+  var flushLog = bunyan.createLogger({
+    name: 'opt-in',
+    flushOnExit: true,
+    streams: [{path: path.join(TMPDIR, 'opt-in-flush.log')}]
+  });
+  assert.strictEqual(process.listenerCount('exit'), listeners + 1);
+  assert.strictEqual(flushLog.fields.flushOnExit, undefined);
+  log.close(function () {
+    flushLog.close(function () {
+      assert.strictEqual(process.listenerCount('exit'), listeners);
+      cb();
+    });
+  });
+});
+
+t.timeout(10000).test('write in flight on exit', async function () {
+  var write = fs.write;
+  var worker = null;
+  // Whether the in-flight write is done, in progress (done a bit later by
+  // another thread) or never done.
+  for (var mode of ['done', 'in progress', 'never']) {
+    var logPath = path.join(TMPDIR, 'in-flight-' + mode.replace(' ', '-'));
+    var log = bunyan.createLogger({
+      name: 'in-flight',
+      streams: [{path: logPath}]
+    });
+    var ws = log.streams[0].stream;
+    await new Promise(function (resolve) { ws.once('ready', resolve); });
+    fs.write = function (fd, buf, off, len, pos, cb) {
+      if (mode === 'done') {
+        fs.writeSync(fd, buf, off, len);
+      } else if (mode === 'in progress') {
+        var workerData = {fd: fd, buf: buf.subarray(off, off + len)};
+        worker = new Worker('var w = require("worker_threads").workerData;'
+          + 'setTimeout(function () {'
+          + '  require("fs").writeSync(w.fd, w.buf);'
+          + '}, 100);', {eval: true, workerData: workerData});
+      }
+    };
+    try {
+      for (var i = 0; i < 3; i++) {
+        log.info('record %d', i);
+      }
+      log._flushStreamsSync();
+    } finally {
+      fs.write = write;
+    }
+    if (worker !== null) {
+      await new Promise(function (resolve) { worker.once('exit', resolve); });
+      worker = null;
+    }
+    assert.deepStrictEqual(readRecords(logPath).map(function (rec) {
+      return rec.msg;
+    }), ['record 0', 'record 1', 'record 2'], mode);
+    ws.destroy();
+  }
+});
+
+t.test('flush() resolves when records are written', async function () {
+  var logPath = path.join(TMPDIR, 'flush.log');
+  var log = bunyan.createLogger({
+    name: 'flush',
+    streams: [
+      {path: logPath},
+      {path: logPath + '.size', maxSize: '1m'},
+      {type: 'raw', stream: new bunyan.RingBuffer()}
+    ]
+  });
+  for (var i = 0; i < 50; i++) {
+    log.info('record %d', i);
+  }
+  await log.flush();
+  assert.strictEqual(readRecords(logPath).length, 50);
+  assert.strictEqual(readRecords(logPath + '.size').length, 50);
+  await new Promise(function (resolve) { log.close(resolve); });
+  await log.flush();
+});
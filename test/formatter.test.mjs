@@ -0,0 +1,147 @@
+/*
+ * Test the `formatter` stream option.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+
+function CapturingStream(chunks) {
+  this.chunks = chunks;
+}
+CapturingStream.prototype.write = function (chunk) {
+  this.chunks.push(chunk);
+}
+
+var TIME = new Date('2012-02-08T22:56:52.856Z');
+
+
+t.test('default formatter is json', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    stream: new CapturingStream(chunks)
+  });
+  assert.strictEqual(log.streams[0].formatter, bunyan.formatters.json);
+  log.info({time: TIME}, 'hi');
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(JSON.parse(chunks[0]).msg, 'hi');
+  assert.strictEqual(chunks[0].slice(-1), '\n');
+});
+
+t.test('short formatter', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    component: 'wuzzle',
+    streams: [ {stream: new CapturingStream(chunks), formatter: 'short'} ]
+  });
+  log.info({time: TIME, foo: 'bar', sp: 'a b', num: 42}, 'hi there');
+  assert.strictEqual(chunks[0],
+    '22:56:52.856Z  INFO formatter/wuzzle: hi there'
+    + ' (foo=bar, sp="a b", num=42)\n');
+
+  var err = new Error('boom');
+  log.error({time: TIME, err: err}, 'failed');
+  var lines = chunks[1].split('\n');
+  assert.strictEqual(lines[0], '22:56:52.856Z ERROR formatter/wuzzle: failed');
+  assert.strictEqual(lines[1], '    Error: boom');
+});
+
+t.test('simple formatter', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    streams: [ {stream: new CapturingStream(chunks), formatter: 'simple'} ]
+  });
+  log.warn({foo: 'bar'}, 'hi %s', 'there');
+  assert.deepStrictEqual(chunks, ['WARN - hi there\n']);
+});
+
+t.test('logfmt formatter', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    streams: [ {stream: new CapturingStream(chunks), formatter: 'logfmt'} ]
+  });
+  log.info({
+    time: TIME,
+    hostname: 'example',
+    pid: 123,
+    req: {method: 'GET', headers: {'user-agent': 'curl/7.1 "beta"'}},
+    empty: '',
+    nothing: undefined,
+    multi: 'one\ntwo'
+  }, 'hi there');
+  assert.strictEqual(chunks[0],
+    'time=2012-02-08T22:56:52.856Z level=info name=formatter hostname=example'
+    + ' pid=123 req.method=GET req.headers.user-agent="curl/7.1 \\"beta\\""'
+    + ' empty="" multi="one\\ntwo" msg="hi there" v=0\n');
+});
+
+t.test('function formatter', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    streams: [ {
+      stream: new CapturingStream(chunks),
+      formatter: function (rec) { return rec.level + ':' + rec.msg; }
+    } ]
+  });
+  log.info('hi');
+  assert.deepStrictEqual(chunks, ['30:hi\n']);
+});
+
+t.test('each format is computed once per record', function () {
+  var calls = 0;
+  var chunks = [];
+  var rawRecs = [];
+  function countingFormatter(rec) {
+    calls++;
+    return rec.msg;
+  }
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    streams: [
+      {stream: new CapturingStream(chunks), formatter: countingFormatter},
+      {stream: new CapturingStream(chunks), formatter: countingFormatter},
+      {stream: new CapturingStream(chunks), formatter: 'json'},
+      {stream: new CapturingStream(chunks)},
+      {type: 'raw', stream: new CapturingStream(rawRecs)}
+    ]
+  });
+  log.info('hi');
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(chunks.length, 4);
+  assert.strictEqual(chunks[0], chunks[1]);
+  assert.strictEqual(chunks[2], chunks[3]);
+  assert.strictEqual(JSON.parse(chunks[2]).msg, 'hi');
+  assert.strictEqual(rawRecs[0].msg, 'hi');
+});
+
+t.test('child loggers keep stream formatters', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'formatter',
+    streams: [ {stream: new CapturingStream(chunks), formatter: 'simple'} ]
+  });
+  log.child({component: 'c'}).info('from child');
+  log.child({component: 'c'}, true).info('from simple child');
+  assert.deepStrictEqual(chunks,
+    ['INFO - from child\n', 'INFO - from simple child\n']);
+});
+
+t.test('invalid formatter', function () {
+  assert.throws(function () {
+    bunyan.createLogger({
+      name: 'formatter',
+      streams: [ {stream: process.stdout, formatter: 'bogus'} ]
+    });
+  }, /unknown formatter: "bogus"/);
+  assert.throws(function () {
+    bunyan.createLogger({
+      name: 'formatter',
+      streams: [ {type: 'raw', stream: process.stdout, formatter: 'short'} ]
+    });
+  }, /"raw" streams do not take a "formatter"/);
+});
@@ -0,0 +1,105 @@
+/*
+ * Test the `bunyan` CLI input adapters.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import { parseInputLine } from '../lib/input.mjs'
+
+
+var LEVELS = {trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60};
+
+function parse(obj, inputFormat) {
+  var line = (typeof (obj) === 'string' ? obj : JSON.stringify(obj));
+  return parseInputLine(line, inputFormat || 'auto', LEVELS);
+}
+
+
+t.test('bunyan input', function () {
+  var rec = {
+    name: 'a', hostname: 'h', pid: 1, level: 30, foo: 'bar', msg: 'hi',
+    time: '2012-02-08T22:56:52.856Z', v: 0
+  };
+  assert.deepStrictEqual(parse(rec), rec);
+  assert.deepStrictEqual(parse(rec, 'bunyan'), rec);
+  assert.strictEqual(parse({level: 30, msg: 'hi'}, 'bunyan'), null);
+});
+
+t.test('pino input', function () {
+  assert.deepStrictEqual(parse({
+    level: 40, time: 1328741812856, pid: 1, hostname: 'h', msg: 'hi',
+    foo: 'bar', v: 1
+  }), {
+    name: '-', hostname: 'h', pid: 1, level: 40, foo: 'bar', msg: 'hi',
+    time: '2012-02-08T22:56:52.856Z', v: 0
+  });
+  // String levels and epoch seconds.
+  var rec = parse({level: 'ERROR', time: 1328741812, msg: 'hi'}, 'pino');
+  assert.strictEqual(rec.level, 50);
+  assert.strictEqual(rec.time, '2012-02-08T22:56:52.000Z');
+  assert.strictEqual(parse({level: 'warning', time: 0}, 'pino').level, 40);
+  assert.strictEqual(parse({level: 'verbose', time: 0}, 'pino').level, 30);
+  assert.strictEqual(parse({level: 30, time: 'not a time'}, 'pino'), null);
+  // Detected with pino's default fields, or a numeric level and time.
+  assert.strictEqual(parse({
+    level: 'warn', time: '2012-02-08T22:56:52.856Z', pid: 1, hostname: 'h'
+  }).level, 40);
+  assert.strictEqual(parse({level: 30, time: 0}).level, 30);
+});
+
+t.test('other JSON with a level and time is not a record', function () {
+  [
+    {level: 'info', time: '2012-02-08T22:56:52.856Z', msg: 'hi'},
+    {level: 3, time: '12:00', name: 'sensor'},
+    {level: 'high', time: 1328741812856, pid: 1},
+    {level: 30, time: 1328741812856, v: 2}
+  ].forEach(function (obj) {
+    assert.strictEqual(parse(obj), null, JSON.stringify(obj));
+  });
+});
+
+t.test('ecs input', function () {
+  assert.deepStrictEqual(parse({
+    '@timestamp': '2012-02-08T23:56:52.856+01:00',
+    'log.level': 'warn',
+    message: 'hi',
+    ecs: {version: '1.6.0'},
+    service: {name: 'svc', version: '1.0'},
+    host: {name: 'h'},
+    process: {pid: 1},
+    error: {type: 'Error', message: 'boom', stack_trace: 'Error: boom'},
+    foo: 'bar'
+  }), {
+    name: 'svc', hostname: 'h', pid: 1, level: 40,
+    service: {version: '1.0'},
+    err: {message: 'boom', name: 'Error', stack: 'Error: boom'},
+    foo: 'bar', msg: 'hi', time: '2012-02-08T22:56:52.856Z', v: 0
+  });
+  assert.deepStrictEqual(parse({
+    '@timestamp': '2012-02-08T22:56:52.856Z',
+    log: {level: 'info', logger: 'x'},
+    'ecs.version': '8.0.0'
+  }, 'ecs'), {
+    name: '-', hostname: '-', pid: '-', level: 30, log: {logger: 'x'},
+    msg: '', time: '2012-02-08T22:56:52.856Z', v: 0
+  });
+});
+
+t.test('logfmt input', function () {
+  assert.deepStrictEqual(
+    parse('ts=2012-02-08T22:56:52.856Z lvl=debug message="hi there" n=1'), {
+      name: '-', hostname: '-', pid: '-', level: 20, n: 1, msg: 'hi there',
+      time: '2012-02-08T22:56:52.856Z', v: 0
+    });
+  assert.strictEqual(parse('Starting server port=8080'), null);
+  assert.strictEqual(parse('level=info msg=hi'), null);  // no time
+  assert.strictEqual(
+    parse('port=8080 time=2012-02-08T22:56:52Z', 'logfmt').level, 30);
+});
+
+t.test('non-record lines', function () {
+  assert.strictEqual(parse('not a record'), null);
+  assert.strictEqual(parse('{"hi": "there"}'), null);
+  assert.strictEqual(parse('{"level": 30'), null);
+  assert.strictEqual(parse('[1, 2]'), null);
+  assert.strictEqual(parse({level: 30, time: 0}, 'logfmt'), null);
+});
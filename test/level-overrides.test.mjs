@@ -0,0 +1,366 @@
+/*
+ * Test level overrides: `levelOverrides`, `log.levelOverrides()`,
+ * `log.setLevelOverride()`, and setting them at runtime from level specs
+ * and signals.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+
+function createLogger(options, streamLevel) {
+  var recs = [];
+  var log = bunyan.createLogger(Object.assign({
+    name: 'overrides',
+    streams: [
+      {
+        type: 'raw',
+        level: streamLevel || 'info',
+        stream: {write: function (rec) { recs.push(rec); }}
+      }
+    ]
+  }, options));
+  return {log: log, recs: recs};
+}
+
+function msgs(recs) {
+  return recs.map(function (rec) { return rec.msg; });
+}
+
+
+t.test('levelOverrides option', function () {
+  var o = createLogger({levelOverrides: {component: {db: 'info', http: 40}}},
+    'debug');
+  var db = o.log.child({component: 'db'});
+  var http = o.log.child(null, {component: 'http'});
+  var other = o.log.child({component: 'other'}, true);
+
+  assert.strictEqual(db.debug(), false);
+  assert.strictEqual(db.info(), true);
+  assert.strictEqual(http.info(), false);
+  assert.strictEqual(other.debug(), true);
+  assert.strictEqual(other.trace(), false);
+  assert.strictEqual(o.log.debug(), true);
+
+  db.debug('db debug');
+  db.info('db info');
+  http.info('http info');
+  http.warn('http warn');
+  other.trace('other trace');
+  other.debug('other debug');
+  assert.deepStrictEqual(msgs(o.recs),
+    ['db info', 'http warn', 'other debug']);
+
+  // Grandchildren match on inherited fields.
+  db.child({req_id: 1}).debug('grandchild debug');
+  assert.strictEqual(o.recs.length, 3);
+  assert.strictEqual(o.log.fields.levelOverrides, undefined);
+  assert.strictEqual(o.log.level(), bunyan.DEBUG);
+});
+
+t.test('level overrides make loggers more verbose', function () {
+  var o = createLogger({levelOverrides: {component: {db: 'debug'}}});
+  var db = o.log.child({component: 'db'});
+  var other = o.log.child({component: 'other'});
+  assert.strictEqual(db.debug(), true);
+  assert.strictEqual(db.trace(), false);
+  assert.strictEqual(other.debug(), false);
+  db.trace('db trace');
+  db.debug('db debug');
+  other.debug('other debug');
+  o.log.debug('root debug');
+  db.info('db info');
+  assert.deepStrictEqual(msgs(o.recs), ['db debug', 'db info']);
+  assert.strictEqual(db.level(), bunyan.INFO);
+});
+
+t.test('log.levelOverrides() at runtime', function () {
+  var o = createLogger({}, 'trace');
+  var db = o.log.child({component: 'db'});
+  var dbQuery = db.child({query: 'q1'});
+  var worker = o.log.child({worker: 3});
+  assert.deepStrictEqual(o.log.levelOverrides(), {});
+  assert.strictEqual(dbQuery.debug(), true);
+
+  // Set from any logger in the tree, changes apply to existing children.
+  worker.levelOverrides({component: {db: 'warn'}, worker: {3: 'error'}});
+  assert.deepStrictEqual(o.log.levelOverrides(),
+    {component: {db: bunyan.WARN}, worker: {3: bunyan.ERROR}});
+  assert.strictEqual(dbQuery.info(), false);
+  assert.strictEqual(worker.warn(), false);
+
+  o.log.levelOverrides({});
+  assert.strictEqual(dbQuery.debug(), true);
+  assert.strictEqual(worker.warn(), true);
+
+  // The getter returns a copy.
+  o.log.levelOverrides().component = {db: 'trace'};
+  assert.deepStrictEqual(o.log.levelOverrides(), {});
+});
+
+t.test('log.setLevelOverride()', function () {
+  var o = createLogger({}, 'trace');
+  var db = o.log.child({component: 'db', shard: 2});
+  o.log.setLevelOverride('component', 'db', 'debug');
+  assert.strictEqual(db.trace(), false);
+  assert.strictEqual(db.debug(), true);
+  // The lowest matching level wins.
+  o.log.setLevelOverride('shard', 2, 'trace');
+  assert.strictEqual(db.trace(), true);
+  o.log.setLevelOverride('shard', 2, null);
+  assert.strictEqual(db.trace(), false);
+  assert.strictEqual(db.debug(), true);
+  o.log.setLevelOverride('component', 'db', 'fatal');
+  db.error('quiet');
+  db.fatal('loud');
+  assert.deepStrictEqual(msgs(o.recs), ['loud']);
+  o.log.setLevelOverride('component', 'db');
+  assert.deepStrictEqual(o.log.levelOverrides(), {});
+  assert.strictEqual(db.info(), true);
+});
+
+t.test('level overrides keep higher stream levels', function () {
+  var recs = [];
+  var log = bunyan.createLogger({
+    name: 'overrides',
+    levelOverrides: {component: {db: 'debug'}},
+    streams: [
+      {type: 'raw', level: 'info', stream: {write: function (rec) {
+        recs.push(['a', rec.msg]);
+      }}},
+      {type: 'raw', level: 'error', stream: {write: function (rec) {
+        recs.push(['b', rec.msg]);
+      }}}
+    ]
+  });
+  var db = log.child({component: 'db'});
+  db.trace('db trace');
+  db.debug('db debug');
+  db.info('db info');
+  db.error('db error');
+  log.debug('root debug');
+  log.info('root');
+  assert.deepStrictEqual(recs, [['a', 'db debug'], ['a', 'db info'],
+    ['a', 'db error'], ['b', 'db error'], ['a', 'root']]);
+});
+
+t.test('level overrides do not write to closed streams', function (cb) {
+  var recs = [];
+  var log = bunyan.createLogger({
+    name: 'overrides',
+    levelOverrides: {component: {db: 'trace'}},
+    streams: [
+      {
+        type: 'raw',
+        level: 'trace',
+        endOnClose: true,
+        stream: {
+          write: function (rec) { recs.push(rec.msg); },
+          end: function () {}
+        }
+      }
+    ]
+  });
+  var db = log.child({component: 'db'}, true);
+  db.debug('before');
+  log.close(function () {
+    db.debug('after');
+    db.fatal('after');
+    assert.deepStrictEqual(recs, ['before']);
+    cb();
+  });
+});
+
+t.test('invalid level overrides', function () {
+  assert.throws(function () {
+    createLogger({levelOverrides: ['component']});
+  }, /invalid level overrides: must be an object/);
+  assert.throws(function () {
+    createLogger({levelOverrides: {component: 'db'}});
+  }, /invalid level overrides for field "component": must be an object/);
+  assert.throws(function () {
+    createLogger({levelOverrides: {component: {db: 'booga'}}});
+  }, /unknown level name: "booga"/);
+
+  var o = createLogger();
+  assert.throws(function () {
+    o.log.child({levelOverrides: {component: {db: 'debug'}}});
+  }, /child cannot set level overrides/);
+  assert.throws(function () {
+    o.log.setLevelOverride(null, 'db', 'debug');
+  }, /field \(string\) is required/);
+  assert.throws(function () {
+    o.log.setLevelOverride('component', 'db', -1);
+  }, /level is not a positive integer/);
+});
+
+
+// ---- level specs, `BUNYAN_LEVEL` and signals
+
+t.test('bunyan.parseLevelSpec()', function () {
+  assert.deepStrictEqual(bunyan.parseLevelSpec('info,db=debug, http=10'), {
+    level: bunyan.INFO,
+    overrides: {component: {db: bunyan.DEBUG, http: bunyan.TRACE}}
+  });
+  assert.deepStrictEqual(bunyan.parseLevelSpec('worker:3=warn,,'), {
+    level: undefined,
+    overrides: {worker: {3: bunyan.WARN}}
+  });
+  assert.throws(function () {
+    bunyan.parseLevelSpec('info,db=booga');
+  }, /invalid level spec "info,db=booga": unknown level name: "booga"/);
+  assert.throws(function () {
+    bunyan.parseLevelSpec('=debug');
+  }, /invalid level spec "=debug": invalid entry "=debug"/);
+  assert.throws(function () {
+    bunyan.parseLevelSpec(null);
+  }, /level spec \(string\) is required/);
+});
+
+t.test('log.setLevelSpec()', function () {
+  var o = createLogger({levelOverrides: {component: {http: 'error'}}},
+    'trace');
+  var db = o.log.child({component: 'db'});
+  var http = o.log.child({component: 'http'});
+  var other = o.log.child({component: 'other'}, true);
+
+  o.log.setLevelSpec('warn,db=debug');
+  assert.deepStrictEqual(o.log.levelOverrides(),
+    {component: {db: bunyan.DEBUG}});
+  assert.strictEqual(db.debug(), true);
+  assert.strictEqual(http.info(), false);
+  assert.strictEqual(http.warn(), true);
+  assert.strictEqual(other.info(), false);
+  assert.strictEqual(o.log.info(), false);
+
+  // Without a level, loggers use their own stream levels again.
+  o.log.setLevelSpec('http=debug');
+  assert.strictEqual(db.trace(), true);
+  assert.strictEqual(http.trace(), false);
+  assert.strictEqual(http.debug(), true);
+  assert.strictEqual(o.log.trace(), true);
+});
+
+t.test('level specs keep higher stream levels', function () {
+  var recs = [];
+  var log = bunyan.createLogger({
+    name: 'overrides',
+    streams: [
+      {type: 'raw', level: 'debug', stream: {write: function (rec) {
+        recs.push(['a', rec.msg]);
+      }}},
+      {type: 'raw', level: 'error', stream: {write: function (rec) {
+        recs.push(['b', rec.msg]);
+      }}}
+    ]
+  });
+  var db = log.child({component: 'db'});
+  log.setLevelSpec('info,db=trace');
+  log.debug('root debug');
+  log.info('root info');
+  db.trace('db trace');
+  db.debug('db debug');
+  log.error('root error');
+  assert.deepStrictEqual(recs, [['a', 'root info'], ['a', 'db trace'],
+    ['a', 'db debug'], ['a', 'root error'], ['b', 'root error']]);
+
+  recs.length = 0;
+  log.setLevelSpec('trace');
+  log.trace('root trace');
+  log.info('root info');
+  assert.deepStrictEqual(recs, [['a', 'root trace'], ['a', 'root info']]);
+});
+
+t.test('level specs turn on debug with default stream levels', function () {
+  var o = createLogger();
+  var db = o.log.child({component: 'db'});
+  o.log.info('root info');
+  db.debug('not yet');
+  o.log.setLevelSpec('info,db=debug');
+  assert.strictEqual(db.debug(), true);
+  assert.strictEqual(o.log.debug(), false);
+  db.debug('db debug');
+  o.log.debug('root debug');
+  o.log.setLevelSpec('debug');
+  o.log.debug('root debug');
+  assert.deepStrictEqual(msgs(o.recs), ['root info', 'db debug',
+    'root debug']);
+});
+
+t.test('log.levelsFromEnv()', function () {
+  var o = createLogger({}, 'trace');
+  var db = o.log.child({component: 'db'});
+  var save = process.env.BUNYAN_TEST_LEVEL;
+  try {
+    delete process.env.BUNYAN_TEST_LEVEL;
+    assert.strictEqual(o.log.levelsFromEnv('BUNYAN_TEST_LEVEL'), false);
+
+    process.env.BUNYAN_TEST_LEVEL = 'error,db=trace';
+    assert.strictEqual(o.log.levelsFromEnv('BUNYAN_TEST_LEVEL'), true);
+    assert.strictEqual(db.trace(), true);
+    assert.strictEqual(o.log.warn(), false);
+
+    // From a default 'info' stream.
+    var info = createLogger();
+    process.env.BUNYAN_TEST_LEVEL = 'db=debug';
+    info.log.levelsFromEnv('BUNYAN_TEST_LEVEL');
+    info.log.child({component: 'db'}).debug('db debug');
+    info.log.debug('root debug');
+    assert.deepStrictEqual(msgs(info.recs), ['db debug']);
+  } finally {
+    if (save === undefined) {
+      delete process.env.BUNYAN_TEST_LEVEL;
+    } else {
+      process.env.BUNYAN_TEST_LEVEL = save;
+    }
+  }
+});
+
+t.test('log.cycleLevelsOnSignal()', function () {
+  var o = createLogger({}, 'trace');
+  o.log.setLevelSpec('info,db=warn');
+  var db = o.log.child({component: 'db'});
+  var stop = o.log.cycleLevelsOnSignal('SIGUSR2');
+  try {
+    assert.strictEqual(o.log.debug(), false);
+    assert.strictEqual(db.info(), false);
+
+    process.emit('SIGUSR2');
+    assert.strictEqual(o.log.debug(), true);
+    assert.strictEqual(o.log.trace(), false);
+    assert.strictEqual(db.debug(), true);
+
+    process.emit('SIGUSR2');
+    assert.strictEqual(o.log.trace(), true);
+    assert.strictEqual(db.trace(), true);
+
+    // Restored.
+    process.emit('SIGUSR2');
+    assert.strictEqual(o.log.debug(), false);
+    assert.strictEqual(o.log.info(), true);
+    assert.strictEqual(db.info(), false);
+    assert.deepStrictEqual(o.log.levelOverrides(),
+      {component: {db: bunyan.WARN}});
+  } finally {
+    stop();
+  }
+  assert.strictEqual(process.listenerCount('SIGUSR2'), 0);
+});
+
+t.test('log.cycleLevelsOnSignal() with default stream levels', function () {
+  var o = createLogger();
+  var stop = o.log.cycleLevelsOnSignal('SIGUSR2');
+  try {
+    o.log.debug('before');
+    process.emit('SIGUSR2');
+    assert.strictEqual(o.log.debug(), true);
+    o.log.debug('debug');
+    process.emit('SIGUSR2');
+    o.log.trace('trace');
+    process.emit('SIGUSR2');
+    o.log.debug('after');
+    assert.deepStrictEqual(msgs(o.recs), ['debug', 'trace']);
+  } finally {
+    stop();
+  }
+});
@@ -75,3 +75,84 @@ t.test('log.level(<invalid values>)', function () {
     bunyan.createLogger({name: 'invalid', level: -Infinity});
   }, /level is not a positive integer: -Infinity/);
 });
+
+// ---- custom levels
+
+t.test('bunyan.addLevel()', function () {
+  bunyan.addLevel('notice', 35);
+  assert.strictEqual(bunyan.resolveLevel('notice'), 35);
+  assert.strictEqual(bunyan.resolveLevel('NOTICE'), 35);
+  assert.strictEqual(bunyan.levelFromName.notice, 35);
+  assert.strictEqual(bunyan.nameFromLevel[35], 'notice');
+
+  var recs = [];
+  var log = bunyan.createLogger({
+    name: 'custom-level',
+    level: 'notice',
+    streams: [
+      {type: 'raw', stream: {write: function (rec) { recs.push(rec); }}},
+      {type: 'raw', name: 'second', stream: {write: function () {}}}
+    ]
+  });
+  assert.strictEqual(log.level(), 35);
+  assert.strictEqual(log.notice(), true);
+  log.info('dropped');
+  log.notice('hi %s', 'there');
+  log.warn('kept');
+  assert.strictEqual(recs.length, 2);
+  assert.strictEqual(recs[0].level, 35);
+  assert.strictEqual(recs[0].msg, 'hi there');
+
+  log.levels('second', 'notice');
+  assert.deepStrictEqual(log.levels(), [35, 35]);
+  log.level('NOTICE');
+  assert.strictEqual(log.level(), 35);
+
+  // Registering the same level again is fine.
+  bunyan.addLevel('notice', 35);
+});
+
+t.test('createLogger({levels: ...})', function () {
+  var recs = [];
+  var log = bunyan.createLogger({
+    name: 'custom-level',
+    levels: {audit: 45},
+    level: 'audit',
+    stream: {write: function (s) { recs.push(JSON.parse(s)); }}
+  });
+  assert.strictEqual(log.level(), 45);
+  assert.strictEqual(log.fields.levels, undefined);
+  log.audit('audited');
+  log.warn('dropped');
+  assert.strictEqual(recs.length, 1);
+  assert.strictEqual(recs[0].level, 45);
+  assert.strictEqual(recs[0].levels, undefined);
+
+  var child = log.child({component: 'c'}, true);
+  child.audit('from child');
+  assert.strictEqual(recs.length, 2);
+});
+
+t.test('bunyan.addLevel(<invalid values>)', function () {
+  assert.throws(function () {
+    bunyan.addLevel('Bad Name', 33);
+  }, /invalid level name: "Bad Name"/);
+  assert.throws(function () {
+    bunyan.addLevel('child', 33);
+  }, /clashes with a Logger method/);
+  assert.throws(function () {
+    bunyan.addLevel('emit', 33);
+  }, /clashes with a Logger method/);
+  assert.throws(function () {
+    bunyan.addLevel('info', 33);
+  }, /level "info" is already registered as 30/);
+  assert.throws(function () {
+    bunyan.addLevel('information', 30);
+  }, /level value 30 is already registered as "info"/);
+  assert.throws(function () {
+    bunyan.addLevel('fractional', 3.5);
+  }, /level is not a positive integer: 3.5/);
+  assert.throws(function () {
+    bunyan.createLogger({name: 'invalid', levels: ['notice']});
+  }, /invalid options.levels: must be an object/);
+});
@@ -0,0 +1,202 @@
+/*
+ * Test sampling, rate limiting and dedup of log records: the `sample`,
+ * `rateLimit` and `dedup` options of loggers and streams.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+
+function createLogger(options, streamOptions) {
+  var recs = [];
+  var log = bunyan.createLogger(Object.assign({
+    name: 'limit',
+    streams: [
+      Object.assign({
+        type: 'raw',
+        level: 'trace',
+        stream: {write: function (rec) { recs.push(rec); }}
+      }, streamOptions)
+    ]
+  }, options));
+  return {log: log, recs: recs};
+}
+
+function msgs(recs) {
+  return recs.map(function (rec) { return rec.msg; });
+}
+
+
+t.test('sample', function () {
+  var o = createLogger({sample: 0});
+  o.log.info('dropped');
+  assert.strictEqual(o.recs.length, 0);
+  assert.strictEqual(o.log.info(), true);
+
+  o = createLogger({sample: {debug: 0, info: 1}});
+  o.log.debug('dropped');
+  o.log.info('kept');
+  o.log.warn('kept too');
+  assert.deepStrictEqual(msgs(o.recs), ['kept', 'kept too']);
+
+  var saveRandom = Math.random;
+  try {
+    var values = [0.05, 0.5, 0.09];
+    Math.random = function () { return values.shift(); };
+    o = createLogger({sample: 0.1});
+    o.log.info('a');
+    o.log.info('b');
+    o.log.info('c');
+  } finally {
+    Math.random = saveRandom;
+  }
+  assert.deepStrictEqual(msgs(o.recs), ['a', 'c']);
+});
+
+t.test('sampled records are not created', function () {
+  var o = createLogger({sample: 0});
+  var serialized = 0;
+  o.log.addSerializers({x: function (x) { serialized++; return x; }});
+  o.log.info({x: 1}, 'hi');
+  assert.strictEqual(serialized, 0);
+});
+
+t.test('rateLimit', function () {
+  var saveNow = Date.now;
+  var now = 1000000;
+  Date.now = function () { return now; };
+  try {
+    var o = createLogger({rateLimit: {warn: {limit: 2, interval: 1000}}});
+    for (var i = 0; i < 5; i++) {
+      o.log.warn('warn %d', i);
+      o.log.info('info %d', i);
+    }
+    assert.deepStrictEqual(msgs(o.recs).filter(function (msg) {
+      return msg.indexOf('warn') === 0;
+    }), ['warn 0', 'warn 1']);
+    assert.strictEqual(o.recs.length, 7);
+
+    // Tokens refill over time.
+    now += 500;
+    o.log.warn('warn 5');
+    o.log.warn('warn 6');
+    now += 10000;
+    o.log.warn('warn 7');
+    o.log.warn('warn 8');
+    o.log.warn('warn 9');
+    assert.deepStrictEqual(msgs(o.recs).slice(7),
+      ['warn 5', 'warn 7', 'warn 8']);
+  } finally {
+    Date.now = saveNow;
+  }
+});
+
+t.test('dedup', function (cb) {
+  var o = createLogger({dedup: 20});
+  o.log.info('same');
+  o.log.info('same');
+  o.log.info('same');
+  o.log.warn('same');
+  o.log.info('other');
+  assert.deepStrictEqual(msgs(o.recs), ['same', 'same', 'other']);
+  setTimeout(function () {
+    assert.deepStrictEqual(msgs(o.recs).slice(3),
+      ['suppressed 2 records: same']);
+    var summary = o.recs[3];
+    assert.strictEqual(summary.suppressed, 2);
+    assert.strictEqual(summary.level, bunyan.INFO);
+
+    // A new window.
+    o.log.info('same');
+    assert.strictEqual(o.recs.length, 5);
+    cb();
+  }, 60);
+});
+
+t.test('dedup of children', function (cb) {
+  var o = createLogger({dedup: 20});
+  var db = o.log.child({component: 'db'});
+  var http = o.log.child({component: 'http'});
+  db.info('timeout');
+  http.info('timeout');
+  db.info('timeout');
+  db.info('timeout');
+  http.info('timeout');
+  o.log.info('timeout');
+  assert.deepStrictEqual(o.recs.map(function (rec) {
+    return rec.component + ' ' + rec.msg;
+  }), ['db timeout', 'http timeout', 'undefined timeout']);
+  setTimeout(function () {
+    var summaries = o.recs.slice(3).map(function (rec) {
+      return rec.component + ' ' + rec.msg;
+    }).sort();
+    assert.deepStrictEqual(summaries, [
+      'db suppressed 2 records: timeout',
+      'http suppressed 1 records: timeout'
+    ]);
+    cb();
+  }, 60);
+});
+
+t.test('children share their parent limits', function () {
+  var o = createLogger({rateLimit: {info: {limit: 1, interval: 60000}}});
+  o.log.child({component: 'a'}).info('a');
+  o.log.child({component: 'b'}, true).info('b');
+  var own = o.log.child({rateLimit: {info: {limit: 2, interval: 60000}}});
+  own.info('c');
+  own.info('d');
+  own.info('e');
+  assert.deepStrictEqual(msgs(o.recs), ['a', 'c', 'd']);
+  assert.strictEqual(o.log.fields.rateLimit, undefined);
+});
+
+t.test('stream limits', function (cb) {
+  var lines = [];
+  var log = bunyan.createLogger({
+    name: 'limit',
+    streams: [
+      {
+        level: 'info',
+        stream: {write: function (s) { lines.push(JSON.parse(s).msg); }},
+        dedup: 20
+      },
+      {
+        type: 'raw',
+        level: 'info',
+        stream: {write: function (rec) { lines.push('raw ' + rec.msg); }},
+        sample: {info: 0}
+      }
+    ]
+  });
+  log.info('hi');
+  log.info('hi');
+  log.warn('hi');
+  log.info('hi');
+  log.child({component: 'a'}).info('hi');
+  assert.deepStrictEqual(lines, ['hi', 'hi', 'raw hi', 'hi']);
+  setTimeout(function () {
+    assert.deepStrictEqual(lines.slice(4), ['suppressed 2 records: hi']);
+    cb();
+  }, 60);
+});
+
+t.test('invalid limits', function () {
+  assert.throws(function () {
+    createLogger({sample: 2});
+  }, /invalid sample: must be a number from 0 to 1/);
+  assert.throws(function () {
+    createLogger({sample: {debug: '0.5'}});
+  }, /invalid sample for level "debug": must be a number from 0 to 1/);
+  assert.throws(function () {
+    createLogger({sample: [0.5]});
+  }, /invalid sample: must be an object/);
+  assert.throws(function () {
+    createLogger({rateLimit: {warn: {limit: 10}}});
+  }, /invalid rateLimit for level "warn": must be an object with positive/);
+  assert.throws(function () {
+    createLogger({rateLimit: {booga: {limit: 1, interval: 1}}});
+  }, /unknown level name: "booga"/);
+  assert.throws(function () {
+    createLogger({}, {dedup: -1});
+  }, /invalid dedup: must be a positive number of ms/);
+});
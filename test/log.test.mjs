@@ -223,3 +223,59 @@ t.test('log.info(null, <msg>)', function () {
     assert.strictEqual(rec.msg, 'my message');
   });
 });
+
+
+// ---- test `log.<level>(err, ...)` calls
+
+t.test('log.info(<err>, <fields>, <msg>)', function () {
+  var err = new Error('boom');
+  names.forEach(function (lvl) {
+    log3[lvl](err, {requestId: 'r1', err: 'ignored'}, 'failed %s', 'x');
+    var rec = catcher.records[catcher.records.length - 1];
+    assert.strictEqual(rec.msg, 'failed x');
+    assert.strictEqual(rec.requestId, 'r1');
+    assert.strictEqual(rec.err.message, 'boom');
+    assert.strictEqual(rec.err.stack, err.stack);
+
+    log3[lvl](err, fields);
+    rec = catcher.records[catcher.records.length - 1];
+    assert.strictEqual(rec.msg, 'boom');
+    assert.strictEqual(rec.one, 'un');
+  });
+});
+
+t.test('log.info(<err>, <non-fields object>)', function () {
+  var err = new Error('boom');
+  var date = new Date(0);
+  log3.info(err, date);
+  var rec = catcher.records[catcher.records.length - 1];
+  assert.strictEqual(rec.msg, format(date));
+  assert.strictEqual(rec.err.message, 'boom');
+  log3.info(err, [1, 2]);
+  rec = catcher.records[catcher.records.length - 1];
+  assert.strictEqual(rec.msg, format([1, 2]));
+});
+
+t.test('log.info(<fields with errors>)', function () {
+  var err = new Error('outer');
+  var cause = new TypeError('inner');
+  cause.code = 'EINNER';
+  log3.info({err: err, cause: cause}, 'two errors');
+  var rec = catcher.records[catcher.records.length - 1];
+  assert.strictEqual(rec.err.message, 'outer');
+  assert.strictEqual(rec.err.stack, err.stack);
+  assert.strictEqual(rec.cause.name, 'TypeError');
+  assert.strictEqual(rec.cause.code, 'EINNER');
+  assert.strictEqual(rec.cause instanceof Error, false);
+
+  // An error with its own serializer uses that.
+  var log = bunyan.createLogger({
+    name: 'log4',
+    serializers: {cause: function (e) { return e.message; }},
+    streams: [ {type: 'raw', stream: catcher} ]
+  });
+  log.info(err, {cause: cause});
+  rec = catcher.records[catcher.records.length - 1];
+  assert.strictEqual(rec.msg, 'outer');
+  assert.strictEqual(rec.cause, 'inner');
+});
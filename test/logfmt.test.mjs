@@ -0,0 +1,74 @@
+/*
+ * Test logfmt rendering and parsing.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+import { formatLogfmt, parseLogfmt } from '../lib/logfmt.mjs'
+
+
+var REC = {
+  name: 'my app',
+  pid: 123,
+  hostname: 'example.com',
+  level: 30,
+  req: {method: 'GET', headers: {'user-agent': 'curl/7.1 "beta"'}},
+  tags: ['a', 'b'],
+  code: '042',
+  flag: 'true',
+  empty: '',
+  multi: 'one\ntwo',
+  msg: 'hi there',
+  time: '2012-02-08T22:56:52.856Z',
+  v: 0
+};
+
+
+t.test('formatLogfmt', function () {
+  assert.strictEqual(formatLogfmt(REC, {30: 'info'}),
+    'time=2012-02-08T22:56:52.856Z level=info name="my app" pid=123'
+    + ' hostname=example.com req.method=GET'
+    + ' req.headers.user-agent="curl/7.1 \\"beta\\"" tags.0=a tags.1=b'
+    + ' code="042" flag="true" empty="" multi="one\\ntwo" msg="hi there" v=0');
+  assert.strictEqual(formatLogfmt({level: 35, msg: 'x', nothing: null}),
+    'level=35 msg=x nothing=');
+});
+
+t.test('parseLogfmt', function () {
+  var rec = parseLogfmt(formatLogfmt(REC, {30: 'info'}), {info: 30});
+  assert.deepStrictEqual(rec, Object.assign({
+    time: REC.time,
+    level: REC.level
+  }, REC));
+
+  assert.deepStrictEqual(parseLogfmt('  a=1 b=-2.5e3 c=x=y d= e f="" g=false '), {
+    a: 1, b: -2500, c: 'x=y', d: null, e: true, f: '', g: false
+  });
+  // A level without a known name is left as is.
+  assert.deepStrictEqual(parseLogfmt('level=notice', {info: 30}),
+    {level: 'notice'});
+  // Clashing keys.
+  assert.deepStrictEqual(parseLogfmt('a=1 a.b=2'), {a: 1, 'a.b': 2});
+});
+
+t.test('parseLogfmt of non-logfmt lines', function () {
+  assert.strictEqual(parseLogfmt(''), null);
+  assert.strictEqual(parseLogfmt('just some words'), null);
+  assert.strictEqual(parseLogfmt('a="unterminated'), null);
+  assert.strictEqual(parseLogfmt('a="bad \\escape"'), null);
+  assert.strictEqual(parseLogfmt('a=b"c'), null);
+});
+
+t.test('parseLogfmt does not set prototypes', function () {
+  var rec = parseLogfmt('__proto__.polluted=1 constructor.prototype.x=2');
+  assert.strictEqual({}.polluted, undefined);
+  assert.strictEqual({}.x, undefined);
+  assert.deepStrictEqual(Object.keys(rec), ['__proto__', 'constructor']);
+});
+
+t.test('bunyan.formatLogfmt and bunyan.parseLogfmt', function () {
+  bunyan.addLevel('notice', 35);
+  var line = bunyan.formatLogfmt({level: 35, msg: 'hi'});
+  assert.strictEqual(line, 'level=notice msg=hi');
+  assert.deepStrictEqual(bunyan.parseLogfmt(line), {level: 35, msg: 'hi'});
+});
@@ -0,0 +1,245 @@
+/*
+ * Test `PrettyStream` and the pretty-printing shared with the `bunyan` CLI.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+import PrettyStream, { formatRecord } from '../lib/pretty.mjs'
+
+
+function CapturingStream(chunks) {
+  this.chunks = chunks;
+}
+CapturingStream.prototype.write = function (chunk) {
+  this.chunks.push(chunk);
+}
+
+var TIME = new Date('2012-02-08T22:56:52.856Z');
+var REC = {
+  name: 'myservice',
+  pid: 123,
+  hostname: 'example.com',
+  level: 30,
+  msg: 'My message',
+  time: '2012-02-08T22:56:52.856Z',
+  v: 0
+};
+
+
+t.test('formatRecord modes', function () {
+  assert.strictEqual(formatRecord(REC),
+    '[2012-02-08T22:56:52.856Z]  INFO: myservice/123 on example.com:'
+    + ' My message\n');
+  assert.strictEqual(formatRecord(REC, {mode: 'short'}),
+    '22:56:52.856Z  INFO myservice: My message\n');
+  assert.strictEqual(formatRecord(REC, {mode: 'simple'}),
+    'INFO - My message\n');
+  assert.strictEqual(formatRecord(REC, {mode: 'bunyan'}),
+    JSON.stringify(REC) + '\n');
+  assert.strictEqual(formatRecord(REC, {mode: 'json', jsonIndent: 4}),
+    JSON.stringify(REC, null, 4) + '\n');
+  assert.strictEqual(formatRecord({msg: 'not bunyan'}), null);
+  assert.throws(function () {
+    formatRecord(REC, {mode: 'bogus'});
+  }, /unknown output mode: bogus/);
+});
+
+t.test('formatRecord color', function () {
+  var plain = formatRecord(REC, {mode: 'short'});
+  var colored = formatRecord(REC, {mode: 'short', color: true});
+  assert.notStrictEqual(colored, plain);
+  assert.match(colored, /\[36m INFO.*\[36mMy message/);
+});
+
+t.test('formatRecord local time', function () {
+  var str = formatRecord(REC, {timeFormat: 'local'});
+  var match = /^\[(.*?)\]/.exec(str);
+  assert.ok(match);
+  assert.strictEqual(new Date(match[1]).getTime(), TIME.getTime());
+});
+
+t.test('formatRecord time zones and formats', function () {
+  assert.strictEqual(formatRecord(REC, {timeFormat: 'Asia/Kolkata'}),
+    '[2012-02-09T04:26:52.856+05:30]  INFO: myservice/123 on example.com:'
+    + ' My message\n');
+  assert.strictEqual(
+    formatRecord(REC, {mode: 'short', timeFormat: 'America/St_Johns'}),
+    '19:26:52.856  INFO myservice: My message\n');
+  assert.strictEqual(
+    formatRecord(REC, {mode: 'short', strftime: '%Y/%m/%d %H:%M'}),
+    '2012/02/08 22:56  INFO myservice: My message\n');
+  assert.strictEqual(
+    formatRecord(REC, {timeFormat: 'Europe/Oslo', strftime: '%A %B %d %T'}),
+    '[Wednesday February 08 23:56:52]  INFO: myservice/123 on example.com:'
+    + ' My message\n');
+  // Summer time.
+  var rec = Object.assign({}, REC, {time: '2012-07-08T22:56:52.856Z'});
+  assert.strictEqual(
+    formatRecord(rec, {mode: 'short', timeFormat: 'Europe/Oslo',
+      strftime: '%T %z'}),
+    '00:56:52 +0200  INFO myservice: My message\n');
+});
+
+t.test('formatRecord does not modify the record', function () {
+  var rec = {
+    name: 'myservice',
+    pid: 123,
+    hostname: 'example.com',
+    level: 30,
+    msg: 'My message',
+    time: TIME,
+    req: {method: 'GET', url: '/path', headers: {host: 'example.com'}},
+    err: new Error('boom'),
+    v: 0
+  };
+  var str = formatRecord(rec);
+  assert.match(str, /^    GET \/path HTTP\/1.1\n    host: example.com$/m);
+  assert.match(str, /^    Error: boom$/m);
+  assert.deepStrictEqual(Object.keys(rec.req), ['method', 'url', 'headers']);
+  assert.strictEqual(rec.time, TIME);
+  assert.strictEqual(rec.v, 0);
+});
+
+t.test('PrettyStream as a raw stream', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'pretty',
+    streams: [ {
+      type: 'raw',
+      stream: new bunyan.PrettyStream({
+        stream: new CapturingStream(chunks),
+        mode: 'short'
+      })
+    } ]
+  });
+  log.info({time: TIME, foo: 'bar'}, 'hi');
+  assert.deepStrictEqual(chunks,
+    ['22:56:52.856Z  INFO pretty: hi (foo=bar)\n']);
+});
+
+t.test('PrettyStream with JSON lines', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'pretty',
+    stream: new PrettyStream({
+      stream: new CapturingStream(chunks),
+      mode: 'simple'
+    })
+  });
+  log.warn('hi');
+  var pretty = log.streams[0].stream;
+  pretty.write('not json\n');
+  assert.deepStrictEqual(chunks, ['WARN - hi\n', 'not json\n']);
+});
+
+t.test('PrettyStream knows custom levels', function () {
+  var chunks = [];
+  bunyan.addLevel('notice', 35);
+  var log = bunyan.createLogger({
+    name: 'pretty',
+    streams: [ {
+      type: 'raw',
+      stream: new PrettyStream({
+        stream: new CapturingStream(chunks),
+        mode: 'simple'
+      })
+    } ]
+  });
+  log.notice('hi');
+  assert.deepStrictEqual(chunks, ['NOTICE - hi\n']);
+});
+
+t.test('PrettyStream color defaults to the output being a TTY', function () {
+  var out = new CapturingStream([]);
+  assert.strictEqual(new PrettyStream({stream: out}).color, false);
+  out.isTTY = true;
+  assert.strictEqual(new PrettyStream({stream: out}).color, true);
+  assert.strictEqual(new PrettyStream({stream: out, color: false}).color,
+    false);
+});
+
+t.test('PrettyStream invalid options', function () {
+  assert.throws(function () {
+    new PrettyStream({mode: 'bogus'});
+  }, /unknown output mode: "bogus"/);
+  assert.throws(function () {
+    new PrettyStream({timeFormat: 'bogus'});
+  }, /invalid time format: "bogus"/);
+  new PrettyStream({timeFormat: 'Europe/Oslo', strftime: '%T'});
+});
+
+t.test('formatRecord logfmt', function () {
+  assert.strictEqual(formatRecord(REC, {mode: 'logfmt'}),
+    'time=2012-02-08T22:56:52.856Z level=info name=myservice pid=123'
+    + ' hostname=example.com msg="My message" v=0\n');
+});
+
+t.test('formatRecord error causes', function () {
+  var rec = Object.assign({}, REC, {
+    err: {
+      message: 'request failed',
+      name: 'Error',
+      stack: 'Error: request failed\n    at a (a.js:1:1)',
+      statusCode: 502,
+      cause: {
+        message: 'all failed',
+        name: 'AggregateError',
+        stack: 'AggregateError: all failed\n    at b (b.js:2:2)',
+        errors: [
+          {message: 'one', name: 'Error', stack: 'Error: one',
+            code: 'ECONNREFUSED'},
+          'not an error'
+        ],
+        cause: '[Circular]'
+      }
+    }
+  });
+  assert.strictEqual(formatRecord(rec),
+    '[2012-02-08T22:56:52.856Z]  INFO: myservice/123 on example.com:'
+    + ' My message (err.statusCode=502)\n'
+    + '    Error: request failed\n'
+    + '        at a (a.js:1:1)\n'
+    + '    Caused by: AggregateError: all failed\n'
+    + '        at b (b.js:2:2)\n'
+    + '      [0] Error: one (code=ECONNREFUSED)\n'
+    + '      [1] not an error\n'
+    + '    Caused by: [Circular]\n');
+});
+
+t.test('PrettyStream with circular and BigInt fields', function () {
+  var chunks = [];
+  var log = bunyan.createLogger({
+    name: 'pretty',
+    streams: [ {
+      type: 'raw',
+      stream: new bunyan.PrettyStream({
+        stream: new CapturingStream(chunks),
+        mode: 'short'
+      })
+    } ]
+  });
+  var obj = {a: 1};
+  obj.self = obj;
+  log.info({time: TIME, obj: obj, big: 10n}, 'hi');
+  assert.deepStrictEqual(chunks,
+    ['22:56:52.856Z  INFO pretty: hi (big="10")\n'
+      + '    obj: {\n      "a": 1,\n      "self": "[Circular]"\n    }\n']);
+  assert.match(formatRecord(Object.assign({obj: obj}, REC), {mode: 'json'}),
+    /"self": "\[Circular\]"/);
+});
+
+t.test('PrettyStream with JSON lines split across chunks', function (cb) {
+  var chunks = [];
+  var pretty = new PrettyStream({
+    stream: new CapturingStream(chunks),
+    mode: 'simple'
+  });
+  var line = JSON.stringify(REC);
+  pretty.write(line.slice(0, 10));
+  pretty.write(line.slice(10) + '\n' + line.slice(0, 20));
+  pretty.end(line.slice(20), function () {
+    assert.deepStrictEqual(chunks, ['INFO - My message\n',
+      'INFO - My message\n']);
+    cb();
+  });
+});
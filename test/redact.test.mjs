@@ -0,0 +1,162 @@
+/*
+ * Test the `redact` option.
+ */
+
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+
+function CapturingStream(chunks) {
+  this.chunks = chunks;
+}
+CapturingStream.prototype.write = function (chunk) {
+  this.chunks.push(chunk);
+}
+
+function createLogger(redact, rawRecs, strs) {
+  return bunyan.createLogger({
+    name: 'redact',
+    redact: redact,
+    serializers: bunyan.stdSerializers,
+    streams: [
+      {type: 'raw', stream: new CapturingStream(rawRecs)},
+      {stream: new CapturingStream(strs)}
+    ]
+  });
+}
+
+
+t.test('redact paths in raw and non-raw streams', function () {
+  var rawRecs = [];
+  var strs = [];
+  var log = createLogger(['req.headers.authorization', 'password'],
+    rawRecs, strs);
+  var req = {
+    method: 'GET',
+    url: '/path',
+    headers: {authorization: 'Basic c2VjcmV0', host: 'example.com'},
+    connection: {}
+  };
+  log.info({req: req, password: 'hunter2'}, 'hi');
+
+  var recs = [rawRecs[0], JSON.parse(strs[0])];
+  recs.forEach(function (rec) {
+    assert.strictEqual(rec.req.headers.authorization, '[REDACTED]');
+    assert.strictEqual(rec.req.headers.host, 'example.com');
+    assert.strictEqual(rec.password, '[REDACTED]');
+    assert.strictEqual(rec.msg, 'hi');
+  });
+  assert.strictEqual(log.fields.redact, undefined);
+  assert.strictEqual(rawRecs[0].redact, undefined);
+
+  // The logged objects are not modified.
+  assert.strictEqual(req.headers.authorization, 'Basic c2VjcmV0');
+});
+
+t.test('redact missing paths', function () {
+  var rawRecs = [];
+  var log = createLogger(['req.headers.cookie', 'a.b.c'], rawRecs, []);
+  log.info({a: 'not an object'}, 'hi');
+  assert.strictEqual(rawRecs[0].a, 'not an object');
+  assert.strictEqual('req' in rawRecs[0], false);
+});
+
+t.test('redact wildcards', function () {
+  var rawRecs = [];
+  var log = createLogger(['users.*.password', 'secrets.*'], rawRecs, []);
+  var users = [
+    {name: 'bob', password: 'a'},
+    {name: 'alice', password: 'b'}
+  ];
+  log.info({users: users, secrets: {a: 1, b: 2}}, 'hi');
+  assert.deepStrictEqual(rawRecs[0].users, [
+    {name: 'bob', password: '[REDACTED]'},
+    {name: 'alice', password: '[REDACTED]'}
+  ]);
+  assert.deepStrictEqual(rawRecs[0].secrets,
+    {a: '[REDACTED]', b: '[REDACTED]'});
+  assert.strictEqual(users[0].password, 'a');
+});
+
+t.test('redact top-level wildcards leave non-plain objects alone',
+    function () {
+  var rawRecs = [];
+  var strs = [];
+  var log = createLogger(['*.password'], rawRecs, strs);
+  var buf = Buffer.from('hi');
+  log.info({db: {password: 'a'}, buf: buf, err: new Error('boom')}, 'hi');
+  assert.ok(rawRecs[0].time instanceof Date);
+  assert.strictEqual(rawRecs[0].buf, buf);
+  assert.strictEqual(rawRecs[0].db.password, '[REDACTED]');
+  assert.strictEqual(rawRecs[0].err.message, 'boom');
+  var rec = JSON.parse(strs[0]);
+  assert.strictEqual(rec.time, rawRecs[0].time.toISOString());
+});
+
+t.test('redact censor', function () {
+  var rawRecs = [];
+  var log = createLogger({paths: ['password'], censor: '***'}, rawRecs, []);
+  log.info({password: 'hunter2'}, 'hi');
+  assert.strictEqual(rawRecs[0].password, '***');
+
+  var calls = [];
+  log = createLogger({
+    paths: ['card.*'],
+    censor: function (value, path) {
+      calls.push(path);
+      return value.slice(-4);
+    }
+  }, rawRecs, []);
+  log.info({card: {number: '4111111111111111'}}, 'hi');
+  assert.strictEqual(rawRecs[1].card.number, '1111');
+  assert.deepStrictEqual(calls, ['card.number']);
+});
+
+t.test('redact logger fields', function () {
+  var rawRecs = [];
+  var log = bunyan.createLogger({
+    name: 'redact',
+    token: 'secret',
+    redact: ['token'],
+    streams: [ {type: 'raw', stream: new CapturingStream(rawRecs)} ]
+  });
+  log.info('hi');
+  assert.strictEqual(rawRecs[0].token, '[REDACTED]');
+  assert.strictEqual(log.fields.token, 'secret');
+});
+
+t.test('redact in child loggers', function () {
+  var rawRecs = [];
+  var log = createLogger({paths: ['password'], censor: '***'}, rawRecs, []);
+
+  var child = log.child({component: 'c', redact: ['apiKey']});
+  child.info({password: 'a', apiKey: 'b'}, 'from child');
+  assert.strictEqual(rawRecs[0].password, '***');
+  assert.strictEqual(rawRecs[0].apiKey, '***');
+  assert.strictEqual(rawRecs[0].redact, undefined);
+  assert.strictEqual(child.fields.redact, undefined);
+
+  // The parent is not affected.
+  log.info({apiKey: 'b'}, 'from parent');
+  assert.strictEqual(rawRecs[1].apiKey, 'b');
+
+  log.child({component: 'simple'}, true).info({password: 'a'}, 'simple');
+  assert.strictEqual(rawRecs[2].password, '***');
+  log.child(null, {component: 'simple'}).info({password: 'a'}, 'simple');
+  assert.strictEqual(rawRecs[3].password, '***');
+});
+
+t.test('redact with invalid values', function () {
+  assert.throws(function () {
+    createLogger('password', [], []);
+  }, /invalid options.redact/);
+  assert.throws(function () {
+    createLogger({censor: '***'}, [], []);
+  }, /invalid options.redact/);
+  assert.throws(function () {
+    createLogger(['req..headers'], [], []);
+  }, /invalid redact path: "req..headers"/);
+  assert.throws(function () {
+    createLogger([42], [], []);
+  }, /invalid redact path: 42/);
+});
@@ -0,0 +1,168 @@
+/*
+ * Test the 'rotating-file' stream type.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-rot-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+t.test('rotating-file: invalid period', function () {
+  assert.throws(function () {
+    new bunyan.RotatingFileStream({
+      path: path.join(TMPDIR, 'bogus.log'),
+      period: '1x'
+    });
+  }, /invalid period: "1x"/);
+});
+
+t.test('rotating-file: invalid count', function () {
+  assert.throws(function () {
+    new bunyan.RotatingFileStream({
+      path: path.join(TMPDIR, 'bogus.log'),
+      count: -1
+    });
+  }, /"count" is not >= 0/);
+});
+
+t.test('rotating-file: period names', function () {
+  var s = new bunyan.RotatingFileStream({
+    path: path.join(TMPDIR, 'names.log'),
+    period: 'hourly'
+  });
+  assert.strictEqual(s.periodNum, 1);
+  assert.strictEqual(s.periodScope, 'h');
+  s.destroy();
+});
+
+t.test('rotating-file: rotates and keeps count', function (cb) {
+  var logPath = path.join(TMPDIR, 'rot.log');
+  var log = bunyan.createLogger({
+    name: 'rotating-file',
+    streams: [ {
+      type: 'rotating-file',
+      path: logPath,
+      period: '100000ms',
+      count: 2
+    } ]
+  });
+  var s = log.streams[0];
+  assert.strictEqual(s.closeOnExit, true);
+  assert.strictEqual(s.reemitErrorEvents, true);
+  assert.ok(s.stream instanceof bunyan.RotatingFileStream);
+
+  var rotations = 0;
+  s.stream.on('drain', function () {
+    rotations++;
+    log.info('after rotation %d', rotations);
+    if (rotations < 3) {
+      s.stream.rotAt = Date.now();
+      return s.stream.rotate();
+    }
+    s.stream.stream.on('finish', function () {
+      try {
+        assert.deepStrictEqual(fs.readdirSync(TMPDIR)
+          .filter(function (f) { return /^rot\.log/.test(f) }).sort(),
+          ['rot.log', 'rot.log.0', 'rot.log.1']);
+        assert.match(fs.readFileSync(logPath, 'utf8'), /after rotation 3/);
+        assert.match(fs.readFileSync(logPath + '.0', 'utf8'),
+          /after rotation 2/);
+        assert.match(fs.readFileSync(logPath + '.1', 'utf8'),
+          /after rotation 1/);
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    });
+    s.stream.end();
+  });
+
+  log.info('before rotation');
+  s.stream.rotAt = Date.now();
+  s.stream.rotate();
+});
+
+t.test('rotating-file: error event (reemitErrorEvents=undefined)', function (cb) {
+  var log = bunyan.createLogger({
+    name: 'rotating-file-error',
+    streams: [ {
+      type: 'rotating-file',
+      path: '/this/path/is/bogus.log'
+    } ]
+  });
+  log.on('error', function (err, stream) {
+    try {
+      assert.strictEqual(err.code, 'ENOENT');
+      assert.strictEqual(stream.type, 'rotating-file');
+      stream.stream.destroy();
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+  log.info('info log message');
+});
+
+t.test('rotating-file: end() during a rotation', function (cb) {
+  var logPath = path.join(TMPDIR, 'end-rot.log');
+  var s = new bunyan.RotatingFileStream({
+    path: logPath,
+    period: '100000ms',
+    count: 1
+  });
+  s.write('before\n');
+  var rotAt = s.rotAt = Date.now();
+  s.rotate();
+  s.write('queued\n');
+  s.end(function () {
+    var stream = s.stream;
+    // No new rotation timer is set, and the file isn't reopened.
+    assert.strictEqual(s.rotAt, rotAt);
+    assert.strictEqual(s.rotating, false);
+    s.rotAt = Date.now();
+    s.rotate();
+    assert.strictEqual(s.stream, stream);
+    assert.strictEqual(s.rotating, false);
+    assert.strictEqual(fs.readFileSync(logPath, 'utf8'), 'queued\n');
+    assert.strictEqual(fs.readFileSync(logPath + '.0', 'utf8'), 'before\n');
+    cb();
+  });
+});
+
+t.test('rotating-file: rotate() during a rotation', function (cb) {
+  var logPath = path.join(TMPDIR, 'double-rot.log');
+  var s = new bunyan.RotatingFileStream({
+    path: logPath,
+    period: '100000ms',
+    count: 2
+  });
+  s.write('before\n');
+  s.rotAt = Date.now();
+  s.rotate();
+  // E.g. the rotation timer firing meanwhile.
+  s.rotAt = Date.now();
+  s.rotate();
+  s.write('after\n');
+  s.once('drain', function () {
+    assert.strictEqual(s.rotating, false);
+    process.nextTick(function () {
+      // The next rotation is set up.
+      assert.ok(s.rotAt > Date.now());
+      s.end(onEnd);
+    });
+  });
+
+  function onEnd() {
+    assert.strictEqual(fs.readFileSync(logPath, 'utf8'), 'after\n');
+    assert.strictEqual(fs.readFileSync(logPath + '.0', 'utf8'), 'before\n');
+    assert.strictEqual(fs.existsSync(logPath + '.1'), false);
+    cb();
+  }
+});
@@ -174,6 +174,73 @@ t.test('err serializer', function () {
   assert.strictEqual(lastRecord.err.stack, theErr.stack);
 });
 
+t.test('err serializer: cause and errors', function () {
+  var records = [];
+  var log = bunyan.createLogger({
+    name: 'serializer-test',
+    streams: [
+      {
+        stream: new CapturingStream(records),
+        type: 'raw'
+      }
+    ],
+    serializers: {
+      err: bunyan.stdSerializers.err
+    }
+  });
+
+  var inner = new Error('connect failed');
+  inner.code = 'ECONNREFUSED';
+  var agg = new AggregateError(
+    [new TypeError('one', {cause: inner}), 'two'], 'all failed');
+  var err = new Error('request failed', {cause: agg});
+  err.statusCode = 502;
+  err.original = inner;
+  log.error(err, 'oops');
+
+  var s = records[0].err;
+  assert.strictEqual(s.message, 'request failed');
+  assert.strictEqual(s.stack, err.stack);
+  // Custom fields are kept, and errors in them are serialized.
+  assert.strictEqual(s.statusCode, 502);
+  assert.strictEqual(s.original.code, 'ECONNREFUSED');
+  assert.strictEqual(s.original instanceof Error, false);
+  assert.strictEqual(s.cause.name, 'AggregateError');
+  assert.strictEqual(s.cause.message, 'all failed');
+  assert.strictEqual(s.cause.errors.length, 2);
+  assert.strictEqual(s.cause.errors[0].name, 'TypeError');
+  assert.deepStrictEqual(s.cause.errors[0].cause, s.original);
+  assert.strictEqual(s.cause.errors[1], 'two');
+  assert.strictEqual(JSON.parse(JSON.stringify(s)).cause.errors[0].cause.code,
+    'ECONNREFUSED');
+
+  // Cycles and deep chains.
+  var a = new Error('a');
+  var b = new Error('b', {cause: a});
+  a.cause = b;
+  s = bunyan.stdSerializers.err(a);
+  assert.strictEqual(s.cause.message, 'b');
+  assert.strictEqual(s.cause.cause, '[Circular]');
+
+  var deep = new Error('0');
+  for (var i = 1; i < 20; i++) {
+    deep = new Error(String(i), {cause: deep});
+  }
+  s = bunyan.stdSerializers.err(deep);
+  for (var depth = 0; typeof (s) === 'object'; depth++) {
+    s = s.cause;
+  }
+  assert.strictEqual(depth, 11);
+  assert.strictEqual(s, '[Truncated]');
+
+  // A `cause()` method (as from verror) is still followed in `stack`.
+  var verr = new Error('outer');
+  verr.cause = function () { return inner; };
+  s = bunyan.stdSerializers.err(verr);
+  assert.strictEqual(s.cause, undefined);
+  assert.strictEqual(s.stack, verr.stack + '\nCaused by: ' + inner.stack);
+});
+
 t.test('err serializer: custom serializer', function () {
   var records = [];
 
@@ -0,0 +1,180 @@
+/*
+ * Test size based rotation of 'file' streams (`maxSize`).
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import { Eltro as t, assert} from 'eltro'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-size-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+function rotatedFiles(base) {
+  return fs.readdirSync(TMPDIR).filter(function (f) {
+    return f.indexOf(base) === 0;
+  }).sort();
+}
+
+t.test('file maxSize: invalid size', function () {
+  ['bogus', '10x', 0, -5].forEach(function (maxSize) {
+    assert.throws(function () {
+      bunyan.createLogger({
+        name: 'size',
+        streams: [ {path: path.join(TMPDIR, 'bogus.log'), maxSize: maxSize} ]
+      });
+    }, /invalid size/);
+  });
+});
+
+t.test('file maxSize: size suffixes', function () {
+  var s = new bunyan.SizeRotatingFileStream({
+    path: path.join(TMPDIR, 'suffix.log'),
+    maxSize: '50m'
+  });
+  assert.strictEqual(s.maxSize, 50 * 1024 * 1024);
+  s.destroy();
+});
+
+t.test('file maxSize: rotates to .1, .2 and keeps count', function (cb) {
+  var logPath = path.join(TMPDIR, 'plain.log');
+  var log = bunyan.createLogger({
+    name: 'size',
+    streams: [ {path: logPath, maxSize: 10, count: 2} ]
+  });
+  var s = log.streams[0];
+  assert.strictEqual(s.type, 'file');
+  assert.ok(s.stream instanceof bunyan.SizeRotatingFileStream);
+
+  var rotations = 0;
+  s.stream.on('drain', function () {
+    rotations++;
+    if (rotations < 3) {
+      return log.info('record %d', rotations + 1);
+    }
+    try {
+      assert.deepStrictEqual(rotatedFiles('plain.log.'),
+        ['plain.log.1', 'plain.log.2']);
+      assert.match(fs.readFileSync(logPath + '.1', 'utf8'), /record 3/);
+      assert.match(fs.readFileSync(logPath + '.2', 'utf8'), /record 2/);
+      s.stream.end();
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+  log.info('record 1');
+});
+
+t.test('file maxSize: gzip rotated files', function (cb) {
+  var logPath = path.join(TMPDIR, 'gz.log');
+  var log = bunyan.createLogger({
+    name: 'size',
+    streams: [ {path: logPath, maxSize: 10, count: 3, gzip: true} ]
+  });
+  var s = log.streams[0];
+
+  var rotations = 0;
+  s.stream.on('drain', function () {
+    rotations++;
+    if (rotations < 2) {
+      return log.info('record %d', rotations + 1);
+    }
+    try {
+      assert.deepStrictEqual(rotatedFiles('gz.log.'),
+        ['gz.log.1.gz', 'gz.log.2.gz']);
+      var content = zlib.gunzipSync(fs.readFileSync(logPath + '.2.gz'));
+      assert.strictEqual(JSON.parse(content.toString()).msg, 'record 1');
+      content = zlib.gunzipSync(fs.readFileSync(logPath + '.1.gz'));
+      assert.strictEqual(JSON.parse(content.toString()).msg, 'record 2');
+      s.stream.end();
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+  log.info('record 1');
+});
+
+t.test('file maxSize: records written while rotating are kept', function (cb) {
+  var logPath = path.join(TMPDIR, 'queue.log');
+  var log = bunyan.createLogger({
+    name: 'size',
+    streams: [ {path: logPath, maxSize: '1k'} ]
+  });
+  var s = log.streams[0];
+
+  s.stream.on('drain', function () {
+    assert.strictEqual(s.stream.rotating, false);
+    s.stream.stream.on('finish', function () {
+      try {
+        var content = rotatedFiles('queue.log').map(function (f) {
+          return fs.readFileSync(path.join(TMPDIR, f), 'utf8');
+        }).join('');
+        assert.strictEqual(content.trim().split('\n').length, 20);
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    });
+    s.stream.end();
+  });
+  for (var i = 0; i < 20; i++) {
+    log.info('record %d', i);
+  }
+});
+
+t.test('file maxSize: end() during a rotation', function (cb) {
+  var logPath = path.join(TMPDIR, 'end-rot.log');
+  var s = new bunyan.SizeRotatingFileStream({
+    path: logPath,
+    maxSize: 10,
+    count: 1
+  });
+  s.write('before rotation\n');
+  assert.strictEqual(s.rotating, true);
+  s.write('queued\n');
+  s.end(function () {
+    var stream = s.stream;
+    assert.strictEqual(s.rotating, false);
+    // Neither a rotation nor a reopen opens the file again.
+    s.rotate();
+    s.reopen();
+    assert.strictEqual(s.stream, stream);
+    assert.strictEqual(s.rotating, false);
+    s.end(function () {
+      assert.strictEqual(fs.readFileSync(logPath, 'utf8'), 'queued\n');
+      assert.strictEqual(fs.readFileSync(logPath + '.1', 'utf8'),
+        'before rotation\n');
+      cb();
+    });
+  });
+});
+
+t.test('file maxSize: reopenFileStreams', function (cb) {
+  var logPath = path.join(TMPDIR, 'reopen.log');
+  var log = bunyan.createLogger({
+    name: 'size',
+    streams: [ {path: logPath, maxSize: '1m'} ]
+  });
+  var s = log.streams[0];
+  var rotating = s.stream;
+  log.info('before reopen');
+  rotating.on('drain', function () {
+    try {
+      assert.strictEqual(s.stream, rotating);
+      assert.strictEqual(rotating.size, fs.statSync(logPath).size);
+      assert.match(fs.readFileSync(logPath, 'utf8'), /before reopen/);
+      rotating.end();
+      cb();
+    } catch (err) {
+      cb(err);
+    }
+  });
+  log.reopenFileStreams();
+});
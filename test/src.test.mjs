@@ -2,10 +2,13 @@
  * Test `src: true` usage.
  */
 
+import { fileURLToPath } from 'url'
 import { Eltro as t, assert} from 'eltro'
 import bunyan from '../lib/bunyan.mjs'
 
-// Intentionally on line 11 for tests below:
+var __filename = fileURLToPath(import.meta.url)
+
+// Intentionally on line 12 for tests below:
 function logSomething(log) { log.info('something'); }
 
 function CapturingStream(recs) {
@@ -15,10 +18,21 @@ CapturingStream.prototype.write = function (rec) {
   this.recs.push(rec);
 }
 
-// commented out due to broken implementation of
-// getting caller line in strict mode (getCaller3Info())
+function assertSrc(recs) {
+  recs.forEach(function (rec) {
+    assert.ok(rec.src);
+    assert.strictEqual(typeof (rec.src), 'object');
+    assert.strictEqual(rec.src.file, __filename);
+    assert.ok(rec.src.line);
+    assert.strictEqual(typeof (rec.src.line), 'number');
+  });
+  var rec = recs[1];
+  assert.ok(rec.src.func);
+  assert.strictEqual(rec.src.func, 'logSomething');
+  assert.strictEqual(rec.src.line, 12);
+}
 
-/* t.only().test('src', function () {
+t.test('src', function () {
   var recs = [];
 
   var log = new bunyan({
@@ -36,15 +50,67 @@ CapturingStream.prototype.write = function (rec) {
   logSomething(log);
 
   assert.strictEqual(recs.length, 2);
-  recs.forEach(function (rec) {
-    assert.ok(rec.src);
-    assert.strictEqual(typeof (rec.src), 'object');
-    assert.strictEqual(rec.src.file, __filename);
-    assert.ok(rec.src.line);
-    assert.strictEqual(typeof (rec.src.line), 'number');
+  assertSrc(recs);
+});
+
+t.test('src is not a field', function () {
+  var recs = [];
+
+  var log = new bunyan({
+    name: 'src-test',
+    src: true,
+    streams: [
+      {
+        stream: new CapturingStream(recs),
+        type: 'raw'
+      }
+    ]
   });
-  var rec = recs[1];
-  assert.ok(rec.src.func);
-  assert.strictEqual(rec.src.func, 'logSomething');
-  assert.strictEqual(rec.src.line, 11);
-});*/
+
+  assert.strictEqual(log.fields.src, undefined);
+  log.info({src: 'mine'}, 'explicit src');
+  assert.strictEqual(recs[0].src, 'mine');
+});
+
+t.test('src off by default', function () {
+  var recs = [];
+
+  var log = new bunyan({
+    name: 'src-test',
+    streams: [
+      {
+        stream: new CapturingStream(recs),
+        type: 'raw'
+      }
+    ]
+  });
+
+  log.info('top-level');
+  assert.strictEqual(recs[0].src, undefined);
+});
+
+t.test('src in child loggers', function () {
+  var recs = [];
+
+  var log = new bunyan({
+    name: 'src-test',
+    src: true,
+    streams: [
+      {
+        stream: new CapturingStream(recs),
+        type: 'raw'
+      }
+    ]
+  });
+
+  var child = log.child({component: 'child'});
+  child.info('top-level');
+  logSomething(child);
+  assertSrc(recs);
+
+  recs.length = 0;
+  var simpleChild = log.child({component: 'simple'}, true);
+  simpleChild.info('top-level');
+  logSomething(simpleChild);
+  assertSrc(recs);
+});
@@ -0,0 +1,28 @@
+import bunyan from '../lib/bunyan.mjs'
+
+var log = bunyan.createLogger({
+    name: 'thread-stream-1',
+    streams: [
+        {
+            type: 'raw',
+            stream: new bunyan.ThreadStream({
+                stream: {path: process.argv[2]},
+                bufferSize: '4k'
+            })
+        },
+        {
+            type: 'raw',
+            stream: new bunyan.ThreadStream({
+                stream: {path: process.argv[2] + '.size', maxSize: '1m'}
+            })
+        }
+    ]
+});
+
+for (var i = 0; i < 100; i++) {
+    log.info('record %d', i);
+}
+log.fatal(new Error('boom'), 'cannot continue');
+if (process.argv[3] === 'exit') {
+    process.exit(1);
+}
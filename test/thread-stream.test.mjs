@@ -0,0 +1,131 @@
+/*
+ * Test `ThreadStream`: logging through a worker thread.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Eltro as t, assert} from 'eltro'
+import { exec, dirname } from './helper.mjs'
+import bunyan from '../lib/bunyan.mjs'
+
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-thread-'));
+
+t.after(function () {
+  fs.rmSync(TMPDIR, { recursive: true, force: true });
+});
+
+function readRecords(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(function (l) {
+    return JSON.parse(l);
+  });
+}
+
+t.test('ThreadStream: invalid options', function () {
+  assert.throws(function () {
+    new bunyan.ThreadStream();
+  }, /options.stream \(object\) is required/);
+  assert.throws(function () {
+    new bunyan.ThreadStream({stream: {path: 'x'}, bufferSize: 'huge'});
+  }, /invalid size: "huge"/);
+  assert.throws(function () {
+    new bunyan.ThreadStream({stream: {path: 'x'}, overflow: 'nope'});
+  }, /invalid overflow: "nope" \(must be one of block, drop-newest\)/);
+});
+
+t.test('ThreadStream: flush() and end()', async function () {
+  var logPath = path.join(TMPDIR, 'flush.log');
+  bunyan.addLevel('notice', 35);
+  var ts = new bunyan.ThreadStream({
+    stream: {path: logPath, formatter: 'short'},
+    bufferSize: 1024
+  });
+  var log = bunyan.createLogger({
+    name: 'thread',
+    streams: [ {type: 'raw', stream: ts} ]
+  });
+  for (var i = 0; i < 200; i++) {
+    log.info({i: i}, 'record %d', i);
+  }
+  log.notice('custom level');
+  await log.flush();
+  var lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+  assert.strictEqual(lines.length, 201);
+  assert.match(lines[199], / INFO thread: record 199 \(i=199\)$/);
+  assert.match(lines[200], / NOTICE thread: custom level$/);
+  assert.strictEqual(ts.dropped, 0);
+
+  // Like other 'raw' streams, a ThreadStream is owned by the caller.
+  log.info('last');
+  await new Promise(function (resolve) { ts.end(resolve); });
+  assert.strictEqual(
+    fs.readFileSync(logPath, 'utf8').trim().split('\n').length, 202);
+  assert.strictEqual(ts.write({msg: 'closed'}), false);
+});
+
+t.timeout(10000).test('ThreadStream: overflow', async function () {
+  var rec = {msg: 'x'.repeat(100)};
+
+  // A stopped worker doesn't make room in the ring buffer.
+  async function stoppedStream(options) {
+    var ts = new bunyan.ThreadStream(Object.assign({
+      stream: {path: path.join(TMPDIR, 'overflow.log')},
+      bufferSize: 1024
+    }, options));
+    await ts.worker.terminate();
+    while (ts.write(rec)) {
+      // Fill the ring buffer.
+    }
+    return ts;
+  }
+
+  var start = Date.now();
+  var ts = await stoppedStream({overflow: 'drop-newest'});
+  assert.strictEqual(ts.write(rec), false);
+  assert.ok(Date.now() - start < 500);
+  assert.strictEqual(ts.dropped, 2);
+  ts.destroy();
+
+  // 'block' waits for up to a second, and then no longer.
+  start = Date.now();
+  ts = await stoppedStream({});
+  assert.ok(Date.now() - start >= 1000);
+  start = Date.now();
+  for (var i = 0; i < 10; i++) {
+    assert.strictEqual(ts.write(rec), false);
+  }
+  assert.ok(Date.now() - start < 500);
+  assert.strictEqual(ts.dropped, 11);
+  ts.destroy();
+});
+
+t.test('ThreadStream: stream errors', function (cb) {
+  var ts = new bunyan.ThreadStream({
+    stream: {path: path.join(TMPDIR, 'nonexistent', 'x.log')}
+  });
+  ts.on('error', function (err) {
+    assert.strictEqual(err.code, 'ENOENT');
+    ts.destroy();
+    cb();
+  });
+});
+
+t.timeout(10000).test('ThreadStream: records are written on exit',
+    async function () {
+  var logPath = path.join(TMPDIR, 'exit.log');
+  let err = await assert.isRejected(
+    exec(logPath + ' exit', 'node', dirname('/thread-stream-1.mjs')));
+  assert.strictEqual(err.code, 1);
+
+  var natural = path.join(TMPDIR, 'natural.log');
+  await exec(natural, 'node', dirname('/thread-stream-1.mjs'));
+
+  [logPath, logPath + '.size', natural, natural + '.size'].forEach(
+    function (file) {
+      var recs = readRecords(file);
+      assert.strictEqual(recs.length, 101, file);
+      assert.strictEqual(recs[0].msg, 'record 0');
+      assert.strictEqual(recs[100].msg, 'cannot continue');
+      assert.strictEqual(recs[100].err.message, 'boom');
+    });
+});
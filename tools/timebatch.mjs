@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/*
+ * Time logging to a 'file' stream with and without `batch`, i.e. one write
+ * per record vs. one write per batch of records. Records are logged in
+ * bursts, yielding to the event loop in between as a busy service would.
+ * Times include waiting for all records to be written (`log.flush()`).
+ *
+ * Usage:
+ *    node tools/timebatch.mjs [NUMBER-OF-RECORDS [RECORDS-PER-BURST]]
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import bunyan from '../lib/bunyan.mjs'
+
+var N = Number(process.argv[2]) || 1e5;
+var BURST = Number(process.argv[3]) || 100;
+var TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bunyan-timebatch-'));
+
+function time(name, stream, cb) {
+  var log = bunyan.createLogger({
+    name: 'timebatch',
+    streams: [ Object.assign({path: path.join(TMPDIR, name + '.log')},
+      stream) ]
+  });
+  var start = process.hrtime.bigint();
+  var i = 0;
+
+  function burst() {
+    for (var end = Math.min(i + BURST, N); i < end; i++) {
+      log.info({i: i}, 'hello');
+    }
+    if (i < N) {
+      setImmediate(burst);
+      return;
+    }
+    log.flush().then(function () {
+      var ms = Number(process.hrtime.bigint() - start) / 1e6;
+      var dropped = log.streams[0].stream.dropped || 0;
+      console.log(' - %s: %dms, %d records/s%s', name, Math.round(ms),
+        Math.round((N - dropped) / ms * 1000),
+        (dropped ? ', ' + dropped + ' dropped' : ''));
+      log.close(cb);
+    });
+  }
+  burst();
+}
+
+console.log('Time logging %d records to a file, %d per event loop turn:', N,
+  BURST);
+time('file', {}, function () {
+  time('batch', {batch: true}, function () {
+    time('batch (overflow "block")', {batch: {overflow: 'block'}},
+      function () {
+        fs.rmSync(TMPDIR, {recursive: true, force: true});
+      });
+  });
+});